@@ -6,4 +6,7 @@ require('./src/functions/auth/index');
 require('./src/functions/api-docs/index');
 require('./src/functions/health/index');
 require('./src/functions/schedules/index');
+require('./src/functions/admin/index');
+require('./src/functions/calendar/index');
+require('./src/functions/shares/index');
 // Deploy trigger: Sat Dec 20 01:15:56 AM +07 2025
@@ -12,6 +12,17 @@ const cors = require('cors');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const sql = require('mssql');
+const { attachMeeting } = require('./src/utils/course-meeting-parser');
+const { hashPassword } = require('./src/utils/password-helper');
+const { requireAuth, requirePermission, resolveUserId, resolveReadableUserId } = require('./src/utils/auth-middleware');
+const { ROLES, PERMISSIONS, normalizeRole } = require('./src/utils/permission-helper');
+const { SystemLogger } = require('./src/utils/logger');
+const { ValidationHelper } = require('./src/utils/validation-helper');
+const { ResponseHelper } = require('./src/utils/response-helper');
+const { PeriodTimeService } = require('./src/services/period-time-service');
+const { SemesterService } = require('./src/services/semester-service');
+const { AuthenticationService } = require('./src/services/auth-service');
+const { ensureSemesterSchema } = require('./src/database');
 
 const app = express();
 const PORT = process.env.PORT || 7071;
@@ -280,6 +291,16 @@ app.use(cors({
 
 app.use(express.json());
 
+const validator = new ValidationHelper();
+const responseHelper = new ResponseHelper();
+const periodTimeService = new PeriodTimeService();
+const semesterService = new SemesterService();
+const authService = new AuthenticationService();
+const systemLogger = new SystemLogger();
+
+// Catalog admin endpoints: an Admin's access token, or the X-Admin-Key header matching ADMIN_API_KEY
+const requireCatalogManager = requirePermission(PERMISSIONS.MANAGE_CATALOG);
+
 // Content Security Policy for Swagger UI
 app.use('/api-docs', (req, res, next) => {
     res.setHeader(
@@ -404,6 +425,91 @@ app.get('/api/health', async (req, res) => {
  *           type: string
  *         quantity:
  *           type: integer
+ *         semesterCode:
+ *           type: string
+ *         meeting:
+ *           $ref: '#/components/schemas/CourseMeeting'
+ *         parseErrors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               value:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     CourseMeeting:
+ *       type: object
+ *       nullable: true
+ *       description: Time/Weeks/Room đã được phân tích (null nếu không đọc được Time)
+ *       properties:
+ *         dayOfWeek:
+ *           type: integer
+ *           description: 1 = Thứ Hai ... 7 = Chủ Nhật
+ *         startPeriod:
+ *           type: integer
+ *         endPeriod:
+ *           type: integer
+ *         weeks:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         campusCode:
+ *           type: string
+ *         building:
+ *           type: string
+ *         room:
+ *           type: string
+ *         startTime:
+ *           type: string
+ *           description: Giờ bắt đầu của tiết đầu (HH:MM), theo bảng tiết học của cơ sở
+ *         endTime:
+ *           type: string
+ *           description: Giờ kết thúc của tiết cuối (HH:MM)
+ *     Semester:
+ *       type: object
+ *       properties:
+ *         semesterCode:
+ *           type: string
+ *           example: 2025A
+ *         semesterName:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           description: Ngày bắt đầu tuần học 1
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           description: Hết tuần học cuối (startDate + teachingWeeks tuần)
+ *         teachingWeeks:
+ *           type: integer
+ *         holidays:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               name:
+ *                 type: string
+ *         registrationStartDate:
+ *           type: string
+ *           format: date-time
+ *         registrationEndDate:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *         registrationStatus:
+ *           type: string
+ *           enum: [not_open, open, closed, unscheduled]
  */
 
 /**
@@ -412,6 +518,12 @@ app.get('/api/health', async (req, res) => {
  *   get:
  *     summary: Lấy danh sách tất cả môn học từ Azure SQL
  *     tags: [Courses]
+ *     parameters:
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *         description: Mã học kỳ (vd. 2025A); bỏ trống để lấy tất cả
  *     responses:
  *       200:
  *         description: Danh sách môn học
@@ -424,24 +536,40 @@ app.get('/api/health', async (req, res) => {
  */
 app.get('/api/courses', async (req, res) => {
     try {
+        const semesterCode = req.query.semester || req.query.semesterCode || null;
+
+        await ensureSemesterSchema();
         const dbPool = await getCoursesPool();
-        const result = await dbPool.request().query(`
-            SELECT 
-                ID as courseId,
-                Name as courseName,
-                'COURSE' + CAST(ID as NVARCHAR) as courseCode,
-                ISNULL(Credits, 2) as credits,
-                Lecturer as lecturer,
-                Time as time,
-                Room as room,
-                Weeks as weeks,
-                ISNULL(Quantity, 0) as quantity
-            FROM Courses
-            ORDER BY Name
-        `);
+        const result = await dbPool.request()
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
+            .query(`
+                SELECT 
+                    ID as courseId,
+                    Name as courseName,
+                    'COURSE' + CAST(ID as NVARCHAR) as courseCode,
+                    ISNULL(Credits, 2) as credits,
+                    Lecturer as lecturer,
+                    Time as time,
+                    Room as room,
+                    Weeks as weeks,
+                    ISNULL(Quantity, 0) as quantity,
+                    SemesterCode as semesterCode
+                FROM Courses
+                WHERE @semesterCode IS NULL OR SemesterCode = @semesterCode
+                ORDER BY Name
+            `);
 
-        console.log(`[API] Loaded ${result.recordset.length} courses from Azure SQL`);
-        res.json(result.recordset);
+        const courses = await periodTimeService.applyClockTimes(
+            result.recordset.map(attachMeeting),
+            { semesterCode }
+        );
+        const unparsed = courses.filter(c => c.parseErrors.length > 0).length;
+
+        console.log(`[API] Loaded ${courses.length} courses from Azure SQL`);
+        if (unparsed > 0) {
+            console.warn(`[API] ${unparsed} courses have unparseable Time/Weeks/Room values (see /api/courses/parse-report)`);
+        }
+        res.json(courses);
     } catch (error) {
         console.error('[API] Error loading courses:', error);
         res.status(500).json({ error: 'Database Error', message: error.message });
@@ -450,49 +578,46 @@ app.get('/api/courses', async (req, res) => {
 
 /**
  * @swagger
- * /api/courses/{id}:
+ * /api/courses/parse-report:
  *   get:
- *     summary: Lấy thông tin môn học theo ID
+ *     summary: Danh sách môn học có Time/Weeks/Room không phân tích được
  *     tags: [Courses]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
  *     responses:
  *       200:
- *         description: Thông tin môn học
- *       404:
- *         description: Không tìm thấy môn học
+ *         description: Tổng số môn học và các dòng lỗi
  */
-app.get('/api/courses/:id', async (req, res) => {
+app.get('/api/courses/parse-report', async (req, res) => {
     try {
         const dbPool = await getCoursesPool();
-        const result = await dbPool.request()
-            .input('id', sql.Int, req.params.id)
-            .query(`
-                SELECT 
-                    ID as courseId,
-                    Name as courseName,
-                    'COURSE' + CAST(ID as NVARCHAR) as courseCode,
-                    ISNULL(Credits, 2) as credits,
-                    Lecturer as lecturer,
-                    Time as time,
-                    Room as room,
-                    Weeks as weeks,
-                    ISNULL(Quantity, 0) as quantity
-                FROM Courses
-                WHERE ID = @id
-            `);
+        const result = await dbPool.request().query(`
+            SELECT 
+                ID as courseId,
+                Name as courseName,
+                Time as time,
+                Room as room,
+                Weeks as weeks
+            FROM Courses
+            ORDER BY ID
+        `);
 
-        if (result.recordset.length === 0) {
-            return res.status(404).json({ error: 'Không tìm thấy môn học' });
-        }
+        const unparsed = result.recordset
+            .map(attachMeeting)
+            .filter(c => c.parseErrors.length > 0)
+            .map(c => ({
+                courseId: c.courseId,
+                courseName: c.courseName,
+                hasMeeting: c.meeting !== null,
+                errors: c.parseErrors
+            }));
 
-        res.json(result.recordset[0]);
+        res.json({
+            total: result.recordset.length,
+            unparsedCount: unparsed.length,
+            unparsed
+        });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        console.error('[API] Error building parse report:', error);
+        res.status(500).json({ error: 'Database Error', message: error.message });
     }
 });
 
@@ -530,13 +655,21 @@ app.get('/api/courses/subjects', async (req, res) => {
  *     tags: [Courses]
  *     responses:
  *       200:
- *         description: Danh sách học kỳ
+ *         description: Danh sách học kỳ kèm ngày bắt đầu, số tuần, ngày nghỉ và trạng thái đăng ký
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Semester'
  */
-app.get('/api/courses/semesters', (req, res) => {
-    res.json([
-        { semesterCode: '2025A', semesterName: 'Học kỳ 1 - 2024-2025' },
-        { semesterCode: '2025B', semesterName: 'Học kỳ 2 - 2024-2025' }
-    ]);
+app.get('/api/courses/semesters', async (req, res) => {
+    try {
+        res.json(await semesterService.getSemestersWithStatus());
+    } catch (error) {
+        console.error('[API] Error loading semesters:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
 /**
@@ -573,6 +706,57 @@ app.get('/api/courses/campuses', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/courses/{id}:
+ *   get:
+ *     summary: Lấy thông tin môn học theo ID
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Thông tin môn học
+ *       404:
+ *         description: Không tìm thấy môn học
+ */
+app.get('/api/courses/:id', async (req, res) => {
+    try {
+        await ensureSemesterSchema();
+        const dbPool = await getCoursesPool();
+        const result = await dbPool.request()
+            .input('id', sql.Int, req.params.id)
+            .query(`
+                SELECT 
+                    ID as courseId,
+                    Name as courseName,
+                    'COURSE' + CAST(ID as NVARCHAR) as courseCode,
+                    ISNULL(Credits, 2) as credits,
+                    Lecturer as lecturer,
+                    Time as time,
+                    Room as room,
+                    Weeks as weeks,
+                    ISNULL(Quantity, 0) as quantity,
+                    SemesterCode as semesterCode
+                FROM Courses
+                WHERE ID = @id
+            `);
+
+        if (result.recordset.length === 0) {
+            return res.status(404).json({ error: 'Không tìm thấy môn học' });
+        }
+
+        const [course] = await periodTimeService.applyClockTimes([attachMeeting(result.recordset[0])]);
+        res.json(course);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * @swagger
  * /api/auth/signup:
@@ -618,11 +802,13 @@ app.post('/api/auth/signup', async (req, res) => {
             });
         }
 
-        // Validate password (minimum 6 characters)
-        if (password.length < 6) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Mật khẩu phải có ít nhất 6 ký tự' 
+        // Validate password against the configured policy
+        const passwordCheck = validator.validatePassword(password, { email });
+        if (!passwordCheck.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Mật khẩu không đáp ứng yêu cầu bảo mật',
+                errors: passwordCheck.errors
             });
         }
 
@@ -658,8 +844,7 @@ app.post('/api/auth/signup', async (req, res) => {
         // Tạo userId từ email
         const userId = email.split('@')[0] + '-' + Date.now();
 
-        // Hash password đơn giản (production nên dùng bcrypt)
-        const hashedPassword = Buffer.from(password).toString('base64');
+        const hashedPassword = await hashPassword(password);
 
         // Insert user mới
         await dbPool.request()
@@ -729,46 +914,30 @@ app.post('/api/auth/login', async (req, res) => {
             });
         }
 
-        const dbPool = await getPool();
-        
-        // Tìm user
-        const result = await dbPool.request()
-            .input('email', sql.NVarChar, email)
-            .query('SELECT * FROM Users WHERE Email = @email');
-
-        if (result.recordset.length === 0) {
-            return res.status(401).json({ 
-                success: false, 
-                error: 'Email hoặc mật khẩu không đúng' 
-            });
-        }
-
-        const user = result.recordset[0];
-        const hashedPassword = Buffer.from(password).toString('base64');
+        const login = await authService.loginWithPassword(email, password, {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
 
-        if (user.Password !== hashedPassword) {
+        if (!login) {
             return res.status(401).json({ 
                 success: false, 
                 error: 'Email hoặc mật khẩu không đúng' 
             });
         }
 
-        // Update last login
-        await dbPool.request()
-            .input('userId', sql.NVarChar, user.UserId)
-            .query('UPDATE Users SET LastLoginAt = GETDATE() WHERE UserId = @userId');
-
         console.log(`[API] User logged in: ${email}`);
 
         res.json({ 
             success: true, 
             message: 'Đăng nhập thành công!',
             data: {
-                userId: user.UserId,
-                email: user.Email,
-                name: user.Name,
-                studentId: user.StudentId,
-                role: user.Role || 'Student'
+                ...login.user,
+                accessToken: login.accessToken,
+                refreshToken: login.refreshToken,
+                tokenType: login.tokenType,
+                expiresIn: login.expiresIn,
+                refreshExpiresAt: login.refreshExpiresAt
             }
         });
     } catch (error) {
@@ -781,12 +950,88 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/auth/microsoft:
+ *   post:
+ *     summary: Đăng nhập bằng tài khoản Microsoft của trường
+ *     description: Nhận ID token (hoặc access token cấp cho API này) từ Microsoft Entra ID
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               accessToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đăng nhập thành công
+ *       401:
+ *         description: Token không hợp lệ
+ *       403:
+ *         description: Email không thuộc tên miền của trường
+ */
+app.post('/api/auth/microsoft', async (req, res) => {
+    try {
+        const validation = validator.validateLoginRequest(req.body);
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        const login = await authService.authenticateWithMicrosoft(req.body.accessToken, req.body.tokenType, {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        console.log('[API] User logged in with Microsoft:', login.user.email);
+
+        res.json({
+            success: true,
+            message: 'Đăng nhập thành công!',
+            data: {
+                ...login.user,
+                accessToken: login.accessToken,
+                refreshToken: login.refreshToken,
+                tokenType: login.tokenType,
+                expiresIn: login.expiresIn,
+                refreshExpiresAt: login.refreshExpiresAt
+            }
+        });
+    } catch (error) {
+        if (error.message.includes('Invalid Microsoft token')) {
+            return res.status(401).json({ success: false, error: 'Token Microsoft không hợp lệ' });
+        }
+        if (error.message.includes('Email domain not allowed')) {
+            return res.status(403).json({ success: false, error: 'Vui lòng đăng nhập bằng email của trường' });
+        }
+        if (error.message.includes('not configured')) {
+            return res.status(503).json({ success: false, error: 'Chưa cấu hình đăng nhập Microsoft' });
+        }
+
+        console.error('[API] Error logging in with Microsoft:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi đăng nhập',
+            message: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/users:
  *   post:
- *     summary: Lưu/cập nhật thông tin user
+ *     summary: Lưu/cập nhật thông tin user đang đăng nhập
  *     tags: [Users]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -800,22 +1045,32 @@ app.post('/api/auth/login', async (req, res) => {
  *                 type: string
  *               name:
  *                 type: string
- *               role:
- *                 type: string
+ *     description: Chỉ lưu được user của chính mình (email là email đăng nhập). Role không đổi được ở đây (user mới là Student) - dùng PUT /api/users/{userId}/role
  *     responses:
  *       200:
  *         description: Lưu user thành công
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: userId/email thuộc về user khác
+ *       409:
+ *         description: Email đã có user với userId khác (trả về user đó)
  */
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', requireAuth, async (req, res) => {
     try {
-        const { userId, email, name, role } = req.body;
-        
-        if (!userId || !email) {
+        const { userId, email: requestedEmail, name } = req.body || {};
+        // The row always carries the signed-in email, so nobody can point another user's row at theirs
+        const email = req.user.email;
+
+        if (!userId) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Thiếu thông tin userId hoặc email' 
+                error: 'Thiếu thông tin userId' 
             });
         }
+        if (requestedEmail && !resolveUserId(req.user, requestedEmail)) {
+            return res.status(403).json({ success: false, error: 'Bạn chỉ có thể truy cập dữ liệu của chính mình' });
+        }
 
         const dbPool = await getUsersPool();
         
@@ -835,20 +1090,48 @@ app.post('/api/users', async (req, res) => {
         // Kiểm tra user đã tồn tại chưa
         const checkResult = await dbPool.request()
             .input('userId', sql.NVarChar, userId)
-            .query('SELECT UserId FROM Users WHERE UserId = @userId');
+            .query('SELECT UserId, Email, Role FROM Users WHERE UserId = @userId');
+
+        if (checkResult.recordset.length > 0 && !resolveUserId(req.user, checkResult.recordset[0].Email)) {
+            return res.status(403).json({ success: false, error: 'Bạn chỉ có thể truy cập dữ liệu của chính mình' });
+        }
+
+        // One row per email: a new userId for an email that already has a row is a conflict
+        if (checkResult.recordset.length === 0) {
+            const existingResult = await dbPool.request()
+                .input('email', sql.NVarChar, email)
+                .query('SELECT TOP 1 UserId, Email, Name, Role FROM Users WHERE Email = @email');
+
+            if (existingResult.recordset.length > 0) {
+                const existing = existingResult.recordset[0];
+                return res.status(409).json({
+                    success: false,
+                    error: 'Email đã có user khác, hãy dùng userId hiện có',
+                    data: {
+                        userId: existing.UserId,
+                        email: existing.Email,
+                        name: existing.Name,
+                        role: existing.Role
+                    }
+                });
+            }
+        }
+
+        // Roles only change through PUT /api/users/:userId/role (admins)
+        let role = 'Student';
 
         if (checkResult.recordset.length > 0) {
+            role = checkResult.recordset[0].Role || role;
+
             // Update existing user
             await dbPool.request()
                 .input('userId', sql.NVarChar, userId)
                 .input('email', sql.NVarChar, email)
                 .input('name', sql.NVarChar, name || '')
-                .input('role', sql.NVarChar, role || 'Student')
                 .query(`
                     UPDATE Users 
                     SET Email = @email, 
                         Name = @name,
-                        Role = @role,
                         LastLoginAt = GETDATE()
                     WHERE UserId = @userId
                 `);
@@ -859,7 +1142,7 @@ app.post('/api/users', async (req, res) => {
                 .input('userId', sql.NVarChar, userId)
                 .input('email', sql.NVarChar, email)
                 .input('name', sql.NVarChar, name || '')
-                .input('role', sql.NVarChar, role || 'Student')
+                .input('role', sql.NVarChar, role)
                 .query(`
                     INSERT INTO Users (UserId, Email, Name, Role)
                     VALUES (@userId, @email, @name, @role)
@@ -884,10 +1167,18 @@ app.post('/api/users', async (req, res) => {
 
 /**
  * @swagger
- * /api/schedules:
- *   post:
- *     summary: Lưu thời khóa biểu với thông tin chi tiết
- *     tags: [Schedules]
+ * /api/users/{userId}/role:
+ *   put:
+ *     summary: Đổi role của user (Student, Advisor, Admin) - chỉ Admin
+ *     description: Thay đổi được ghi vào log hoạt động; các phiên đăng nhập của user bị thu hồi
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: UserId hoặc email
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -895,7 +1186,67 @@ app.post('/api/users', async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               userId:
+ *               role:
+ *                 type: string
+ *                 enum: [Student, Advisor, Admin]
+ *     responses:
+ *       200:
+ *         description: Đã đổi role
+ *       403:
+ *         description: Không có quyền đổi role
+ *       404:
+ *         description: Không tìm thấy user
+ *       422:
+ *         description: Role không hợp lệ
+ */
+app.put('/api/users/:userId/role', requirePermission(PERMISSIONS.MANAGE_ROLES), async (req, res) => {
+    try {
+        const role = normalizeRole((req.body || {}).role);
+
+        if (!role) {
+            return res.status(422).json({
+                success: false,
+                error: 'Validation failed',
+                errors: [{ field: 'role', code: 'INVALID_VALUE', message: `role must be one of: ${Object.values(ROLES).join(', ')}` }]
+            });
+        }
+
+        const result = await authService.changeUserRole(req.params.userId, role, req.user, { ipAddress: req.ip });
+
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy user' });
+        }
+
+        console.log('[API] Role changed:', { userId: result.user.userId, from: result.previousRole, to: role });
+        res.json({
+            success: true,
+            message: 'Đã cập nhật role',
+            data: { ...result.user, previousRole: result.previousRole }
+        });
+    } catch (error) {
+        console.error('[API] Error changing role:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi cập nhật role',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   post:
+ *     summary: Lưu thời khóa biểu với thông tin chi tiết
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
  *                 type: string
  *               courses:
  *                 type: array
@@ -928,177 +1279,122 @@ app.post('/api/users', async (req, res) => {
 // app.get('/api/schedules/:userId') conflicts with /api/schedules/:scheduleId
 
 /**
- * @swagger
- * /api/auth/signup:
- *   post:
- *     summary: Đăng ký tài khoản mới
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               studentId:
- *                 type: string
- *               password:
- *                 type: string
- *     responses:
- *       201:
- *         description: Đăng ký thành công
- *       400:
- *         description: Thiếu thông tin hoặc email đã tồn tại
+ * POST /api/auth/refresh
+ * New access token and refresh token for a refresh token from /api/auth/login
+ * Each refresh token works once; replaying a used one signs out that device
+ * Body: { refreshToken }
  */
-app.post('/api/auth/signup', async (req, res) => {
+app.post('/api/auth/refresh', async (req, res) => {
     try {
-        const { name, email, studentId, password } = req.body;
+        const refreshToken = req.body && req.body.refreshToken;
 
-        // Validate input
-        if (!name || !email || !studentId || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Vui lòng điền đầy đủ thông tin'
-            });
+        if (!refreshToken) {
+            return res.status(400).json({ success: false, error: 'refreshToken is required' });
         }
 
-        const dbPool = await getUsersPool();
-
-        // Check if email already exists
-        const existingUser = await dbPool.request()
-            .input('email', sql.NVarChar, email)
-            .query('SELECT UserId FROM Users WHERE Email = @email');
+        const result = await authService.refreshToken(refreshToken);
 
-        if (existingUser.recordset.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email đã được sử dụng'
-            });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        if (error.message.includes('Invalid refresh token')) {
+            return res.status(401).json({ success: false, error: 'Phiên đăng nhập đã hết hạn, vui lòng đăng nhập lại' });
         }
 
-        // Hash password (simple base64 for demo - use bcrypt in production)
-        const hashedPassword = Buffer.from(password).toString('base64');
-
-        // Insert new user
-        const result = await dbPool.request()
-            .input('email', sql.NVarChar, email)
-            .input('name', sql.NVarChar, name)
-            .input('studentId', sql.NVarChar, studentId)
-            .input('password', sql.NVarChar, hashedPassword)
-            .input('role', sql.NVarChar, 'student')
-            .query(`
-                INSERT INTO Users (Email, Name, StudentId, Password, Role)
-                OUTPUT INSERTED.UserId, INSERTED.Email, INSERTED.Name, INSERTED.StudentId, INSERTED.Role
-                VALUES (@email, @name, @studentId, @password, @role)
-            `);
-
-        const newUser = result.recordset[0];
+        console.error('[API] Error refreshing token:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi làm mới phiên đăng nhập',
+            message: error.message
+        });
+    }
+});
 
-        console.log('[API] User created:', newUser.Email);
+/**
+ * POST /api/auth/logout
+ * End the session of the access token; its refresh token stops working
+ */
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await authService.logout(req.get('authorization').replace(/^Bearer\s+/i, ''));
 
-        res.status(201).json({
-            success: true,
-            message: 'Đăng ký thành công',
-            user: {
-                id: newUser.UserId,
-                email: newUser.Email,
-                name: newUser.Name,
-                studentId: newUser.StudentId,
-                role: newUser.Role
-            }
-        });
+        console.log('[API] User logged out:', req.user.email);
+        res.json({ success: true, message: 'Đăng xuất thành công' });
     } catch (error) {
-        console.error('[API] Signup error:', error);
+        console.error('[API] Error logging out:', error);
         res.status(500).json({
             success: false,
-            error: 'Lỗi khi đăng ký',
+            error: 'Lỗi khi đăng xuất',
             message: error.message
         });
     }
 });
 
 /**
- * @swagger
- * /api/auth/login:
- *   post:
- *     summary: Đăng nhập
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *               password:
- *                 type: string
- *     responses:
- *       200:
- *         description: Đăng nhập thành công
- *       401:
- *         description: Email hoặc mật khẩu không đúng
+ * GET /api/auth/sessions
+ * The signed-in user's open sessions (devices); the one making the request has current: true
  */
-app.post('/api/auth/login', async (req, res) => {
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
     try {
-        const { email, password } = req.body;
-
-        // Validate input
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Vui lòng nhập email và mật khẩu'
-            });
-        }
+        const sessions = await authService.listSessions(req.user);
 
-        const dbPool = await getUsersPool();
+        res.json({ success: true, data: sessions });
+    } catch (error) {
+        console.error('[API] Error listing sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi lấy danh sách phiên đăng nhập',
+            message: error.message
+        });
+    }
+});
 
-        // Find user
-        const result = await dbPool.request()
-            .input('email', sql.NVarChar, email)
-            .query('SELECT UserId, Email, Name, StudentId, Password, Role FROM Users WHERE Email = @email');
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out one device
+ */
+app.delete('/api/auth/sessions/:sessionId', requireAuth, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
 
-        if (result.recordset.length === 0) {
-            return res.status(401).json({
-                success: false,
-                error: 'Email hoặc mật khẩu không đúng'
-            });
+        if (isNaN(sessionId)) {
+            return res.status(400).json({ success: false, error: 'Invalid sessionId' });
         }
 
-        const user = result.recordset[0];
+        const revoked = await authService.revokeSession(req.user, sessionId);
 
-        // Verify password
-        const hashedPassword = Buffer.from(password).toString('base64');
-        if (user.Password !== hashedPassword) {
-            return res.status(401).json({
-                success: false,
-                error: 'Email hoặc mật khẩu không đúng'
-            });
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy phiên đăng nhập' });
         }
 
-        console.log('[API] User logged in:', user.Email);
+        console.log('[API] Session revoked:', sessionId);
+        res.json({ success: true, message: 'Đã đăng xuất thiết bị' });
+    } catch (error) {
+        console.error('[API] Error revoking session:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi thu hồi phiên đăng nhập',
+            message: error.message
+        });
+    }
+});
 
-        res.json({
-            success: true,
-            message: 'Đăng nhập thành công',
-            user: {
-                id: user.UserId,
-                email: user.Email,
-                name: user.Name,
-                studentId: user.StudentId,
-                role: user.Role
-            }
+/**
+ * DELETE /api/auth/sessions?exceptCurrent=true
+ * Sign out all devices; exceptCurrent keeps the one making the request
+ */
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const revoked = await authService.revokeAllSessions(req.user, {
+            exceptCurrent: validator.sanitizeBoolean(req.query.exceptCurrent)
         });
+
+        console.log('[API] Sessions revoked for', req.user.email + ':', revoked);
+        res.json({ success: true, message: 'Đã đăng xuất khỏi các thiết bị', data: { revoked } });
     } catch (error) {
-        console.error('[API] Login error:', error);
+        console.error('[API] Error revoking sessions:', error);
         res.status(500).json({
             success: false,
-            error: 'Lỗi khi đăng nhập',
+            error: 'Lỗi khi thu hồi phiên đăng nhập',
             message: error.message
         });
     }
@@ -1110,26 +1406,135 @@ app.post('/api/auth/login', async (req, res) => {
 
 const { ScheduleService } = require('./src/services/schedule-service');
 const scheduleService = new ScheduleService();
+const { ScheduleGeneratorService } = require('./src/services/schedule-generator-service');
+const scheduleGeneratorService = new ScheduleGeneratorService();
+const { ScheduleOptimizerService } = require('./src/services/schedule-optimizer-service');
+const scheduleOptimizerService = new ScheduleOptimizerService();
+const { ScheduleScoringService } = require('./src/services/schedule-scoring-service');
+const scheduleScoringService = new ScheduleScoringService();
+const { CalendarService } = require('./src/services/calendar-service');
+const calendarService = new CalendarService();
+const { ScheduleExportService, EXPORT_FORMATS } = require('./src/services/schedule-export-service');
+const scheduleExportService = new ScheduleExportService();
+const { ScheduleImportService } = require('./src/services/schedule-import-service');
+const scheduleImportService = new ScheduleImportService();
+const { ScheduleComparisonService } = require('./src/services/schedule-comparison-service');
+const scheduleComparisonService = new ScheduleComparisonService();
+const { EnrollmentService } = require('./src/services/enrollment-service');
+const enrollmentService = new EnrollmentService();
+
+/**
+ * Send a ResponseHelper.fileDownload result through Express
+ */
+const sendDownload = (res, download) => {
+    res.status(download.status).set(download.headers).send(download.body);
+};
+
+/**
+ * Map a rejected save (unknown courses / conflicts) to an HTTP response
+ */
+const sendScheduleRejection = (res, result) => {
+    const status = result.code === 'SCHEDULE_CONFLICT' ? 409 : 422;
+    res.status(status).json({
+        success: false,
+        code: result.code,
+        error: result.error,
+        conflicts: result.conflicts,
+        unknownCourses: result.unknownCourses,
+        report: result.report
+    });
+};
+
+// Schedules, share links and calendar feed settings belong to the signed-in user
+// (Authorization: Bearer <accessToken> from /api/auth/login). Advisors and admins
+// may also read other students' schedules; only the owner changes them
+app.use('/api/schedules', requireAuth);
+app.use('/api/shares', requireAuth);
+app.use('/api/calendar/feed', requireAuth);
+
+/**
+ * The userId a request names (body or query), checked against the signed-in user
+ * Defaults to the signed-in user; sends 403 and returns null for somebody else's
+ * @param {boolean} readOnly - Let users who may view any schedule name another user
+ */
+const getOwnUserId = (req, res, requestedUserId, readOnly = false) => {
+    const userId = (readOnly ? resolveReadableUserId : resolveUserId)(req.user, requestedUserId);
+    if (!userId) {
+        res.status(403).json({ success: false, error: 'Bạn chỉ có thể truy cập dữ liệu của chính mình' });
+    }
+    return userId;
+};
+
+/**
+ * Whether the signed-in user owns a schedule (false also when it does not exist)
+ * @param {boolean} readOnly - Also true for other users' schedules when the role may view any
+ */
+const ownsSchedule = async (req, scheduleId, readOnly = false) => {
+    const owner = await scheduleService.getScheduleOwner(scheduleId);
+    return Boolean(owner) && (readOnly ? resolveReadableUserId : resolveUserId)(req.user, owner) !== null;
+};
+
+/**
+ * Read-only routes addressed by :scheduleId alone: 404 unless the signed-in user may view the schedule
+ */
+const requireScheduleReader = async (req, res, next) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+        if (!(await ownsSchedule(req, scheduleId, true))) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('[API] Error checking schedule owner:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi kiểm tra quyền truy cập', message: error.message });
+    }
+};
 
 /**
  * POST /api/schedules
  * Create new schedule
+ * Body: { userId, scheduleName, courses, user?, semesterCode?, description?, color?, strict? }
+ * strict (default true) rejects conflicting courses with 409; strict=false saves and returns them as warnings
  */
 app.post('/api/schedules', async (req, res) => {
     try {
-        const { userId, scheduleName, courses, user } = req.body;
+        const { scheduleName, courses, user, semesterCode, description, color, strict } = req.body;
+        const userId = getOwnUserId(req, res, req.body.userId);
+        if (!userId) return;
 
         console.log('[API] Creating schedule for user:', userId);
 
-        if (!userId || !courses || !Array.isArray(courses) || courses.length === 0) {
+        if (!courses || !Array.isArray(courses) || courses.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'userId and courses array are required'
+                error: 'courses array is required'
             });
         }
 
-        const userData = user || { email: userId };
-        const result = await scheduleService.createSchedule(userId, scheduleName, courses, userData);
+        if (scheduleName !== undefined || description !== undefined || color !== undefined) {
+            const validation = validator.validateScheduleMetadataRequest(req.body);
+            if (!validation.isValid) {
+                return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+            }
+        }
+
+        const userData = { name: user && user.name, studentId: user && user.studentId, email: userId };
+        const result = await scheduleService.createSchedule(userId, scheduleName, courses, userData, {
+            semesterCode,
+            description,
+            color,
+            strict: strict !== false && strict !== 'false'
+        });
+
+        if (!result.success) {
+            console.log('[API] Schedule rejected:', result.code);
+            return sendScheduleRejection(res, result);
+        }
 
         console.log('[API] Schedule created successfully:', result.scheduleId);
 
@@ -1149,60 +1554,1328 @@ app.post('/api/schedules', async (req, res) => {
 });
 
 /**
- * GET /api/schedules/user/:userId
- * Get all schedules for a user
+ * POST /api/schedules/generate
+ * Generate ranked conflict-free timetables from a list of subjects
+ * Body: { semesterCode, subjects, algorithmType?, maxRecommendations?,
+ *         useExistingPreferences?, customPreferences? }
  */
-app.get('/api/schedules/user/:userId', async (req, res) => {
+app.post('/api/schedules/generate', async (req, res) => {
     try {
-        const userId = req.params.userId;
+        const validation = validator.validateScheduleGenerationRequest(req.body);
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
 
-        console.log('[API] Getting schedules for user:', userId);
+        console.log('[API] Generating schedules for', req.body.subjects.length, 'subjects in', req.body.semesterCode);
 
-        const result = await scheduleService.getUserSchedules(userId);
+        // Stored preferences are always the signed-in student's own
+        const result = await scheduleGeneratorService.generate({ ...req.body, userId: req.user.email });
+
+        console.log('[API] Generated', result.recommendations.length, 'recommendations in', result.stats.processingTime, 'ms');
 
         res.json({
             success: true,
-            schedules: result.schedules
+            data: result
         });
     } catch (error) {
-        console.error('[API] Error getting schedules:', error);
+        console.error('[API] Error generating schedules:', error);
         res.status(500).json({
             success: false,
-            error: 'Lỗi khi lấy danh sách schedules',
+            error: 'Lỗi khi tạo thời khóa biểu tự động',
             message: error.message
         });
     }
 });
 
 /**
- * GET /api/schedules/:scheduleId
- * Get schedule details with courses
+ * POST /api/schedules/optimize
+ * Try other sections of the same subjects to improve a saved schedule
+ * Body: { semesterCode, baseScheduleId, optimizationGoals?, maxRecommendations? }
+ * Goals (priority order): fewer_days, no_early_periods, fewer_gaps, single_campus_per_day
  */
-app.get('/api/schedules/:scheduleId', async (req, res) => {
+app.post('/api/schedules/optimize', async (req, res) => {
     try {
-        const scheduleId = parseInt(req.params.scheduleId);
+        const validation = validator.validateScheduleOptimizationRequest(req.body);
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
 
-        console.log('[API] Getting schedule details:', scheduleId);
+        if (!(await ownsSchedule(req, parseInt(req.body.baseScheduleId), true))) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
 
-        const result = await scheduleService.getScheduleDetails(scheduleId);
+        console.log('[API] Optimizing schedule:', req.body.baseScheduleId);
+
+        const result = await scheduleOptimizerService.optimize(req.body);
+
+        console.log('[API] Found', result.variants.length, 'improved variants in', result.stats.processingTime, 'ms');
 
         res.json({
             success: true,
-            data: {
-                schedule: result.schedule,
-                courses: result.courses
-            }
+            data: result
         });
     } catch (error) {
-        console.error('[API] Error getting schedule details:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        if (error.message.includes('belongs to')) {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+
+        console.error('[API] Error optimizing schedule:', error);
         res.status(500).json({
             success: false,
-            error: 'Lỗi khi lấy chi tiết schedule',
+            error: 'Lỗi khi tối ưu thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/schedules/import
+ * Create a schedule from a CSV timetable (our export or the registration portal's)
+ * Body: { userId, semesterCode, content, scheduleName?, description?, color?, user?,
+ *         resolutions?: { rowNumber: courseId | null }, skipUnresolved?, dryRun?, strict? }
+ * Unmatched or ambiguous rows are returned with 422 (code UNRESOLVED_ROWS) until resolved or skipped
+ */
+app.post('/api/schedules/import', async (req, res) => {
+    try {
+        const userId = getOwnUserId(req, res, req.body.userId);
+        if (!userId) return;
+
+        const user = req.body.user;
+        const request = {
+            ...req.body,
+            userId,
+            user: { name: user && user.name, studentId: user && user.studentId, email: userId }
+        };
+
+        const validation = validator.validateScheduleImportRequest(request);
+        if (validation.isValid && (req.body.scheduleName !== undefined || req.body.description !== undefined || req.body.color !== undefined)) {
+            validation.errors.push(...validator.validateScheduleMetadataRequest(req.body).errors);
+        }
+        if (validation.errors.length > 0) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        console.log('[API] Importing schedule for user:', userId);
+
+        const result = await scheduleImportService.importSchedule({
+            ...request,
+            strict: req.body.strict !== false && req.body.strict !== 'false'
+        });
+
+        if (!result.success) {
+            console.log('[API] Import rejected:', result.code);
+            return sendScheduleRejection(res, result);
+        }
+
+        console.log('[API] Import matched', result.report.matched.length, 'of', result.report.totalRows, 'rows');
+
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('[API] Error importing schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi nhập thời khóa biểu',
             message: error.message
         });
     }
 });
 
+/**
+ * GET /api/schedules/compare?a=&b=
+ * What changes going from schedule A to schedule B: courses added, removed and moved
+ * to another section, credit delta, load per day and conflicts unique to each
+ * Registered before /api/schedules/:scheduleId so "compare" is not taken for an ID
+ */
+app.get('/api/schedules/compare', async (req, res) => {
+    try {
+        const a = parseInt(req.query.a);
+        const b = parseInt(req.query.b);
+
+        if (isNaN(a) || isNaN(b)) {
+            return res.status(400).json({ success: false, error: 'Query parameters a and b (schedule IDs) are required' });
+        }
+
+        if (!(await ownsSchedule(req, a, true)) || !(await ownsSchedule(req, b, true))) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        console.log('[API] Comparing schedules:', a, 'vs', b);
+
+        const result = await scheduleComparisonService.compare(a, b);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+
+        console.error('[API] Error comparing schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi so sánh thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/schedules/user/:userId?semester=2025A&bookmarked=true&primary=true
+ * Get all schedules for a user, optionally filtered by semester, bookmark and primary flag
+ */
+app.get('/api/schedules/user/:userId', async (req, res) => {
+    try {
+        const userId = getOwnUserId(req, res, req.params.userId, true);
+        if (!userId) return;
+
+        const { bookmarked, primary } = req.query;
+
+        console.log('[API] Getting schedules for user:', userId);
+
+        const result = await scheduleService.getUserSchedules(userId, {
+            semesterCode: req.query.semester || req.query.semesterCode,
+            bookmarked: bookmarked !== undefined ? validator.sanitizeBoolean(bookmarked) : undefined,
+            primary: primary !== undefined ? validator.sanitizeBoolean(primary) : undefined
+        });
+
+        res.json({
+            success: true,
+            schedules: result.schedules
+        });
+    } catch (error) {
+        console.error('[API] Error getting schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi lấy danh sách schedules',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Get schedule details with courses
+ */
+app.get('/api/schedules/:scheduleId', requireScheduleReader, async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        console.log('[API] Getting schedule details:', scheduleId);
+
+        const result = await scheduleService.getScheduleDetails(scheduleId);
+
+        res.json({
+            success: true,
+            data: {
+                schedule: result.schedule,
+                courses: result.courses
+            }
+        });
+    } catch (error) {
+        console.error('[API] Error getting schedule details:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi lấy chi tiết schedule',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/schedules/:scheduleId/export.ics
+ * Download the schedule as an iCalendar file, one event per teaching session
+ */
+app.get('/api/schedules/:scheduleId/export.ics', requireScheduleReader, async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        console.log('[API] Exporting schedule to iCalendar:', scheduleId);
+
+        const calendar = await calendarService.exportSchedule(scheduleId);
+
+        console.log('[API] Exported', calendar.eventCount, 'events, skipped', calendar.skippedCourses.length, 'courses');
+
+        sendDownload(res, responseHelper.fileDownload(
+            Buffer.from(calendar.content, 'utf8'),
+            calendar.fileName,
+            'text/calendar; charset=utf-8'
+        ));
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        if (error.message.includes('no start date') || error.message.includes('no semester')) {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+
+        console.error('[API] Error exporting schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi xuất lịch',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/schedules/:scheduleId/export.:format
+ * Download the schedule as CSV/XLSX (one row per meeting) or as a weekly grid (HTML/PDF)
+ * HTML is served inline so it can be printed straight from the browser
+ */
+app.get('/api/schedules/:scheduleId/export.:format', requireScheduleReader, async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+        const format = req.params.format.toLowerCase();
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported format, use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}, ics`
+            });
+        }
+
+        console.log('[API] Exporting schedule:', scheduleId, 'as', format);
+
+        const file = await scheduleExportService.exportSchedule(scheduleId, format);
+        const download = responseHelper.fileDownload(file.content, file.fileName, file.contentType);
+
+        if (format === 'html') {
+            download.headers['Content-Disposition'] = `inline; filename="${file.fileName}"`;
+        }
+
+        sendDownload(res, download);
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+
+        console.error('[API] Error exporting schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi xuất thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/schedules/:scheduleId/score
+ * Per-criterion score of a saved schedule against its owner's preferences
+ */
+app.get('/api/schedules/:scheduleId/score', requireScheduleReader, async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        console.log('[API] Scoring schedule:', scheduleId);
+
+        const result = await scheduleScoringService.scoreSavedSchedule(scheduleId);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+
+        console.error('[API] Error scoring schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi chấm điểm thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/schedules/:scheduleId
+ * Replace the courses of a schedule, with the same conflict validation as create
+ * Body: { userId, courses, strict? }
+ */
+app.put('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+        const { courses, strict } = req.body;
+        const userId = getOwnUserId(req, res, req.body.userId);
+        if (!userId) return;
+
+        if (!Array.isArray(courses) || courses.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'courses array is required'
+            });
+        }
+
+        const result = await scheduleService.updateSchedule(scheduleId, userId, courses, {
+            strict: strict !== false && strict !== 'false'
+        });
+
+        if (result.code) {
+            return sendScheduleRejection(res, result);
+        }
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: result.message });
+        }
+
+        res.json({
+            success: true,
+            message: result.message,
+            data: {
+                scheduleId,
+                totalCredits: result.totalCredits,
+                previousVersion: result.previousVersion,
+                warnings: result.warnings,
+                corrections: result.corrections
+            }
+        });
+    } catch (error) {
+        console.error('[API] Error updating schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi cập nhật thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/schedules/:scheduleId/versions?userId=
+ * Earlier course lists of the schedule, newest first, with what each later update changed
+ */
+app.get('/api/schedules/:scheduleId/versions', async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        const userId = getOwnUserId(req, res, req.query.userId, true);
+        if (!userId) return;
+
+        const result = await scheduleService.getScheduleVersions(scheduleId, userId);
+
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                scheduleId,
+                currentUpdatedAt: result.currentUpdatedAt,
+                versions: result.versions
+            }
+        });
+    } catch (error) {
+        console.error('[API] Error getting schedule versions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi lấy lịch sử thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/schedules/:scheduleId/versions/:version/restore
+ * Roll the courses back to an earlier version; the current list becomes a new version
+ * Body: { userId, strict? }
+ */
+app.post('/api/schedules/:scheduleId/versions/:version/restore', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const scheduleId = parseInt(req.params.scheduleId);
+        const version = parseInt(req.params.version);
+        const { strict } = body;
+
+        if (isNaN(scheduleId) || isNaN(version)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId or version' });
+        }
+
+        const userId = getOwnUserId(req, res, body.userId);
+        if (!userId) return;
+
+        const result = await scheduleService.restoreScheduleVersion(scheduleId, userId, version, {
+            strict: strict !== false && strict !== 'false'
+        });
+
+        if (result.code) {
+            return sendScheduleRejection(res, result);
+        }
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: result.message });
+        }
+
+        console.log('[API] Schedule', scheduleId, 'restored to version', version);
+
+        res.json({
+            success: true,
+            message: 'Đã khôi phục thời khóa biểu',
+            data: {
+                scheduleId,
+                restoredVersion: result.restoredVersion,
+                previousVersion: result.previousVersion,
+                totalCredits: result.totalCredits,
+                warnings: result.warnings
+            }
+        });
+    } catch (error) {
+        console.error('[API] Error restoring schedule version:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi khôi phục thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/schedules/:scheduleId/apply
+ * Enroll in every course of the schedule in one transaction; if any course fails
+ * nothing is enrolled. Full sections fail too unless waitlist is set.
+ * The applied schedule becomes the primary one of its semester
+ * Body: { userId, waitlist? }
+ */
+app.post('/api/schedules/:scheduleId/apply', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const scheduleId = parseInt(req.params.scheduleId);
+        const { waitlist } = body;
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        const userId = getOwnUserId(req, res, body.userId);
+        if (!userId) return;
+
+        console.log('[API] Applying schedule:', scheduleId);
+
+        const result = await enrollmentService.applySchedule(scheduleId, userId, {
+            waitlist: validator.sanitizeBoolean(waitlist)
+        });
+
+        if (result.code) {
+            return res.status(result.code === 'ENROLLMENT_FAILED' ? 409 : 422).json({
+                success: false,
+                code: result.code,
+                error: result.error,
+                outcomes: result.outcomes,
+                conflicts: result.conflicts
+            });
+        }
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        res.json({
+            success: true,
+            message: result.message,
+            data: result.data
+        });
+    } catch (error) {
+        console.error('[API] Error applying schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi đăng ký học phần',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/schedules/:scheduleId
+ * Rename a schedule or change its description/color
+ * Body: { userId, scheduleName?, description?, color? }
+ */
+app.patch('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const scheduleId = parseInt(req.params.scheduleId);
+        const { scheduleName, description, color } = body;
+
+        const userId = getOwnUserId(req, res, body.userId);
+        if (!userId) return;
+
+        const validation = validator.validateScheduleMetadataRequest(body);
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        const result = await scheduleService.updateScheduleInfo(scheduleId, userId, { scheduleName, description, color });
+
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        res.json({ success: true, message: result.message, data: result.data });
+    } catch (error) {
+        console.error('[API] Error renaming schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi cập nhật thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/schedules/:scheduleId/duplicate
+ * Clone a schedule with its courses under a new name
+ * Body: { userId, scheduleName? }
+ */
+app.post('/api/schedules/:scheduleId/duplicate', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const scheduleId = parseInt(req.params.scheduleId);
+        const { scheduleName } = body;
+
+        const userId = getOwnUserId(req, res, body.userId);
+        if (!userId) return;
+
+        if (scheduleName !== undefined) {
+            const validation = validator.validateScheduleMetadataRequest({ scheduleName }, true);
+            if (!validation.isValid) {
+                return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+            }
+        }
+
+        const result = await scheduleService.duplicateSchedule(scheduleId, userId, scheduleName);
+
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        console.log('[API] Schedule duplicated:', scheduleId, '->', result.data.scheduleId);
+        res.status(201).json({ success: true, message: result.message, data: result.data });
+    } catch (error) {
+        console.error('[API] Error duplicating schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi sao chép thời khóa biểu',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/schedules/:scheduleId/bookmark   Body: { userId }
+ * DELETE /api/schedules/:scheduleId/bookmark?userId=
+ * Star or unstar a schedule
+ */
+const handleBookmark = (bookmarked) => async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        const userId = getOwnUserId(req, res, (req.body && req.body.userId) || req.query.userId);
+        if (!userId) return;
+
+        const result = await scheduleService.setBookmark(scheduleId, userId, bookmarked);
+
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: result.message });
+        }
+
+        res.json({ success: true, message: result.message, data: result.data });
+    } catch (error) {
+        console.error('[API] Error updating bookmark:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi đánh dấu thời khóa biểu',
+            message: error.message
+        });
+    }
+};
+
+app.post('/api/schedules/:scheduleId/bookmark', handleBookmark(true));
+app.delete('/api/schedules/:scheduleId/bookmark', handleBookmark(false));
+
+/**
+ * POST /api/schedules/:scheduleId/primary   Body: { userId }
+ * DELETE /api/schedules/:scheduleId/primary?userId=
+ * Make the schedule the user's primary one for its semester (replacing the previous one),
+ * or clear it. The primary schedule drives the calendar feed and enrollment
+ */
+const handlePrimary = (isPrimary) => async (req, res) => {
+    try {
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        const userId = getOwnUserId(req, res, (req.body && req.body.userId) || req.query.userId);
+        if (!userId) return;
+
+        const result = await scheduleService.setPrimarySchedule(scheduleId, userId, isPrimary);
+
+        if (result.code) {
+            return res.status(409).json({ success: false, code: result.code, error: result.error });
+        }
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        console.log('[API] Primary schedule updated:', scheduleId, isPrimary);
+        res.json({ success: true, message: result.message, data: result.data });
+    } catch (error) {
+        console.error('[API] Error updating primary schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi đặt thời khóa biểu chính',
+            message: error.message
+        });
+    }
+};
+
+app.post('/api/schedules/:scheduleId/primary', handlePrimary(true));
+app.delete('/api/schedules/:scheduleId/primary', handlePrimary(false));
+
+/**
+ * POST /api/schedules/:scheduleId/share
+ * Create a read-only link to the schedule that works without an account
+ * Body: { userId, expiresAt? }
+ */
+app.post('/api/schedules/:scheduleId/share', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const scheduleId = parseInt(req.params.scheduleId);
+
+        if (isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        const userId = getOwnUserId(req, res, body.userId);
+        if (!userId) return;
+
+        const validation = validator.validateShareLinkRequest({ ...body, userId });
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        const { expiresAt } = body;
+        const result = await scheduleService.createShareLink(scheduleId, userId, expiresAt ? new Date(expiresAt) : null);
+
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy thời khóa biểu' });
+        }
+
+        console.log('[API] Share link created for schedule:', scheduleId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Store this URL now - it cannot be shown again',
+            data: {
+                ...result.data,
+                shareUrl: `${req.protocol}://${req.get('host')}/api/shared/${result.data.token}`
+            }
+        });
+    } catch (error) {
+        console.error('[API] Error creating share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi tạo liên kết chia sẻ',
+            message: error.message
+        });
+    }
+});
+
+// =========================================
+// SHARE LINK ENDPOINTS
+// =========================================
+
+/**
+ * GET /api/shared/:token
+ * Read-only schedule behind a share link; no account needed, owner details left out
+ */
+app.get('/api/shared/:token', async (req, res) => {
+    try {
+        const result = await scheduleService.getSharedSchedule(req.params.token);
+
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: result.error });
+        }
+
+        res.set('Cache-Control', 'no-store').json({
+            success: true,
+            data: result.schedule
+        });
+    } catch (error) {
+        console.error('[API] Error getting shared schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi lấy thời khóa biểu được chia sẻ',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/shares?userId=&scheduleId=
+ * The user's active share links, optionally of one schedule
+ */
+app.get('/api/shares', async (req, res) => {
+    try {
+        const scheduleId = req.query.scheduleId ? parseInt(req.query.scheduleId) : null;
+
+        if (Number.isNaN(scheduleId)) {
+            return res.status(400).json({ success: false, error: 'Invalid scheduleId' });
+        }
+
+        const userId = getOwnUserId(req, res, req.query.userId);
+        if (!userId) return;
+
+        const result = await scheduleService.getShareLinks(userId, scheduleId);
+
+        res.json({ success: true, data: result.links });
+    } catch (error) {
+        console.error('[API] Error listing share links:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi lấy danh sách liên kết chia sẻ',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/shares/:shareId?userId=
+ * Revoke a share link; the URL stops working immediately
+ */
+app.delete('/api/shares/:shareId', async (req, res) => {
+    try {
+        const shareId = parseInt(req.params.shareId);
+
+        if (isNaN(shareId)) {
+            return res.status(400).json({ success: false, error: 'Invalid shareId' });
+        }
+
+        const userId = getOwnUserId(req, res, req.query.userId || (req.body && req.body.userId));
+        if (!userId) return;
+
+        const result = await scheduleService.revokeShareLink(shareId, userId);
+
+        if (!result.success) {
+            return res.status(404).json({ success: false, error: result.message });
+        }
+
+        console.log('[API] Share link revoked:', shareId);
+        res.json({ success: true, message: result.message });
+    } catch (error) {
+        console.error('[API] Error revoking share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi thu hồi liên kết chia sẻ',
+            message: error.message
+        });
+    }
+});
+
+// =========================================
+// CALENDAR FEED ENDPOINTS
+// =========================================
+
+/**
+ * POST /api/calendar/feed
+ * Issue a secret feed URL for the user's current schedule; replaces any previous URL
+ * Body: { userId }
+ */
+app.post('/api/calendar/feed', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const userId = getOwnUserId(req, res, body.userId);
+        if (!userId) return;
+
+        console.log('[API] Issuing calendar feed token for:', userId);
+
+        const { token, createdAt } = await calendarService.createFeedToken(userId);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                feedUrl: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`,
+                token,
+                createdAt
+            },
+            message: 'Store this URL now - it cannot be shown again'
+        });
+    } catch (error) {
+        console.error('[API] Error issuing calendar feed token:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi tạo liên kết lịch',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/calendar/feed?userId=
+ * Whether the user has an active feed
+ */
+app.get('/api/calendar/feed', async (req, res) => {
+    try {
+        const userId = getOwnUserId(req, res, req.query.userId);
+        if (!userId) return;
+
+        const status = await calendarService.getFeedStatus(userId);
+
+        res.json({ success: true, data: status });
+    } catch (error) {
+        console.error('[API] Error getting calendar feed status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi lấy trạng thái liên kết lịch',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/calendar/feed?userId=
+ * Revoke the user's feed URL
+ */
+app.delete('/api/calendar/feed', async (req, res) => {
+    try {
+        const userId = getOwnUserId(req, res, req.query.userId || (req.body && req.body.userId));
+        if (!userId) return;
+
+        console.log('[API] Revoking calendar feed tokens for:', userId);
+
+        const result = await calendarService.revokeFeedTokens(userId);
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('[API] Error revoking calendar feed tokens:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi thu hồi liên kết lịch',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/calendar/:token.ics
+ * Subscribed calendar feed; the token in the URL is the only credential
+ */
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+        const calendar = await calendarService.getFeed(req.params.token);
+
+        if (!calendar) {
+            return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+        }
+
+        res.status(200)
+            .set({
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Cache-Control': 'no-cache'
+            })
+            .send(calendar);
+    } catch (error) {
+        console.error('[API] Error building calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Lỗi khi tạo lịch',
+            message: error.message
+        });
+    }
+});
+
+// =========================================
+// ADMIN ENDPOINTS
+// =========================================
+
+/**
+ * @swagger
+ * /api/admin/period-times:
+ *   get:
+ *     summary: Xem bảng quy đổi tiết học sang giờ (mặc định và theo cơ sở/học kỳ)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: false
+ *         description: Dùng cho script; người dùng gửi access token của Admin
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bảng tiết học
+ *       403:
+ *         description: Không có quyền admin
+ */
+app.get('/api/admin/period-times', requireCatalogManager, async (req, res) => {
+    try {
+        const tables = await periodTimeService.getPeriodTables();
+        res.json({ success: true, data: tables });
+    } catch (error) {
+        console.error('[API] Error getting period times:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi lấy bảng tiết học', message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/period-times:
+ *   put:
+ *     summary: Cập nhật bảng tiết học cho mặc định, một cơ sở và/hoặc một học kỳ
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: false
+ *         description: Dùng cho script; người dùng gửi access token của Admin
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               campusCode:
+ *                 type: string
+ *               semesterCode:
+ *                 type: string
+ *               periods:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: integer
+ *                     startTime:
+ *                       type: string
+ *                     endTime:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Đã cập nhật
+ *       422:
+ *         description: Dữ liệu không hợp lệ
+ */
+app.put('/api/admin/period-times', requireCatalogManager, async (req, res) => {
+    try {
+        const validation = validator.validatePeriodTableRequest(req.body || {});
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        const { campusCode, semesterCode, periods } = req.body;
+        const result = await periodTimeService.updatePeriodTable({ campusCode, semesterCode }, periods);
+
+        console.log('[API] Period times updated:', { campusCode, semesterCode, count: periods.length });
+        res.json({ success: true, message: 'Đã cập nhật bảng tiết học', data: result });
+    } catch (error) {
+        console.error('[API] Error updating period times:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi cập nhật bảng tiết học', message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/period-times:
+ *   delete:
+ *     summary: Xóa bảng tiết học của một cơ sở/học kỳ (quay về bảng mặc định)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: false
+ *         description: Dùng cho script; người dùng gửi access token của Admin
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: campusCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semesterCode
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đã xóa
+ */
+app.delete('/api/admin/period-times', requireCatalogManager, async (req, res) => {
+    try {
+        const { campusCode, semesterCode } = req.query;
+        const result = await periodTimeService.deletePeriodTable({ campusCode, semesterCode });
+
+        res.json({ success: true, message: 'Đã xóa bảng tiết học', data: result });
+    } catch (error) {
+        console.error('[API] Error deleting period times:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi xóa bảng tiết học', message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/semesters:
+ *   get:
+ *     summary: Danh sách học kỳ trong danh mục
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: false
+ *         description: Dùng cho script; người dùng gửi access token của Admin
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Danh sách học kỳ
+ *       403:
+ *         description: Không có quyền admin
+ */
+app.get('/api/admin/semesters', requireCatalogManager, async (req, res) => {
+    try {
+        const semesters = await semesterService.getSemestersWithStatus();
+        res.json({ success: true, data: semesters });
+    } catch (error) {
+        console.error('[API] Error getting semesters:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi lấy danh sách học kỳ', message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/semesters:
+ *   post:
+ *     summary: Thêm học kỳ (ngày bắt đầu, số tuần học, ngày nghỉ, thời gian đăng ký)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: false
+ *         description: Dùng cho script; người dùng gửi access token của Admin
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Semester'
+ *     responses:
+ *       201:
+ *         description: Đã thêm học kỳ
+ *       409:
+ *         description: Mã học kỳ đã tồn tại
+ *       422:
+ *         description: Dữ liệu không hợp lệ
+ */
+app.post('/api/admin/semesters', requireCatalogManager, async (req, res) => {
+    try {
+        const validation = validator.validateSemesterRequest(req.body || {});
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        const semester = await semesterService.createSemester(req.body);
+
+        console.log('[API] Semester created:', semester.semesterCode);
+        res.status(201).json({ success: true, message: 'Đã thêm học kỳ', data: semester });
+    } catch (error) {
+        if (error.message.includes('already exists')) {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('[API] Error creating semester:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi thêm học kỳ', message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/semesters/{semesterCode}:
+ *   put:
+ *     summary: Cập nhật học kỳ (chỉ các trường được gửi)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: false
+ *         description: Dùng cho script; người dùng gửi access token của Admin
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: semesterCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Semester'
+ *     responses:
+ *       200:
+ *         description: Đã cập nhật
+ *       404:
+ *         description: Không tìm thấy học kỳ
+ *       422:
+ *         description: Dữ liệu không hợp lệ
+ */
+app.put('/api/admin/semesters/:semesterCode', requireCatalogManager, async (req, res) => {
+    try {
+        const validation = validator.validateSemesterRequest(req.body || {}, true);
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        const { semesterCode, ...changes } = req.body;
+        const semester = await semesterService.updateSemester(req.params.semesterCode, changes);
+
+        res.json({ success: true, message: 'Đã cập nhật học kỳ', data: semester });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy học kỳ' });
+        }
+        console.error('[API] Error updating semester:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi cập nhật học kỳ', message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/semesters/{semesterCode}:
+ *   delete:
+ *     summary: Xóa học kỳ không còn môn học nào
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: false
+ *         description: Dùng cho script; người dùng gửi access token của Admin
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: semesterCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đã xóa
+ *       404:
+ *         description: Không tìm thấy học kỳ
+ *       409:
+ *         description: Học kỳ vẫn còn môn học
+ */
+app.delete('/api/admin/semesters/:semesterCode', requireCatalogManager, async (req, res) => {
+    try {
+        const result = await semesterService.deleteSemester(req.params.semesterCode);
+        res.json({ success: true, message: 'Đã xóa học kỳ', data: result });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy học kỳ' });
+        }
+        if (error.message.includes('still has')) {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('[API] Error deleting semester:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi xóa học kỳ', message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/logs:
+ *   get:
+ *     summary: Xem log hệ thống (mới nhất trước) - Admin
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [system, user, api, database, performance, security, error]
+ *           default: user
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [ERROR, WARN, INFO, DEBUG, TRACE]
+ *       - in: query
+ *         name: startDate
+ *         description: Mặc định 7 ngày trước endDate; tối đa 31 ngày
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: Ví dụ ROLE_CHANGED
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách log
+ *       403:
+ *         description: Không có quyền xem log
+ *       422:
+ *         description: Tham số không hợp lệ
+ */
+app.get('/api/admin/logs', requirePermission(PERMISSIONS.VIEW_LOGS), async (req, res) => {
+    try {
+        const validation = validator.validateLogQuery(req.query, Object.values(systemLogger.categories));
+        if (!validation.isValid) {
+            return res.status(422).json({ success: false, error: 'Validation failed', errors: validation.errors });
+        }
+
+        const { logs, pagination } = await systemLogger.searchLogs(validation.sanitized);
+        res.json({ success: true, data: logs, pagination });
+    } catch (error) {
+        console.error('[API] Error reading logs:', error);
+        res.status(500).json({ success: false, error: 'Lỗi khi đọc log', message: error.message });
+    }
+});
+
 // Start server
 app.listen(PORT, async () => {
     console.log(`\n🚀 API Server running at http://localhost:${PORT}`);
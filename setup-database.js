@@ -7,6 +7,7 @@ require('dotenv').config();
 const sql = require('mssql');
 const fs = require('fs');
 const path = require('path');
+const { hashPassword } = require('./src/utils/password-helper');
 
 const config = {
     server: process.env.DB_SERVER,
@@ -110,15 +111,17 @@ async function setupDatabase() {
         `);
         console.log('✅ ScheduleDetails table ready\n');
 
-        // Insert demo user if not exists
+        // Insert demo user if not exists (password DEMO_USER_PASSWORD, default 123456)
         console.log('👤 Creating demo user...');
-        await pool.request().query(`
-            IF NOT EXISTS (SELECT * FROM Users WHERE Email = 'demo@example.com')
-            BEGIN
-                INSERT INTO Users (Email, Name, StudentId, Password, Role)
-                VALUES ('demo@example.com', 'Demo User', 'SV001', 'MTIzNDU2', 'student');
-            END
-        `);
+        await pool.request()
+            .input('password', sql.NVarChar, await hashPassword(process.env.DEMO_USER_PASSWORD || '123456'))
+            .query(`
+                IF NOT EXISTS (SELECT * FROM Users WHERE Email = 'demo@example.com')
+                BEGIN
+                    INSERT INTO Users (Email, Name, StudentId, Password, Role)
+                    VALUES ('demo@example.com', 'Demo User', 'SV001', @password, 'student');
+                END
+            `);
         console.log('✅ Demo user ready\n');
 
         // Verify tables
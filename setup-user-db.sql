@@ -147,13 +147,7 @@ ORDER BY TableName, ORDINAL_POSITION;
 -- ========================================
 -- Insert sample data (optional)
 -- ========================================
--- Sample user (password is '123456' encoded in base64: MTIzNDU2)
-IF NOT EXISTS (SELECT * FROM Users WHERE Email = 'demo@example.com')
-BEGIN
-    INSERT INTO Users (Email, Name, StudentId, Password, Role)
-    VALUES ('demo@example.com', 'Demo User', 'SV001', 'MTIzNDU2', 'student');
-    PRINT 'Inserted demo user';
-END
-GO
+-- Passwords are stored as salted scrypt hashes, which T-SQL cannot compute:
+-- run `node setup-database.js` to create the demo user (demo@example.com)
 
 PRINT 'Database setup completed successfully!';
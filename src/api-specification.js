@@ -23,8 +23,11 @@ const API_ENDPOINTS = {
         login: {
             method: 'POST',
             path: '/api/auth/login',
-            description: 'Microsoft Entra ID authentication',
+            description: 'Email/password or Microsoft Entra ID authentication',
             body: {
+                email: 'string',
+                password: 'string',
+                // or
                 accessToken: 'string', // From Microsoft login
                 tokenType: 'Bearer',
                 expiresIn: 'number'
@@ -32,9 +35,11 @@ const API_ENDPOINTS = {
             response: {
                 success: 'boolean',
                 user: 'UserProfile',
-                sessionToken: 'string',
+                accessToken: 'string', // Send as Authorization: Bearer <accessToken>
                 refreshToken: 'string',
-                expiresAt: 'datetime'
+                tokenType: 'Bearer',
+                expiresIn: 'number', // Access token lifetime in seconds
+                refreshExpiresAt: 'datetime'
             }
         },
 
@@ -42,11 +47,14 @@ const API_ENDPOINTS = {
         refresh: {
             method: 'POST',
             path: '/api/auth/refresh',
-            description: 'Refresh authentication token',
-            headers: { 'Authorization': 'Bearer <refreshToken>' },
+            description: 'Exchange a refresh token for new tokens; each refresh token works once and replaying a used one revokes its session',
+            body: { refreshToken: 'string' },
             response: {
-                sessionToken: 'string',
-                expiresAt: 'datetime'
+                accessToken: 'string',
+                refreshToken: 'string', // Replaces the one sent
+                tokenType: 'Bearer',
+                expiresIn: 'number',
+                refreshExpiresAt: 'datetime'
             }
         },
 
@@ -55,16 +63,52 @@ const API_ENDPOINTS = {
             method: 'POST',
             path: '/api/auth/logout',
             description: 'Logout and invalidate session',
-            headers: { 'Authorization': 'Bearer <sessionToken>' },
+            headers: { 'Authorization': 'Bearer <accessToken>' },
+            response: { success: 'boolean' }
+        },
+
+        // GET /api/auth/sessions
+        sessions: {
+            method: 'GET',
+            path: '/api/auth/sessions',
+            description: 'Open sessions (signed-in devices) of the current user',
+            headers: { 'Authorization': 'Bearer <accessToken>' },
+            response: [{
+                sessionId: 'number',
+                ipAddress: 'string',
+                userAgent: 'string',
+                createdAt: 'datetime',
+                lastUsedAt: 'datetime',
+                expiresAt: 'datetime',
+                current: 'boolean'
+            }]
+        },
+
+        // DELETE /api/auth/sessions/:sessionId
+        revokeSession: {
+            method: 'DELETE',
+            path: '/api/auth/sessions/:sessionId',
+            description: 'Sign out one device',
+            headers: { 'Authorization': 'Bearer <accessToken>' },
             response: { success: 'boolean' }
         },
 
+        // DELETE /api/auth/sessions
+        revokeAllSessions: {
+            method: 'DELETE',
+            path: '/api/auth/sessions',
+            description: 'Sign out all devices',
+            headers: { 'Authorization': 'Bearer <accessToken>' },
+            query: { exceptCurrent: 'boolean?' }, // Keep the session making the request
+            response: { revoked: 'number' }
+        },
+
         // GET /api/auth/profile
         profile: {
             method: 'GET',
             path: '/api/auth/profile',
             description: 'Get current user profile',
-            headers: { 'Authorization': 'Bearer <sessionToken>' },
+            headers: { 'Authorization': 'Bearer <accessToken>' },
             response: 'UserProfile'
         }
     },
@@ -99,6 +143,16 @@ const API_ENDPOINTS = {
             description: 'Get user course enrollments',
             query: { semesterCode: 'string?' },
             response: ['CourseEnrollment']
+        },
+
+        // PUT /api/users/:userId/role
+        changeRole: {
+            method: 'PUT',
+            path: '/api/users/:userId/role',
+            description: 'Change a user\'s role (Admin); audited, and the user\'s sessions are revoked',
+            headers: { 'Authorization': 'Bearer <accessToken>' },
+            body: { role: 'string' }, // Student | Advisor | Admin
+            response: 'UserProfile'
         }
     },
 
@@ -190,6 +244,8 @@ const API_ENDPOINTS = {
     },
 
     // SCHEDULE RECOMMENDATIONS APIs
+    // All require Authorization: Bearer <accessToken>; userId may be left out and
+    // defaults to the signed-in user - naming another user is rejected with 403
     schedules: {
         // POST /api/schedules/generate
         generate: {
@@ -235,6 +291,37 @@ const API_ENDPOINTS = {
             method: 'POST',
             path: '/api/schedules/{scheduleId}/bookmark',
             description: 'Bookmark a schedule recommendation',
+            body: { userId: 'string' },
+            response: { success: 'boolean' }
+        },
+
+        // DELETE /api/schedules/{scheduleId}/bookmark
+        unbookmark: {
+            method: 'DELETE',
+            path: '/api/schedules/{scheduleId}/bookmark',
+            description: 'Remove a schedule bookmark',
+            query: { userId: 'string' },
+            response: { success: 'boolean' }
+        },
+
+        // POST /api/schedules/{scheduleId}/primary
+        setPrimary: {
+            method: 'POST',
+            path: '/api/schedules/{scheduleId}/primary',
+            description: 'Make the schedule the primary one of its semester (used by calendar feeds and enrollment)',
+            body: { userId: 'string' },
+            response: {
+                success: 'boolean',
+                data: { scheduleId: 'number', semesterCode: 'string', isPrimary: 'boolean', previousPrimaryId: 'number?' }
+            }
+        },
+
+        // DELETE /api/schedules/{scheduleId}/primary
+        unsetPrimary: {
+            method: 'DELETE',
+            path: '/api/schedules/{scheduleId}/primary',
+            description: 'Clear the primary designation of a schedule',
+            query: { userId: 'string' },
             response: { success: 'boolean' }
         },
 
@@ -242,11 +329,22 @@ const API_ENDPOINTS = {
         apply: {
             method: 'POST',
             path: '/api/schedules/{scheduleId}/apply',
-            description: 'Apply schedule (enroll in courses)',
+            description: 'Apply schedule (enroll in courses); all or nothing, full sections fail unless waitlist is set',
+            body: { userId: 'string', waitlist: 'boolean?' },
             response: {
                 success: 'boolean',
                 enrolledCourses: ['CourseEnrollment'],
-                conflicts: ['ConflictInfo']
+                waitlistedCourses: ['CourseEnrollment'],
+                outcomes: [{
+                    courseId: 'number',
+                    courseName: 'string',
+                    status: 'enrolled|waitlisted|already_enrolled|not_found|conflict|full|credit_limit',
+                    enrollmentId: 'number?',
+                    reason: 'string?'
+                }],
+                conflicts: ['ConflictInfo'],
+                creditLimit: 'number?',
+                warnings: [{ code: 'string', message: 'string' }] // CREDIT_LIMIT_UNCHECKED when preferences could not be loaded
             }
         }
     },
@@ -270,10 +368,13 @@ const API_ENDPOINTS = {
         getLogs: {
             method: 'GET',
             path: '/api/admin/logs',
-            description: 'Get system logs',
+            description: 'Get system logs, newest first (Admin)',
+            headers: { 'Authorization': 'Bearer <accessToken>' },
             query: {
-                action: 'string?',
-                userId: 'number?',
+                category: 'string?', // system | user | api | database | performance | security | error (default user)
+                level: 'string?',    // ERROR | WARN | INFO | DEBUG | TRACE
+                action: 'string?',   // e.g. ROLE_CHANGED
+                userId: 'string?',
                 startDate: 'datetime?',
                 endDate: 'datetime?',
                 page: 'number?',
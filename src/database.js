@@ -1,4 +1,6 @@
 const sql = require('mssql');
+const { attachMeeting } = require('./utils/course-meeting-parser');
+const { resolveSchedule, findScheduleOverlap } = require('./utils/conflict-detector');
 
 /**
  * Database Service Layer
@@ -6,13 +8,15 @@ const sql = require('mssql');
  * With auto-reconnect support for Azure SQL Free tier (auto-pause)
  */
 
+// DB_* settings as documented in .env.example; DatabaseService shares this pool
 const config = {
-    user: 'sqladmin',
-    password: 'Wind060304@',
-    server: 'student-schedule.database.windows.net',
-    database: 'student-scheduler-db',
+    user: process.env.DB_USER || 'sqladmin',
+    password: process.env.DB_PASSWORD || 'Wind060304@',
+    server: process.env.DB_SERVER || 'student-schedule.database.windows.net',
+    database: process.env.DB_DATABASE || 'student-scheduler-db',
+    port: parseInt(process.env.DB_PORT) || 1433,
     options: {
-        encrypt: true,
+        encrypt: process.env.DB_ENCRYPT !== 'false',
         enableArithAbort: true,
         trustServerCertificate: false,
         requestTimeout: 60000,        // Increased for Azure wake-up
@@ -138,6 +142,11 @@ async function getPool() {
     return poolPromise;
 }
 
+// Drop the pool so the next getPool() reconnects (after a connection error)
+function resetPool() {
+    poolPromise = null;
+}
+
 // Execute query with auto-retry on connection errors
 async function executeWithRetry(operation) {
     let lastError;
@@ -170,18 +179,218 @@ async function executeWithRetry(operation) {
     throw new Error(`Operation failed after ${retryConfig.maxRetries} attempts: ${lastError.message}`);
 }
 
+// =====================================
+// SEMESTERS SERVICE
+// =====================================
+
+// Courses imported before semesters existed were all treated as this semester
+const LEGACY_SEMESTER_CODE = '2025A';
+
+let semesterSchemaReady = false;
+
+/**
+ * Create the Semesters table and Courses.SemesterCode on first use,
+ * assigning existing courses to the legacy semester
+ */
+async function ensureSemesterSchema(pool = null) {
+    if (semesterSchemaReady) return;
+
+    pool = pool || await getPool();
+
+    await pool.request().query(`
+        IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'Semesters')
+        BEGIN
+            CREATE TABLE Semesters (
+                SemesterCode NVARCHAR(20) PRIMARY KEY,
+                SemesterName NVARCHAR(255) NOT NULL,
+                StartDate DATE NULL,
+                TeachingWeeks INT NULL,
+                HolidaysJson NVARCHAR(MAX) NULL,
+                RegistrationStartDate DATETIME NULL,
+                RegistrationEndDate DATETIME NULL,
+                CreatedAt DATETIME DEFAULT GETDATE(),
+                UpdatedAt DATETIME DEFAULT GETDATE()
+            );
+
+            INSERT INTO Semesters (SemesterCode, SemesterName)
+            VALUES ('2025A', N'Học kỳ 1 - 2024-2025'), ('2025B', N'Học kỳ 2 - 2024-2025');
+        END
+    `);
+
+    const column = await pool.request().query(`
+        SELECT 1 AS hasColumn FROM sys.columns
+        WHERE object_id = OBJECT_ID('Courses') AND name = 'SemesterCode'
+    `);
+
+    if (column.recordset.length === 0) {
+        await pool.request().query('ALTER TABLE Courses ADD SemesterCode NVARCHAR(20) NULL');
+        await pool.request()
+            .input('legacyCode', sql.NVarChar(20), LEGACY_SEMESTER_CODE)
+            .query('UPDATE Courses SET SemesterCode = @legacyCode WHERE SemesterCode IS NULL');
+        console.log(`✅ [database.js] Added Courses.SemesterCode (existing rows -> ${LEGACY_SEMESTER_CODE})`);
+    }
+
+    semesterSchemaReady = true;
+}
+
+const SEMESTER_COLUMNS = `
+    SemesterCode as semesterCode,
+    SemesterName as semesterName,
+    StartDate as startDate,
+    TeachingWeeks as teachingWeeks,
+    HolidaysJson as holidaysJson,
+    RegistrationStartDate as registrationStartDate,
+    RegistrationEndDate as registrationEndDate,
+    CreatedAt as createdAt,
+    UpdatedAt as updatedAt
+`;
+
+/**
+ * Get all semesters, newest first
+ */
+async function getSemesters() {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensureSemesterSchema(pool);
+
+        const result = await pool.request()
+            .query(`SELECT ${SEMESTER_COLUMNS} FROM Semesters ORDER BY StartDate DESC, SemesterCode DESC`);
+
+        return result.recordset;
+    });
+}
+
+/**
+ * Get semester by code
+ */
+async function getSemesterByCode(semesterCode) {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensureSemesterSchema(pool);
+
+        const result = await pool.request()
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
+            .query(`SELECT ${SEMESTER_COLUMNS} FROM Semesters WHERE SemesterCode = @semesterCode`);
+
+        return result.recordset[0] || null;
+    });
+}
+
+/**
+ * Bind semester fields shared by insert and update
+ */
+function bindSemesterInputs(request, semester) {
+    return request
+        .input('semesterName', sql.NVarChar(255), semester.semesterName)
+        .input('startDate', sql.Date, semester.startDate || null)
+        .input('teachingWeeks', sql.Int, semester.teachingWeeks || null)
+        .input('holidaysJson', sql.NVarChar(sql.MAX), JSON.stringify(semester.holidays || []))
+        .input('registrationStartDate', sql.DateTime, semester.registrationStartDate || null)
+        .input('registrationEndDate', sql.DateTime, semester.registrationEndDate || null);
+}
+
+/**
+ * Create semester
+ */
+async function createSemester(semester) {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensureSemesterSchema(pool);
+
+        await bindSemesterInputs(pool.request(), semester)
+            .input('semesterCode', sql.NVarChar(20), semester.semesterCode)
+            .query(`
+                INSERT INTO Semesters (
+                    SemesterCode, SemesterName, StartDate, TeachingWeeks, HolidaysJson,
+                    RegistrationStartDate, RegistrationEndDate
+                )
+                VALUES (
+                    @semesterCode, @semesterName, @startDate, @teachingWeeks, @holidaysJson,
+                    @registrationStartDate, @registrationEndDate
+                )
+            `);
+
+        const result = await pool.request()
+            .input('semesterCode', sql.NVarChar(20), semester.semesterCode)
+            .query(`SELECT ${SEMESTER_COLUMNS} FROM Semesters WHERE SemesterCode = @semesterCode`);
+
+        return result.recordset[0];
+    });
+}
+
+/**
+ * Update semester (full replacement of the editable fields)
+ */
+async function updateSemester(semesterCode, semester) {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensureSemesterSchema(pool);
+
+        const update = await bindSemesterInputs(pool.request(), semester)
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
+            .query(`
+                UPDATE Semesters SET
+                    SemesterName = @semesterName,
+                    StartDate = @startDate,
+                    TeachingWeeks = @teachingWeeks,
+                    HolidaysJson = @holidaysJson,
+                    RegistrationStartDate = @registrationStartDate,
+                    RegistrationEndDate = @registrationEndDate,
+                    UpdatedAt = GETDATE()
+                WHERE SemesterCode = @semesterCode
+            `);
+
+        if (update.rowsAffected[0] === 0) {
+            return null;
+        }
+
+        const result = await pool.request()
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
+            .query(`SELECT ${SEMESTER_COLUMNS} FROM Semesters WHERE SemesterCode = @semesterCode`);
+
+        return result.recordset[0];
+    });
+}
+
+/**
+ * Delete semester - refused while courses still reference it
+ */
+async function deleteSemester(semesterCode) {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensureSemesterSchema(pool);
+
+        const usage = await pool.request()
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
+            .query('SELECT COUNT(*) as courseCount FROM Courses WHERE SemesterCode = @semesterCode');
+
+        const courseCount = usage.recordset[0].courseCount;
+        if (courseCount > 0) {
+            return { deleted: false, courseCount };
+        }
+
+        const result = await pool.request()
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
+            .query('DELETE FROM Semesters WHERE SemesterCode = @semesterCode');
+
+        return { deleted: result.rowsAffected[0] > 0, courseCount: 0 };
+    });
+}
+
 // =====================================
 // COURSES SERVICE
 // =====================================
 
 /**
- * Get all courses for a specific semester
+ * Get all courses, or only those of one semester when a code is given
  */
-async function getCoursesBySemester(semesterCode = '2025A') {
+async function getCoursesBySemester(semesterCode = null) {
     return executeWithRetry(async () => {
         const pool = await getPool();
+        await ensureSemesterSchema(pool);
 
         const result = await pool.request()
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
             .query(`
                 SELECT 
                     ID as courseId,
@@ -192,12 +401,14 @@ async function getCoursesBySemester(semesterCode = '2025A') {
                     Time as time,
                     Room as room,
                     Weeks as weeks,
-                    Quantity as quantity
+                    Quantity as quantity,
+                    SemesterCode as semesterCode
                 FROM Courses
+                WHERE @semesterCode IS NULL OR SemesterCode = @semesterCode
                 ORDER BY Name
             `);
 
-        return result.recordset;
+        return result.recordset.map(attachMeeting);
     });
 }
 
@@ -338,7 +549,7 @@ async function getStudentPreferences(studentId) {
 async function generateRecommendations(studentId, preferences) {
     try {
         // Get all available courses
-        const courses = await getCoursesBySemester('2025A');
+        const courses = await getCoursesBySemester(preferences.semesterCode || null);
 
         // Apply filters based on preferences
         let filteredCourses = courses.filter(course => {
@@ -394,7 +605,7 @@ async function generateRecommendations(studentId, preferences) {
  */
 function generateScheduleOption(courses, maxCredits, seedOffset = 0) {
     const selectedCourses = [];
-    const usedTimeSlots = new Set();
+    const usedSchedules = [];
     let totalCredits = 0;
 
     // Shuffle courses for variety
@@ -408,9 +619,9 @@ function generateScheduleOption(courses, maxCredits, seedOffset = 0) {
             continue;
         }
 
-        // Check time conflicts
-        const timeSlotKey = `${course.DayOfWeek}-${course.StartPeriod}-${course.EndPeriod}`;
-        if (usedTimeSlots.has(timeSlotKey)) {
+        // Check time conflicts (week-aware)
+        const schedule = resolveSchedule(course);
+        if (usedSchedules.some(used => findScheduleOverlap(schedule, used))) {
             continue;
         }
 
@@ -428,7 +639,7 @@ function generateScheduleOption(courses, maxCredits, seedOffset = 0) {
             }
         });
 
-        usedTimeSlots.add(timeSlotKey);
+        usedSchedules.push(schedule);
         totalCredits += credits;
     }
 
@@ -438,6 +649,123 @@ function generateScheduleOption(courses, maxCredits, seedOffset = 0) {
     };
 }
 
+// =====================================
+// PERIOD TIMES SERVICE
+// =====================================
+
+let periodTimesTableReady = false;
+
+/**
+ * Create the PeriodTimes table on first use
+ * A row with NULL SemesterCode/CampusCode belongs to the default table
+ */
+async function ensurePeriodTimesTable(pool) {
+    if (periodTimesTableReady) return;
+
+    await pool.request().query(`
+        IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'PeriodTimes')
+        BEGIN
+            CREATE TABLE PeriodTimes (
+                Id INT IDENTITY(1,1) PRIMARY KEY,
+                SemesterCode NVARCHAR(20) NULL,
+                CampusCode NVARCHAR(10) NULL,
+                Period INT NOT NULL,
+                StartTime CHAR(5) NOT NULL,
+                EndTime CHAR(5) NOT NULL,
+                UpdatedAt DATETIME DEFAULT GETDATE()
+            );
+        END
+    `);
+
+    periodTimesTableReady = true;
+}
+
+/**
+ * Get every stored period row, all scopes
+ */
+async function getPeriodTimes() {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensurePeriodTimesTable(pool);
+
+        const result = await pool.request()
+            .query(`
+                SELECT 
+                    SemesterCode as semesterCode,
+                    CampusCode as campusCode,
+                    Period as period,
+                    StartTime as startTime,
+                    EndTime as endTime,
+                    UpdatedAt as updatedAt
+                FROM PeriodTimes
+                ORDER BY SemesterCode, CampusCode, Period
+            `);
+
+        return result.recordset;
+    });
+}
+
+/**
+ * Version of the stored period rows: changes whenever a scope is saved or deleted
+ * (Id is an identity column, so saves raise MAX(Id) and deletes lower the count)
+ */
+async function getPeriodTimesVersion() {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensurePeriodTimesTable(pool);
+
+        const result = await pool.request()
+            .query('SELECT COUNT(*) as rowCount, ISNULL(MAX(Id), 0) as maxId FROM PeriodTimes');
+
+        const { rowCount, maxId } = result.recordset[0];
+        return `${rowCount}:${maxId}`;
+    });
+}
+
+/**
+ * Replace the period table of one scope (semester and/or campus, both null = default)
+ */
+async function savePeriodTimes(scope, periods) {
+    return executeWithRetry(async () => {
+        const pool = await getPool();
+        await ensurePeriodTimesTable(pool);
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            await new sql.Request(transaction)
+                .input('semesterCode', sql.NVarChar(20), scope.semesterCode || null)
+                .input('campusCode', sql.NVarChar(10), scope.campusCode || null)
+                .query(`
+                    DELETE FROM PeriodTimes
+                    WHERE ISNULL(SemesterCode, '') = ISNULL(@semesterCode, '')
+                      AND ISNULL(CampusCode, '') = ISNULL(@campusCode, '')
+                `);
+
+            for (const period of periods) {
+                await new sql.Request(transaction)
+                    .input('semesterCode', sql.NVarChar(20), scope.semesterCode || null)
+                    .input('campusCode', sql.NVarChar(10), scope.campusCode || null)
+                    .input('period', sql.Int, period.period)
+                    .input('startTime', sql.Char(5), period.startTime)
+                    .input('endTime', sql.Char(5), period.endTime)
+                    .query(`
+                        INSERT INTO PeriodTimes (SemesterCode, CampusCode, Period, StartTime, EndTime)
+                        VALUES (@semesterCode, @campusCode, @period, @startTime, @endTime)
+                    `);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        return { success: true, scope, periodCount: periods.length };
+    });
+}
+
 // =====================================
 // EXPORTS
 // =====================================
@@ -445,6 +773,15 @@ function generateScheduleOption(courses, maxCredits, seedOffset = 0) {
 module.exports = {
     // Connection
     getPool,
+    resetPool,
+
+    // Semesters
+    ensureSemesterSchema,
+    getSemesters,
+    getSemesterByCode,
+    createSemester,
+    updateSemester,
+    deleteSemester,
 
     // Courses
     getCoursesBySemester,
@@ -455,6 +792,11 @@ module.exports = {
     getStudentPreferences,
 
     // Recommendations
-    generateRecommendations
+    generateRecommendations,
+
+    // Period times
+    getPeriodTimes,
+    getPeriodTimesVersion,
+    savePeriodTimes
 };
 // Deploy timestamp: Sat Dec 20 12:58:17 AM +07 2025
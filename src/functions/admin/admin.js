@@ -0,0 +1,222 @@
+/**
+ * ADMIN API ENDPOINTS
+ * Administrative configuration, logs and user roles; each route needs the matching
+ * permission (an Admin's access token) or the X-Admin-Key header
+ */
+
+const { app } = require('@azure/functions');
+const { PeriodTimeService } = require('../../services/period-time-service');
+const { SemesterService } = require('../../services/semester-service');
+const { ResponseHelper } = require('../../utils/response-helper');
+const { ValidationHelper } = require('../../utils/validation-helper');
+const { getCorsHeaders } = require('../../utils/cors-helper');
+const { withPermission } = require('../../utils/auth-middleware');
+const { ROLES, PERMISSIONS, normalizeRole } = require('../../utils/permission-helper');
+const { AuthenticationService } = require('../../services/auth-service');
+const { SystemLogger } = require('../../utils/logger');
+
+// Initialize services
+const periodTimeService = new PeriodTimeService();
+const semesterService = new SemesterService();
+const authService = new AuthenticationService();
+const logger = new SystemLogger();
+const response = new ResponseHelper();
+const validator = new ValidationHelper();
+
+/**
+ * GET/PUT/DELETE /api/admin/period-times
+ * Read or replace the period-to-clock-time tables
+ */
+app.http('admin-period-times', {
+    methods: ['GET', 'PUT', 'DELETE', 'OPTIONS'],
+    route: 'admin/period-times',
+    authLevel: 'anonymous',
+    handler: withPermission(PERMISSIONS.MANAGE_CATALOG, async (request, context) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            if (request.method === 'GET') {
+                const tables = await periodTimeService.getPeriodTables();
+                return { ...response.success(tables, 'Period times retrieved'), headers: corsHeaders };
+            }
+
+            if (request.method === 'DELETE') {
+                const scope = {
+                    campusCode: request.query.get('campusCode'),
+                    semesterCode: request.query.get('semesterCode')
+                };
+                const result = await periodTimeService.deletePeriodTable(scope);
+                return { ...response.success(result, 'Period table removed'), headers: corsHeaders };
+            }
+
+            const body = await request.json();
+            const validation = validator.validatePeriodTableRequest(body || {});
+            if (!validation.isValid) {
+                return { ...response.validationError(validation.errors), headers: corsHeaders };
+            }
+
+            const result = await periodTimeService.updatePeriodTable(
+                { campusCode: body.campusCode, semesterCode: body.semesterCode },
+                body.periods
+            );
+
+            return { ...response.success(result, 'Period times updated'), headers: corsHeaders };
+
+        } catch (error) {
+            context.log.error('Period times error:', error.message);
+            return { ...response.serverError('Failed to process period times', error.message), headers: corsHeaders };
+        }
+    })
+});
+
+/**
+ * GET/POST /api/admin/semesters
+ * PUT/DELETE /api/admin/semesters/{semesterCode}
+ * Manage the semester catalog
+ */
+app.http('admin-semesters', {
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    route: 'admin/semesters/{semesterCode?}',
+    authLevel: 'anonymous',
+    handler: withPermission(PERMISSIONS.MANAGE_CATALOG, async (request, context) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        const semesterCode = request.params.semesterCode;
+
+        try {
+            if (request.method === 'GET') {
+                const semesters = await semesterService.getSemestersWithStatus();
+                return { ...response.success(semesters, 'Semesters retrieved'), headers: corsHeaders };
+            }
+
+            if (request.method !== 'POST' && !semesterCode) {
+                return { ...response.badRequest('semesterCode is required'), headers: corsHeaders };
+            }
+
+            if (request.method === 'DELETE') {
+                const result = await semesterService.deleteSemester(semesterCode);
+                return { ...response.success(result, 'Semester deleted'), headers: corsHeaders };
+            }
+
+            const body = await request.json();
+            const isUpdate = request.method === 'PUT';
+            const validation = validator.validateSemesterRequest(body || {}, isUpdate);
+            if (!validation.isValid) {
+                return { ...response.validationError(validation.errors), headers: corsHeaders };
+            }
+
+            if (isUpdate) {
+                const { semesterCode: ignored, ...changes } = body;
+                const semester = await semesterService.updateSemester(semesterCode, changes);
+                return { ...response.success(semester, 'Semester updated'), headers: corsHeaders };
+            }
+
+            const semester = await semesterService.createSemester(body);
+            return { ...response.created(semester, 'Semester created'), headers: corsHeaders };
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return { ...response.notFound('Semester not found'), headers: corsHeaders };
+            }
+            if (error.message.includes('already exists') || error.message.includes('still has')) {
+                return { ...response.conflict(error.message), headers: corsHeaders };
+            }
+            context.log.error('Semesters error:', error.message);
+            return { ...response.serverError('Failed to process semesters', error.message), headers: corsHeaders };
+        }
+    })
+});
+
+/**
+ * GET /api/admin/logs
+ * Search the system logs, newest first (category, level, startDate, endDate, userId, action, page, limit)
+ */
+app.http('admin-logs', {
+    methods: ['GET', 'OPTIONS'],
+    route: 'admin/logs',
+    authLevel: 'anonymous',
+    handler: withPermission(PERMISSIONS.VIEW_LOGS, async (request, context) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const validation = validator.validateLogQuery(
+                Object.fromEntries(request.query.entries()),
+                Object.values(logger.categories)
+            );
+            if (!validation.isValid) {
+                return { ...response.validationError(validation.errors), headers: corsHeaders };
+            }
+
+            const { logs, pagination } = await logger.searchLogs(validation.sanitized);
+            return { ...response.paginated(logs, pagination, 'Logs retrieved'), headers: corsHeaders };
+
+        } catch (error) {
+            context.log.error('Logs error:', error.message);
+            return { ...response.serverError('Failed to read logs', error.message), headers: corsHeaders };
+        }
+    })
+});
+
+/**
+ * PUT /api/users/{userId}/role
+ * Change a user's role (Student, Advisor, Admin); the change is audited and the user's sessions revoked
+ */
+app.http('users-role', {
+    methods: ['PUT', 'OPTIONS'],
+    route: 'users/{userId}/role',
+    authLevel: 'anonymous',
+    handler: withPermission(PERMISSIONS.MANAGE_ROLES, async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const body = await request.json().catch(() => ({}));
+            const role = normalizeRole((body || {}).role);
+
+            if (!role) {
+                return {
+                    ...response.validationError([{
+                        field: 'role',
+                        code: 'INVALID_VALUE',
+                        message: `role must be one of: ${Object.values(ROLES).join(', ')}`
+                    }]),
+                    headers: corsHeaders
+                };
+            }
+
+            const result = await authService.changeUserRole(request.params.userId, role, user, {
+                ipAddress: request.headers.get('x-forwarded-for')
+            });
+
+            if (!result) {
+                return { ...response.notFound('User not found'), headers: corsHeaders };
+            }
+
+            return {
+                ...response.success({ ...result.user, previousRole: result.previousRole }, 'Role updated'),
+                headers: corsHeaders
+            };
+
+        } catch (error) {
+            context.log.error('Role change error:', error.message);
+            return { ...response.serverError('Failed to change role', error.message), headers: corsHeaders };
+        }
+    })
+});
+
+module.exports = { app };
@@ -0,0 +1,2 @@
+// Export admin functions
+module.exports = require('./admin');
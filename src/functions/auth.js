@@ -169,8 +169,24 @@ app.http('auth-logout', {
         }
 
         try {
-            const body = await request.json();
-            await authService.logout(body.userId);
+            const authHeader = request.headers.get('authorization');
+
+            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+                return {
+                    status: 401,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*',
+                        'Access-Control-Allow-Credentials': 'true'
+                    },
+                    body: JSON.stringify({
+                        success: false,
+                        message: 'Session token required'
+                    })
+                };
+            }
+
+            await authService.logout(authHeader.substring(7));
 
             return {
                 status: 200,
@@ -8,6 +8,7 @@ const { AuthenticationService } = require('../../services/auth-service');
 const { ResponseHelper } = require('../../utils/response-helper');
 const { ValidationHelper } = require('../../utils/validation-helper');
 const { getCorsHeaders } = require('../../utils/cors-helper');
+const { withAuth } = require('../../utils/auth-middleware');
 
 // Initialize services
 const authService = new AuthenticationService();
@@ -43,7 +44,11 @@ app.http('auth-login', {
 
                 const result = await authService.authenticateWithMicrosoft(
                     body.accessToken,
-                    body.tokenType
+                    body.tokenType,
+                    {
+                        ipAddress: request.headers.get('x-forwarded-for'),
+                        userAgent: request.headers.get('user-agent')
+                    }
                 );
 
                 return { ...response.success(result, 'Login successful'), headers: corsHeaders };
@@ -55,17 +60,14 @@ app.http('auth-login', {
                     return { ...response.validationError(['Email and password are required']), headers: corsHeaders };
                 }
 
-                // Authenticate with email/password (mock for now)
-                const result = {
-                    user: {
-                        id: '12345',
-                        email: email,
-                        name: email.split('@')[0],
-                        studentId: 'STU001',
-                        role: 'Student'
-                    },
-                    sessionToken: 'mock-session-' + Date.now()
-                };
+                const result = await authService.loginWithPassword(email, password, {
+                    ipAddress: request.headers.get('x-forwarded-for'),
+                    userAgent: request.headers.get('user-agent')
+                });
+
+                if (!result) {
+                    return { ...response.unauthorized('Invalid email or password'), headers: corsHeaders };
+                }
 
                 return { ...response.success(result, 'Login successful'), headers: corsHeaders };
             }
@@ -76,6 +78,12 @@ app.http('auth-login', {
             if (error.message.includes('Invalid Microsoft token')) {
                 return { ...response.unauthorized('Invalid authentication token'), headers: corsHeaders };
             }
+            if (error.message.includes('Email domain not allowed')) {
+                return { ...response.forbidden('Sign in with your university account'), headers: corsHeaders };
+            }
+            if (error.message.includes('not configured')) {
+                return { ...response.serviceUnavailable('Microsoft sign-in is not available'), headers: corsHeaders };
+            }
 
             return { ...response.serverError('Authentication failed', error.message), headers: corsHeaders };
         }
@@ -133,7 +141,8 @@ app.http('auth-signup', {
 
 /**
  * POST /api/auth/refresh
- * Refresh authentication token
+ * New access token and refresh token for a refresh token (body { refreshToken } or Authorization: Bearer)
+ * Each refresh token works once; replaying a used one signs out that device
  */
 app.http('auth-refresh', {
     methods: ['POST', 'OPTIONS'],
@@ -148,12 +157,14 @@ app.http('auth-refresh', {
 
         try {
             const authHeader = request.headers.get('authorization');
+            const body = await request.json().catch(() => ({}));
+            const refreshToken = (body && body.refreshToken) ||
+                (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
 
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            if (!refreshToken) {
                 return { ...response.unauthorized('Refresh token required'), headers: corsHeaders };
             }
 
-            const refreshToken = authHeader.substring(7);
             const result = await authService.refreshToken(refreshToken);
 
             return { ...response.success(result, 'Token refreshed successfully'), headers: corsHeaders };
@@ -206,6 +217,80 @@ app.http('auth-logout', {
     }
 });
 
+/**
+ * GET/DELETE /api/auth/sessions
+ * List the signed-in user's open sessions (devices), or sign all of them out
+ * DELETE ?exceptCurrent=true keeps the session making the request
+ */
+app.http('auth-sessions', {
+    methods: ['GET', 'DELETE', 'OPTIONS'],
+    route: 'auth/sessions',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            if (request.method === 'GET') {
+                const sessions = await authService.listSessions(user);
+                return { ...response.success(sessions, 'Sessions retrieved'), headers: corsHeaders };
+            }
+
+            const revoked = await authService.revokeAllSessions(user, {
+                exceptCurrent: validator.sanitizeBoolean(request.query.get('exceptCurrent'))
+            });
+
+            context.log('[auth-sessions] Revoked', revoked, 'sessions for', user.email);
+            return { ...response.success({ revoked }, 'Sessions revoked'), headers: corsHeaders };
+
+        } catch (error) {
+            context.log.error('[auth-sessions] Error:', error.message);
+            return { ...response.serverError('Failed to manage sessions', error.message), headers: corsHeaders };
+        }
+    })
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out one of the signed-in user's devices
+ */
+app.http('auth-session-revoke', {
+    methods: ['DELETE', 'OPTIONS'],
+    route: 'auth/sessions/{sessionId}',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const sessionId = parseInt(request.params.sessionId);
+
+            if (isNaN(sessionId)) {
+                return { ...response.badRequest('Invalid sessionId'), headers: corsHeaders };
+            }
+
+            const revoked = await authService.revokeSession(user, sessionId);
+
+            if (!revoked) {
+                return { ...response.notFound('Session not found'), headers: corsHeaders };
+            }
+
+            context.log('[auth-session-revoke] Revoked:', sessionId);
+            return { ...response.success(null, 'Session revoked'), headers: corsHeaders };
+
+        } catch (error) {
+            context.log.error('[auth-session-revoke] Error:', error.message);
+            return { ...response.serverError('Failed to revoke session', error.message), headers: corsHeaders };
+        }
+    })
+});
+
 /**
  * GET /api/auth/profile
  * Get current user profile
@@ -0,0 +1,102 @@
+/**
+ * CALENDAR API ENDPOINTS
+ * Secret per-user iCalendar feed URLs for calendar app subscriptions
+ */
+
+const { app } = require('@azure/functions');
+const { CalendarService } = require('../../services/calendar-service');
+const { ResponseHelper } = require('../../utils/response-helper');
+const { getCorsHeaders } = require('../../utils/cors-helper');
+const { withAuth, resolveUserId } = require('../../utils/auth-middleware');
+
+// Initialize services
+const calendarService = new CalendarService();
+const response = new ResponseHelper();
+
+/**
+ * POST/GET/DELETE /api/calendar/feed
+ * Issue (replacing any previous URL), inspect or revoke the user's feed
+ */
+app.http('calendar-feed-token', {
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    route: 'calendar/feed',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const userId = resolveUserId(user, request.method === 'POST'
+                ? (await request.json().catch(() => ({}))).userId
+                : request.query.get('userId'));
+
+            if (!userId) {
+                return { ...response.forbidden('You can only access your own data'), headers: corsHeaders };
+            }
+
+            if (request.method === 'GET') {
+                const status = await calendarService.getFeedStatus(userId);
+                return { ...response.success(status, 'Calendar feed status retrieved'), headers: corsHeaders };
+            }
+
+            if (request.method === 'DELETE') {
+                const result = await calendarService.revokeFeedTokens(userId);
+                context.log('[calendar-feed-token] Revoked:', result.revoked);
+                return { ...response.success(result, 'Calendar feed revoked'), headers: corsHeaders };
+            }
+
+            const { token, createdAt } = await calendarService.createFeedToken(userId);
+            const origin = new URL(request.url).origin;
+
+            return {
+                ...response.created(
+                    { feedUrl: `${origin}/api/calendar/${token}.ics`, token, createdAt },
+                    'Store this URL now - it cannot be shown again'
+                ),
+                headers: corsHeaders
+            };
+
+        } catch (error) {
+            context.log.error('[calendar-feed-token] Error:', error.message);
+            return { ...response.serverError('Failed to manage calendar feed', error.message), headers: corsHeaders };
+        }
+    })
+});
+
+/**
+ * GET /api/calendar/:token.ics
+ * Subscribed calendar feed; the token in the URL is the only credential
+ */
+app.http('calendar-feed', {
+    methods: ['GET'],
+    route: 'calendar/{token}.ics',
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const corsHeaders = getCorsHeaders();
+
+        try {
+            const calendar = await calendarService.getFeed(request.params.token);
+
+            if (!calendar) {
+                return { ...response.notFound('Calendar feed not found'), headers: corsHeaders };
+            }
+
+            return {
+                status: 200,
+                headers: {
+                    ...corsHeaders,
+                    'Content-Type': 'text/calendar; charset=utf-8',
+                    'Cache-Control': 'no-cache'
+                },
+                body: calendar
+            };
+
+        } catch (error) {
+            context.log.error('[calendar-feed] Error:', error.message);
+            return { ...response.serverError('Failed to build calendar feed', error.message), headers: corsHeaders };
+        }
+    }
+});
@@ -0,0 +1,2 @@
+// Export calendar functions
+module.exports = require('./calendar');
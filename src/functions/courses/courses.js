@@ -1,5 +1,10 @@
 const { app } = require('@azure/functions');
 const { getCoursesBySemester } = require('../../database');
+const { PeriodTimeService } = require('../../services/period-time-service');
+const { SemesterService } = require('../../services/semester-service');
+
+const periodTimeService = new PeriodTimeService();
+const semesterService = new SemesterService();
 
 // CORS - Allow all origins
 const getCorsHeaders = () => ({
@@ -22,13 +27,16 @@ app.http('courses', {
 
         context.log('HTTP trigger function processed a request for courses');
 
-        // Lấy parameter semester từ query string
-        const semester = request.query.get('semester') || '2025A';
+        // Lấy parameter semester từ query string (bỏ trống = tất cả học kỳ)
+        const semester = request.query.get('semester') || null;
 
         try {
             // Lấy data từ Azure SQL Database
             context.log(`Fetching courses from Azure SQL Database`);
-            const courses = await getCoursesBySemester(semester);
+            const courses = await periodTimeService.applyClockTimes(
+                await getCoursesBySemester(semester),
+                { semesterCode: semester }
+            );
 
             context.log(`Loaded ${courses.length} courses from Azure SQL Database`);
 
@@ -50,3 +58,36 @@ app.http('courses', {
         }
     }
 });
+
+app.http('courses-semesters', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'courses/semesters',
+    handler: async (request, context) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const semesters = await semesterService.getSemestersWithStatus();
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders },
+                body: JSON.stringify(semesters)
+            };
+        } catch (error) {
+            context.error('Error loading semesters:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders },
+                body: JSON.stringify({
+                    error: 'Failed to load semesters',
+                    message: error.message
+                })
+            };
+        }
+    }
+});
@@ -5,14 +5,35 @@
 
 const { app } = require('@azure/functions');
 const { ScheduleService } = require('../../services/schedule-service');
+const { ScheduleGeneratorService } = require('../../services/schedule-generator-service');
+const { ScheduleOptimizerService } = require('../../services/schedule-optimizer-service');
+const { ScheduleScoringService } = require('../../services/schedule-scoring-service');
+const { CalendarService } = require('../../services/calendar-service');
+const { ScheduleExportService, EXPORT_FORMATS } = require('../../services/schedule-export-service');
+const { ScheduleImportService } = require('../../services/schedule-import-service');
+const { ScheduleComparisonService } = require('../../services/schedule-comparison-service');
+const { EnrollmentService } = require('../../services/enrollment-service');
+const { ValidationHelper } = require('../../utils/validation-helper');
+const { ResponseHelper } = require('../../utils/response-helper');
+const { withAuth, resolveUserId, resolveReadableUserId } = require('../../utils/auth-middleware');
 
 const scheduleService = new ScheduleService();
+const scheduleGeneratorService = new ScheduleGeneratorService();
+const scheduleOptimizerService = new ScheduleOptimizerService();
+const scheduleScoringService = new ScheduleScoringService();
+const calendarService = new CalendarService();
+const scheduleExportService = new ScheduleExportService();
+const scheduleImportService = new ScheduleImportService();
+const scheduleComparisonService = new ScheduleComparisonService();
+const enrollmentService = new EnrollmentService();
+const validator = new ValidationHelper();
+const response = new ResponseHelper();
 
 // CORS - Allow all origins
 const getCorsHeaders = () => ({
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization'
 });
 
@@ -26,6 +47,41 @@ const jsonResponse = (status, data, headers) => ({
     body: JSON.stringify(data)
 });
 
+// Rejected save: conflicts in strict mode -> 409, unknown courses or unresolved import rows -> 422
+const rejectionResponse = (result, headers) => jsonResponse(
+    result.code === 'SCHEDULE_CONFLICT' ? 409 : 422,
+    {
+        success: false,
+        code: result.code,
+        error: result.error,
+        conflicts: result.conflicts,
+        unknownCourses: result.unknownCourses,
+        report: result.report
+    },
+    headers
+);
+
+// strict defaults to true; only an explicit false saves conflicting schedules
+const isStrict = (value) => value !== false && value !== 'false';
+
+// Every route needs a signed-in user (withAuth) and only reaches that user's schedules
+const forbiddenResponse = (headers) => jsonResponse(403, {
+    success: false,
+    error: 'You can only access your own data'
+}, headers);
+
+const scheduleNotFoundResponse = (headers) => jsonResponse(404, {
+    success: false,
+    error: 'Schedule not found'
+}, headers);
+
+// Whether the signed-in user owns a schedule (false also when it does not exist);
+// readOnly also allows other users' schedules when the role may view any
+const ownsSchedule = async (user, scheduleId, readOnly = false) => {
+    const owner = await scheduleService.getScheduleOwner(scheduleId);
+    return Boolean(owner) && (readOnly ? resolveReadableUserId : resolveUserId)(user, owner) !== null;
+};
+
 /**
  * POST /api/schedules
  * Create new schedule for user
@@ -34,7 +90,7 @@ app.http('schedules-create', {
     methods: ['POST', 'OPTIONS'],
     route: 'schedules',
     authLevel: 'anonymous',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, user) => {
         const corsHeaders = getCorsHeaders();
         
         if (request.method === 'OPTIONS') {
@@ -43,20 +99,46 @@ app.http('schedules-create', {
 
         try {
             const body = await request.json();
-            const { userId, scheduleName, courses, user } = body;
+            const { scheduleName, courses, semesterCode, description, color, strict } = body;
+            const userId = resolveUserId(user, body.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
 
             context.log('[schedules-create] Request:', { userId, scheduleName, courseCount: courses?.length });
 
-            if (!userId || !courses || !Array.isArray(courses) || courses.length === 0) {
+            if (!courses || !Array.isArray(courses) || courses.length === 0) {
                 return jsonResponse(400, {
                     success: false,
-                    error: 'userId and courses array are required'
+                    error: 'courses array is required'
                 }, corsHeaders);
             }
 
-            // Pass user data for creating user in DB if needed
-            const userData = user || { email: userId };
-            const result = await scheduleService.createSchedule(userId, scheduleName, courses, userData);
+            if (scheduleName !== undefined || description !== undefined || color !== undefined) {
+                const validation = validator.validateScheduleMetadataRequest(body);
+                if (!validation.isValid) {
+                    return jsonResponse(422, {
+                        success: false,
+                        error: 'Validation failed',
+                        errors: validation.errors
+                    }, corsHeaders);
+                }
+            }
+
+            // Pass user data for creating user in DB if needed; the email is always the signed-in user's
+            const userData = { name: body.user && body.user.name, studentId: body.user && body.user.studentId, email: userId };
+            const result = await scheduleService.createSchedule(userId, scheduleName, courses, userData, {
+                semesterCode,
+                description,
+                color,
+                strict: isStrict(strict)
+            });
+
+            if (!result.success) {
+                context.log('[schedules-create] Rejected:', result.code);
+                return rejectionResponse(result, corsHeaders);
+            }
 
             context.log('[schedules-create] Success:', result);
 
@@ -74,18 +156,255 @@ app.http('schedules-create', {
                 details: error.message
             }, corsHeaders);
         }
-    }
+    })
+});
+
+/**
+ * POST /api/schedules/generate
+ * Generate ranked conflict-free timetables from a list of subjects
+ */
+app.http('schedules-generate', {
+    methods: ['POST', 'OPTIONS'],
+    route: 'schedules/generate',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const body = await request.json();
+
+            const validation = validator.validateScheduleGenerationRequest(body);
+            if (!validation.isValid) {
+                return jsonResponse(422, {
+                    success: false,
+                    error: 'Validation failed',
+                    errors: validation.errors
+                }, corsHeaders);
+            }
+
+            context.log('[schedules-generate] Request:', {
+                semesterCode: body.semesterCode,
+                subjectCount: body.subjects.length,
+                algorithmType: body.algorithmType
+            });
+
+            // Stored preferences are always the signed-in student's own
+            const result = await scheduleGeneratorService.generate({ ...body, userId: user.email });
+
+            context.log('[schedules-generate] Stats:', result.stats);
+
+            return jsonResponse(200, {
+                success: true,
+                data: result,
+                message: 'Schedules generated successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-generate] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to generate schedules',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST /api/schedules/optimize
+ * Try other sections of the same subjects to improve a saved schedule
+ */
+app.http('schedules-optimize', {
+    methods: ['POST', 'OPTIONS'],
+    route: 'schedules/optimize',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const body = await request.json();
+
+            const validation = validator.validateScheduleOptimizationRequest(body);
+            if (!validation.isValid) {
+                return jsonResponse(422, {
+                    success: false,
+                    error: 'Validation failed',
+                    errors: validation.errors
+                }, corsHeaders);
+            }
+
+            if (!(await ownsSchedule(user, parseInt(body.baseScheduleId), true))) {
+                return scheduleNotFoundResponse(corsHeaders);
+            }
+
+            context.log('[schedules-optimize] Request:', {
+                baseScheduleId: body.baseScheduleId,
+                optimizationGoals: body.optimizationGoals
+            });
+
+            const result = await scheduleOptimizerService.optimize(body);
+
+            return jsonResponse(200, {
+                success: true,
+                data: result,
+                message: 'Schedule optimized successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return jsonResponse(404, { success: false, error: error.message }, corsHeaders);
+            }
+            if (error.message.includes('belongs to')) {
+                return jsonResponse(409, { success: false, error: error.message }, corsHeaders);
+            }
+
+            context.log.error('[schedules-optimize] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to optimize schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST /api/schedules/import
+ * Create a schedule from a CSV timetable (our export or the registration portal's)
+ */
+app.http('schedules-import', {
+    methods: ['POST', 'OPTIONS'],
+    route: 'schedules/import',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const input = await request.json();
+            const userId = resolveUserId(user, input.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+
+            const body = {
+                ...input,
+                userId,
+                user: { name: input.user && input.user.name, studentId: input.user && input.user.studentId, email: userId }
+            };
+
+            const validation = validator.validateScheduleImportRequest(body);
+            if (validation.isValid && (body.scheduleName !== undefined || body.description !== undefined || body.color !== undefined)) {
+                validation.errors.push(...validator.validateScheduleMetadataRequest(body).errors);
+            }
+            if (validation.errors.length > 0) {
+                return jsonResponse(422, {
+                    success: false,
+                    error: 'Validation failed',
+                    errors: validation.errors
+                }, corsHeaders);
+            }
+
+            const result = await scheduleImportService.importSchedule({ ...body, strict: isStrict(body.strict) });
+
+            if (!result.success) {
+                context.log('[schedules-import] Rejected:', result.code);
+                return rejectionResponse(result, corsHeaders);
+            }
+
+            context.log('[schedules-import] Matched', result.report.matched.length, 'of', result.report.totalRows, 'rows');
+
+            return jsonResponse(result.created ? 201 : 200, {
+                success: true,
+                data: result,
+                message: result.created ? 'Schedule imported successfully' : 'Import preview'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-import] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to import schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * GET /api/schedules/compare?a=&b=
+ * What changes going from schedule A to schedule B
+ */
+app.http('schedules-compare', {
+    methods: ['GET', 'OPTIONS'],
+    route: 'schedules/compare',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const a = parseInt(request.query.get('a'));
+            const b = parseInt(request.query.get('b'));
+
+            if (isNaN(a) || isNaN(b)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Query parameters a and b (schedule IDs) are required'
+                }, corsHeaders);
+            }
+
+            if (!(await ownsSchedule(user, a, true)) || !(await ownsSchedule(user, b, true))) {
+                return scheduleNotFoundResponse(corsHeaders);
+            }
+
+            const result = await scheduleComparisonService.compare(a, b);
+
+            return jsonResponse(200, {
+                success: true,
+                data: result,
+                message: 'Schedules compared successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return jsonResponse(404, { success: false, error: error.message }, corsHeaders);
+            }
+
+            context.log.error('[schedules-compare] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to compare schedules',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
 });
 
 /**
- * GET /api/schedules/user/:userId
- * Get all schedules for a user
+ * GET /api/schedules/user/:userId?semester=2025A
+ * Get all schedules for a user, optionally filtered by semester
  */
 app.http('schedules-get-by-user', {
     methods: ['GET', 'OPTIONS'],
     route: 'schedules/user/{userId}',
     authLevel: 'anonymous',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, user) => {
         const corsHeaders = getCorsHeaders();
         
         if (request.method === 'OPTIONS') {
@@ -93,17 +412,21 @@ app.http('schedules-get-by-user', {
         }
 
         try {
-            const userId = request.params.userId;
+            const userId = resolveReadableUserId(user, request.params.userId);
 
             if (!userId) {
-                return jsonResponse(400, {
-                    success: false,
-                    error: 'userId is required'
-                }, corsHeaders);
+                return forbiddenResponse(corsHeaders);
             }
 
+            const bookmarked = request.query.get('bookmarked');
+            const primary = request.query.get('primary');
+
             // Can accept email or numeric ID
-            const result = await scheduleService.getUserSchedules(userId);
+            const result = await scheduleService.getUserSchedules(userId, {
+                semesterCode: request.query.get('semester') || request.query.get('semesterCode'),
+                bookmarked: bookmarked !== null ? validator.sanitizeBoolean(bookmarked) : undefined,
+                primary: primary !== null ? validator.sanitizeBoolean(primary) : undefined
+            });
 
             return jsonResponse(200, {
                 success: true,
@@ -119,7 +442,7 @@ app.http('schedules-get-by-user', {
                 details: error.message
             }, corsHeaders);
         }
-    }
+    })
 });
 
 /**
@@ -130,7 +453,7 @@ app.http('schedules-get-details', {
     methods: ['GET', 'OPTIONS'],
     route: 'schedules/{scheduleId}',
     authLevel: 'anonymous',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, user) => {
         const corsHeaders = getCorsHeaders();
         
         if (request.method === 'OPTIONS') {
@@ -147,6 +470,10 @@ app.http('schedules-get-details', {
                 }, corsHeaders);
             }
 
+            if (!(await ownsSchedule(user, parseInt(scheduleId), true))) {
+                return scheduleNotFoundResponse(corsHeaders);
+            }
+
             const result = await scheduleService.getScheduleDetails(parseInt(scheduleId));
 
             return jsonResponse(200, {
@@ -163,80 +490,769 @@ app.http('schedules-get-details', {
                 details: error.message
             }, corsHeaders);
         }
-    }
+    })
 });
 
 /**
- * PUT /api/schedules/:scheduleId
- * Update existing schedule
+ * GET /api/schedules/:scheduleId/export.ics
+ * Download the schedule as an iCalendar file, one event per teaching session
  */
-app.http('schedules-update', {
-    methods: ['PUT', 'OPTIONS'],
-    route: 'schedules/{scheduleId}',
+app.http('schedules-export-ics', {
+    methods: ['GET', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/export.ics',
     authLevel: 'anonymous',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, user) => {
         const corsHeaders = getCorsHeaders();
-        
+
         if (request.method === 'OPTIONS') {
             return { status: 200, headers: corsHeaders };
         }
 
         try {
-            const scheduleId = request.params.scheduleId;
-            const body = await request.json();
-            const { scheduleName, courses } = body;
+            const scheduleId = parseInt(request.params.scheduleId);
 
-            if (!scheduleId || !courses || !Array.isArray(courses)) {
+            if (isNaN(scheduleId)) {
                 return jsonResponse(400, {
                     success: false,
-                    error: 'scheduleId and courses array are required'
+                    error: 'Invalid scheduleId'
                 }, corsHeaders);
             }
 
-            const result = await scheduleService.updateSchedule(parseInt(scheduleId), scheduleName, courses);
+            if (!(await ownsSchedule(user, scheduleId, true))) {
+                return scheduleNotFoundResponse(corsHeaders);
+            }
 
-            return jsonResponse(200, {
-                success: true,
-                data: result,
-                message: 'Schedule updated successfully'
+            const calendar = await calendarService.exportSchedule(scheduleId);
+
+            context.log('[schedules-export-ics] Events:', calendar.eventCount, 'skipped courses:', calendar.skippedCourses.length);
+
+            return response.fileDownload(
+                Buffer.from(calendar.content, 'utf8'),
+                calendar.fileName,
+                'text/calendar; charset=utf-8'
+            );
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return jsonResponse(404, { success: false, error: error.message }, corsHeaders);
+            }
+            if (error.message.includes('no start date') || error.message.includes('no semester')) {
+                return jsonResponse(409, { success: false, error: error.message }, corsHeaders);
+            }
+
+            context.log.error('[schedules-export-ics] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to export schedule',
+                details: error.message
             }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * GET /api/schedules/:scheduleId/export.:format
+ * Download the schedule as CSV/XLSX (one row per meeting) or as a weekly grid (HTML/PDF)
+ * HTML is served inline so it can be printed straight from the browser
+ */
+app.http('schedules-export', {
+    methods: ['GET', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/export.{format}',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = parseInt(request.params.scheduleId);
+            const format = (request.params.format || '').toLowerCase();
+
+            if (isNaN(scheduleId)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Invalid scheduleId'
+                }, corsHeaders);
+            }
+            if (!EXPORT_FORMATS[format]) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: `Unsupported format, use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}, ics`
+                }, corsHeaders);
+            }
+
+            if (!(await ownsSchedule(user, scheduleId, true))) {
+                return scheduleNotFoundResponse(corsHeaders);
+            }
+
+            const file = await scheduleExportService.exportSchedule(scheduleId, format);
+            const download = response.fileDownload(file.content, file.fileName, file.contentType);
+
+            context.log('[schedules-export] Exported schedule', scheduleId, 'as', format);
+
+            if (format === 'html') {
+                download.headers['Content-Disposition'] = `inline; filename="${file.fileName}"`;
+            }
+
+            return download;
 
         } catch (error) {
-            context.log.error('Update schedule error:', error.message);
+            if (error.message.includes('not found')) {
+                return jsonResponse(404, { success: false, error: error.message }, corsHeaders);
+            }
+
+            context.log.error('[schedules-export] Error:', error.message, error.stack);
             return jsonResponse(500, {
                 success: false,
-                error: 'Failed to update schedule',
+                error: 'Failed to export schedule',
                 details: error.message
             }, corsHeaders);
         }
-    }
+    })
 });
 
 /**
- * DELETE /api/schedules/:scheduleId
- * Delete schedule
+ * GET /api/schedules/:scheduleId/score
+ * Per-criterion score of a saved schedule against its owner's preferences
  */
-app.http('schedules-delete', {
-    methods: ['DELETE', 'OPTIONS'],
-    route: 'schedules/{scheduleId}',
+app.http('schedules-score', {
+    methods: ['GET', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/score',
     authLevel: 'anonymous',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, user) => {
         const corsHeaders = getCorsHeaders();
-        
+
         if (request.method === 'OPTIONS') {
             return { status: 200, headers: corsHeaders };
         }
 
         try {
-            const scheduleId = request.params.scheduleId;
+            const scheduleId = parseInt(request.params.scheduleId);
 
-            if (!scheduleId) {
+            if (isNaN(scheduleId)) {
                 return jsonResponse(400, {
                     success: false,
-                    error: 'scheduleId is required'
+                    error: 'Invalid scheduleId'
                 }, corsHeaders);
             }
 
+            if (!(await ownsSchedule(user, scheduleId, true))) {
+                return scheduleNotFoundResponse(corsHeaders);
+            }
+
+            const result = await scheduleScoringService.scoreSavedSchedule(scheduleId);
+
+            return jsonResponse(200, {
+                success: true,
+                data: result,
+                message: 'Schedule scored successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return jsonResponse(404, { success: false, error: error.message }, corsHeaders);
+            }
+
+            context.log.error('[schedules-score] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to score schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * PUT /api/schedules/:scheduleId
+ * Update existing schedule
+ */
+app.http('schedules-update', {
+    methods: ['PUT', 'OPTIONS'],
+    route: 'schedules/{scheduleId}',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+        
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = request.params.scheduleId;
+            const body = await request.json();
+            const { courses, strict } = body;
+            const userId = resolveUserId(user, body.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (!scheduleId || !courses || !Array.isArray(courses)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'scheduleId and courses array are required'
+                }, corsHeaders);
+            }
+
+            const result = await scheduleService.updateSchedule(parseInt(scheduleId), userId, courses, {
+                strict: isStrict(strict)
+            });
+
+            if (result.code) {
+                return rejectionResponse(result, corsHeaders);
+            }
+
+            return jsonResponse(200, {
+                success: true,
+                data: result,
+                message: 'Schedule updated successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('Update schedule error:', error.message);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to update schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * GET /api/schedules/:scheduleId/versions?userId=
+ * Earlier course lists of the schedule, newest first, with what each later update changed
+ */
+app.http('schedules-versions', {
+    methods: ['GET', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/versions',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = parseInt(request.params.scheduleId);
+            const userId = resolveReadableUserId(user, request.query.get('userId'));
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (isNaN(scheduleId)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Valid scheduleId is required'
+                }, corsHeaders);
+            }
+
+            const result = await scheduleService.getScheduleVersions(scheduleId, userId);
+
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.error }, corsHeaders);
+            }
+
+            return jsonResponse(200, {
+                success: true,
+                data: {
+                    scheduleId,
+                    currentUpdatedAt: result.currentUpdatedAt,
+                    versions: result.versions
+                },
+                message: 'Schedule versions retrieved'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-versions] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to get schedule versions',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST /api/schedules/:scheduleId/versions/:version/restore
+ * Roll the courses back to an earlier version; the current list becomes a new version
+ */
+app.http('schedules-restore-version', {
+    methods: ['POST', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/versions/{version}/restore',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = parseInt(request.params.scheduleId);
+            const version = parseInt(request.params.version);
+            const body = await request.json().catch(() => ({}));
+            const userId = resolveUserId(user, body.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (isNaN(scheduleId) || isNaN(version)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Valid scheduleId and version are required'
+                }, corsHeaders);
+            }
+
+            const result = await scheduleService.restoreScheduleVersion(scheduleId, userId, version, {
+                strict: isStrict(body.strict)
+            });
+
+            if (result.code) {
+                return rejectionResponse(result, corsHeaders);
+            }
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.message }, corsHeaders);
+            }
+
+            context.log('[schedules-restore-version] Restored schedule', scheduleId, 'to version', version);
+
+            return jsonResponse(200, {
+                success: true,
+                data: result,
+                message: 'Schedule restored successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-restore-version] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to restore schedule version',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST /api/schedules/:scheduleId/apply
+ * Enroll in every course of the schedule in one transaction, all or nothing
+ * Body: { userId, waitlist? } - waitlist puts full sections on the waitlist instead of failing
+ */
+app.http('schedules-apply', {
+    methods: ['POST', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/apply',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = parseInt(request.params.scheduleId);
+            const body = await request.json().catch(() => ({}));
+            const userId = resolveUserId(user, body.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (isNaN(scheduleId)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Valid scheduleId is required'
+                }, corsHeaders);
+            }
+
+            const result = await enrollmentService.applySchedule(scheduleId, userId, {
+                waitlist: validator.sanitizeBoolean(body.waitlist)
+            });
+
+            if (result.code) {
+                return jsonResponse(result.code === 'ENROLLMENT_FAILED' ? 409 : 422, {
+                    success: false,
+                    code: result.code,
+                    error: result.error,
+                    outcomes: result.outcomes,
+                    conflicts: result.conflicts
+                }, corsHeaders);
+            }
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.error }, corsHeaders);
+            }
+
+            context.log('[schedules-apply] Applied schedule', scheduleId, '-', result.data.enrolledCourses.length, 'enrolled');
+
+            return jsonResponse(200, {
+                success: true,
+                data: result.data,
+                message: result.message
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-apply] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to apply schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * PATCH /api/schedules/:scheduleId
+ * Rename schedule or change its description/color
+ */
+app.http('schedules-rename', {
+    methods: ['PATCH', 'OPTIONS'],
+    route: 'schedules/{scheduleId}',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = request.params.scheduleId;
+            const body = await request.json().catch(() => ({}));
+            const { scheduleName, description, color } = body;
+            const userId = resolveUserId(user, body.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (!scheduleId) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'scheduleId is required'
+                }, corsHeaders);
+            }
+
+            const validation = validator.validateScheduleMetadataRequest(body);
+            if (!validation.isValid) {
+                return jsonResponse(422, {
+                    success: false,
+                    error: 'Validation failed',
+                    errors: validation.errors
+                }, corsHeaders);
+            }
+
+            const result = await scheduleService.updateScheduleInfo(parseInt(scheduleId), userId, {
+                scheduleName,
+                description,
+                color
+            });
+
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.error }, corsHeaders);
+            }
+
+            return jsonResponse(200, {
+                success: true,
+                data: result.data,
+                message: 'Schedule updated successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('Rename schedule error:', error.message);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to update schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST /api/schedules/:scheduleId/duplicate
+ * Clone schedule under a new name
+ */
+app.http('schedules-duplicate', {
+    methods: ['POST', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/duplicate',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = request.params.scheduleId;
+            const body = await request.json().catch(() => ({}));
+            const { scheduleName } = body;
+            const userId = resolveUserId(user, body.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (!scheduleId) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'scheduleId is required'
+                }, corsHeaders);
+            }
+
+            if (scheduleName !== undefined) {
+                const validation = validator.validateScheduleMetadataRequest({ scheduleName }, true);
+                if (!validation.isValid) {
+                    return jsonResponse(422, {
+                        success: false,
+                        error: 'Validation failed',
+                        errors: validation.errors
+                    }, corsHeaders);
+                }
+            }
+
+            const result = await scheduleService.duplicateSchedule(parseInt(scheduleId), userId, scheduleName);
+
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.error }, corsHeaders);
+            }
+
+            return jsonResponse(201, {
+                success: true,
+                data: result.data,
+                message: 'Schedule duplicated successfully'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('Duplicate schedule error:', error.message);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to duplicate schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST/DELETE /api/schedules/:scheduleId/bookmark
+ * Star (POST, body { userId }) or unstar (DELETE, ?userId=) a schedule
+ */
+app.http('schedules-bookmark', {
+    methods: ['POST', 'DELETE', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/bookmark',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = parseInt(request.params.scheduleId);
+            const userId = resolveUserId(user, request.method === 'POST'
+                ? (await request.json().catch(() => ({}))).userId
+                : request.query.get('userId'));
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (isNaN(scheduleId)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Valid scheduleId is required'
+                }, corsHeaders);
+            }
+
+            const result = await scheduleService.setBookmark(scheduleId, userId, request.method === 'POST');
+
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.message }, corsHeaders);
+            }
+
+            return jsonResponse(200, {
+                success: true,
+                data: result.data,
+                message: result.message
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-bookmark] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to update bookmark',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST/DELETE /api/schedules/:scheduleId/primary
+ * Make the schedule the user's primary one for its semester (POST, body { userId })
+ * or clear it (DELETE, ?userId=)
+ */
+app.http('schedules-primary', {
+    methods: ['POST', 'DELETE', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/primary',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = parseInt(request.params.scheduleId);
+            const userId = resolveUserId(user, request.method === 'POST'
+                ? (await request.json().catch(() => ({}))).userId
+                : request.query.get('userId'));
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+            if (isNaN(scheduleId)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Valid scheduleId is required'
+                }, corsHeaders);
+            }
+
+            const result = await scheduleService.setPrimarySchedule(scheduleId, userId, request.method === 'POST');
+
+            if (result.code) {
+                return jsonResponse(409, { success: false, code: result.code, error: result.error }, corsHeaders);
+            }
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.error }, corsHeaders);
+            }
+
+            context.log('[schedules-primary] Schedule', scheduleId, 'primary:', result.data.isPrimary);
+
+            return jsonResponse(200, {
+                success: true,
+                data: result.data,
+                message: result.message
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-primary] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to update primary schedule',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * POST /api/schedules/:scheduleId/share
+ * Create a read-only link to the schedule that works without an account
+ */
+app.http('schedules-share', {
+    methods: ['POST', 'OPTIONS'],
+    route: 'schedules/{scheduleId}/share',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = parseInt(request.params.scheduleId);
+            const body = await request.json().catch(() => ({}));
+
+            if (isNaN(scheduleId)) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'Invalid scheduleId'
+                }, corsHeaders);
+            }
+
+            const userId = resolveUserId(user, body.userId);
+
+            if (!userId) {
+                return forbiddenResponse(corsHeaders);
+            }
+
+            const validation = validator.validateShareLinkRequest({ ...body, userId });
+            if (!validation.isValid) {
+                return jsonResponse(422, {
+                    success: false,
+                    error: 'Validation failed',
+                    errors: validation.errors
+                }, corsHeaders);
+            }
+
+            const result = await scheduleService.createShareLink(
+                scheduleId,
+                userId,
+                body.expiresAt ? new Date(body.expiresAt) : null
+            );
+
+            if (!result.success) {
+                return jsonResponse(404, { success: false, error: result.error }, corsHeaders);
+            }
+
+            context.log('[schedules-share] Created share link', result.data.shareId, 'for schedule', scheduleId);
+
+            return jsonResponse(201, {
+                success: true,
+                data: {
+                    ...result.data,
+                    shareUrl: `${new URL(request.url).origin}/api/shared/${result.data.token}`
+                },
+                message: 'Store this URL now - it cannot be shown again'
+            }, corsHeaders);
+
+        } catch (error) {
+            context.log.error('[schedules-share] Error:', error.message, error.stack);
+            return jsonResponse(500, {
+                success: false,
+                error: 'Failed to create share link',
+                details: error.message
+            }, corsHeaders);
+        }
+    })
+});
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Delete schedule
+ */
+app.http('schedules-delete', {
+    methods: ['DELETE', 'OPTIONS'],
+    route: 'schedules/{scheduleId}',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+        
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const scheduleId = request.params.scheduleId;
+
+            if (!scheduleId) {
+                return jsonResponse(400, {
+                    success: false,
+                    error: 'scheduleId is required'
+                }, corsHeaders);
+            }
+
+            if (!(await ownsSchedule(user, parseInt(scheduleId)))) {
+                return scheduleNotFoundResponse(corsHeaders);
+            }
+
             const result = await scheduleService.deleteSchedule(parseInt(scheduleId));
 
             return jsonResponse(200, {
@@ -253,7 +1269,7 @@ app.http('schedules-delete', {
                 details: error.message
             }, corsHeaders);
         }
-    }
+    })
 });
 
 module.exports = { app };
@@ -0,0 +1,2 @@
+// Export share link functions
+module.exports = require('./shares');
@@ -0,0 +1,122 @@
+/**
+ * SHARE LINK API ENDPOINTS
+ * Read-only schedule links for people without an account, and their management
+ */
+
+const { app } = require('@azure/functions');
+const { ScheduleService } = require('../../services/schedule-service');
+const { ResponseHelper } = require('../../utils/response-helper');
+const { getCorsHeaders } = require('../../utils/cors-helper');
+const { withAuth, resolveUserId } = require('../../utils/auth-middleware');
+
+// Initialize services
+const scheduleService = new ScheduleService();
+const response = new ResponseHelper();
+
+/**
+ * GET /api/shared/:token
+ * Read-only schedule behind a share link; no account needed, owner details left out
+ */
+app.http('shared-schedule', {
+    methods: ['GET'],
+    route: 'shared/{token}',
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const corsHeaders = getCorsHeaders();
+
+        try {
+            const result = await scheduleService.getSharedSchedule(request.params.token);
+
+            if (!result.success) {
+                return { ...response.notFound(result.error), headers: corsHeaders };
+            }
+
+            return {
+                ...response.success(result.schedule, 'Shared schedule retrieved'),
+                headers: { ...corsHeaders, 'Cache-Control': 'no-store' }
+            };
+
+        } catch (error) {
+            context.log.error('[shared-schedule] Error:', error.message);
+            return { ...response.serverError('Failed to get shared schedule', error.message), headers: corsHeaders };
+        }
+    }
+});
+
+/**
+ * GET /api/shares?userId=&scheduleId=
+ * The user's active share links, optionally of one schedule
+ */
+app.http('shares-list', {
+    methods: ['GET', 'OPTIONS'],
+    route: 'shares',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const userId = resolveUserId(user, request.query.get('userId'));
+            const scheduleId = request.query.get('scheduleId') ? parseInt(request.query.get('scheduleId')) : null;
+
+            if (!userId) {
+                return { ...response.forbidden('You can only access your own data'), headers: corsHeaders };
+            }
+            if (Number.isNaN(scheduleId)) {
+                return { ...response.badRequest('Invalid scheduleId'), headers: corsHeaders };
+            }
+
+            const result = await scheduleService.getShareLinks(userId, scheduleId);
+            return { ...response.success(result.links, 'Share links retrieved'), headers: corsHeaders };
+
+        } catch (error) {
+            context.log.error('[shares-list] Error:', error.message);
+            return { ...response.serverError('Failed to list share links', error.message), headers: corsHeaders };
+        }
+    })
+});
+
+/**
+ * DELETE /api/shares/:shareId?userId=
+ * Revoke a share link; the URL stops working immediately
+ */
+app.http('shares-revoke', {
+    methods: ['DELETE', 'OPTIONS'],
+    route: 'shares/{shareId}',
+    authLevel: 'anonymous',
+    handler: withAuth(async (request, context, user) => {
+        const corsHeaders = getCorsHeaders();
+
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders };
+        }
+
+        try {
+            const shareId = parseInt(request.params.shareId);
+            const userId = resolveUserId(user, request.query.get('userId'));
+
+            if (!userId) {
+                return { ...response.forbidden('You can only access your own data'), headers: corsHeaders };
+            }
+            if (isNaN(shareId)) {
+                return { ...response.badRequest('Invalid shareId'), headers: corsHeaders };
+            }
+
+            const result = await scheduleService.revokeShareLink(shareId, userId);
+
+            if (!result.success) {
+                return { ...response.notFound(result.message), headers: corsHeaders };
+            }
+
+            context.log('[shares-revoke] Revoked:', shareId);
+            return { ...response.success(null, result.message), headers: corsHeaders };
+
+        } catch (error) {
+            context.log.error('[shares-revoke] Error:', error.message);
+            return { ...response.serverError('Failed to revoke share link', error.message), headers: corsHeaders };
+        }
+    })
+});
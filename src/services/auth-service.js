@@ -1,45 +1,141 @@
 /**
  * AUTHENTICATION SERVICE
  * Handles Microsoft Entra ID token validation and user authentication
+ *
+ * Sessions: a login issues a signed access token (short-lived; the auth middleware also
+ * checks its session is still open) and a refresh token whose hash is stored in
+ * UserSessions through DatabaseService. Refresh tokens rotate on use.
  */
 
+const sql = require('mssql');
+const { getPool } = require('../database');
+const { DatabaseService } = require('./database-service');
+const { hashPassword, verifyPassword } = require('../utils/password-helper');
+const { verifyEntraToken, getIdentityFromClaims, isAllowedEmailDomain } = require('../utils/entra-id-helper');
+const { ROLES, normalizeRole } = require('../utils/permission-helper');
+const { SystemLogger } = require('../utils/logger');
+const {
+    getTokenLifetimes,
+    signAccessToken,
+    verifyAccessToken,
+    generateOpaqueToken,
+    hashToken
+} = require('../utils/auth-token-helper');
+
 class AuthenticationService {
     constructor() {
-        this.tokenCache = new Map();
+        this.db = new DatabaseService();
+        this.logger = new SystemLogger();
+    }
+
+    /**
+     * Check email/password against the Users table and open a session
+     * Legacy base64 passwords are replaced by a real hash on success
+     * @param {Object} meta - { ipAddress, userAgent } recorded with the session
+     * @returns {Promise<Object|null>} - { user, accessToken, refreshToken, ... } or null for bad credentials
+     */
+    async loginWithPassword(email, password, meta = {}) {
+        const pool = await getPool();
+
+        const result = await pool.request()
+            .input('email', sql.NVarChar, email)
+            .query('SELECT UserId, Email, Name, StudentId, Password, Role FROM Users WHERE Email = @email');
+
+        if (result.recordset.length === 0) {
+            return null;
+        }
+
+        const row = result.recordset[0];
+        const { valid, needsRehash } = await verifyPassword(password, row.Password);
+
+        if (!valid) {
+            return null;
+        }
+
+        // Update last login; legacy base64 passwords are replaced by a real hash
+        await pool.request()
+            .input('userId', sql.NVarChar, String(row.UserId))
+            .input('password', sql.NVarChar, needsRehash ? await hashPassword(password) : null)
+            .query(`
+                UPDATE Users
+                SET LastLoginAt = GETDATE(), Password = ISNULL(@password, Password)
+                WHERE UserId = @userId
+            `);
+
+        const user = {
+            userId: row.UserId,
+            email: row.Email,
+            name: row.Name,
+            studentId: row.StudentId,
+            role: normalizeRole(row.Role) || ROLES.STUDENT
+        };
+
+        return { user, ...(await this.createSession(user, meta)) };
     }
 
     /**
-     * Authenticate with Microsoft Entra ID token
-     * Validates token and returns user info
+     * Open a session for an authenticated user
+     * @param {Object} user - { email, name, role, studentId }
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<{ accessToken, refreshToken, tokenType, expiresIn, refreshExpiresAt, sessionId }>}
      */
-    async authenticateWithMicrosoft(accessToken, tokenType = 'Bearer') {
+    async createSession(user, meta = {}) {
+        const { refreshTokenSeconds } = getTokenLifetimes();
+        const refreshToken = generateOpaqueToken();
+        const tokenId = generateOpaqueToken();
+        const refreshExpiresAt = new Date(Date.now() + refreshTokenSeconds * 1000);
+
+        const session = await this.db.createUserSession({
+            userID: user.email,
+            userName: user.name || null,
+            userRole: user.role || 'Student',
+            studentCode: user.studentId || null,
+            sessionToken: hashToken(tokenId),
+            refreshToken: hashToken(refreshToken),
+            expiresAt: refreshExpiresAt,
+            ipAddress: meta.ipAddress || null,
+            userAgent: meta.userAgent ? String(meta.userAgent).substring(0, 500) : null
+        });
+
+        const access = signAccessToken({ ...this.sessionClaims(session), jti: tokenId });
+
+        return {
+            accessToken: access.token,
+            refreshToken,
+            tokenType: 'Bearer',
+            expiresIn: access.expiresIn,
+            refreshExpiresAt,
+            sessionId: session.sessionID
+        };
+    }
+
+    /**
+     * Sign in with a Microsoft Entra ID token
+     * The token is verified against the tenant's signing keys; its email must be in one of
+     * ALLOWED_EMAIL_DOMAINS. First sign-ins create the Users row, later ones refresh the name
+     * @param {Object} meta - { ipAddress, userAgent } recorded with the session
+     * @returns {Promise<Object>} - { user, accessToken, refreshToken, ... } like loginWithPassword
+     */
+    async authenticateWithMicrosoft(accessToken, tokenType = 'Bearer', meta = {}) {
         try {
             if (!accessToken) {
                 throw new Error('Access token is required');
             }
 
-                        // For demo purposes, accept any token and return mock user data
-            const user = {
-                id: 'demo-user-123',
-                email: 'demo@student.com',
-                name: 'Demo User',
-                role: {
-                    roleName: 'Student',
-                    permissions: ['read', 'write']
-                }
-            };
+            const claims = await verifyEntraToken(accessToken);
+            const { email, name } = getIdentityFromClaims(claims);
 
-            // Cache the token
-            this.tokenCache.set(user.id, {
-                accessToken,
-                timestamp: Date.now()
-            });
+            if (!email) {
+                throw new Error('Invalid Microsoft token: no email claim');
+            }
+            if (!isAllowedEmailDomain(email)) {
+                throw new Error('Email domain not allowed');
+            }
 
-            return {
-                user,
-                token: 'mock-session-token-' + Date.now(),
-                expiresIn: 3600
-            };
+            const user = await this.upsertMicrosoftUser(email, name);
+            console.log('[Auth] Microsoft sign-in:', email);
+
+            return { user, ...(await this.createSession(user, meta)) };
 
         } catch (error) {
             throw new Error(`Authentication failed: ${error.message}`);
@@ -47,8 +143,9 @@ class AuthenticationService {
     }
 
     /**
-     * Refresh authentication token
-     * Validates and refreshes the token
+     * Trade a refresh token for a new access token and a new refresh token
+     * Every refresh token works once. Presenting one that was already exchanged means it
+     * leaked (or a client kept a stale copy), so the whole session is revoked
      */
     async refreshToken(refreshToken) {
         try {
@@ -56,10 +153,42 @@ class AuthenticationService {
                 throw new Error('Refresh token is required');
             }
 
-            // For demo purposes, return new mock token
+            const refreshHash = hashToken(refreshToken);
+            const session = await this.db.getSessionByRefreshToken(refreshHash);
+
+            if (!session) {
+                const reused = await this.db.getSessionByUsedRefreshToken(refreshHash);
+                if (reused) {
+                    await this.revokeFamily(reused);
+                }
+                throw new Error('Invalid refresh token');
+            }
+
+            if (new Date(session.expiresAt) <= new Date()) {
+                throw new Error('Invalid refresh token');
+            }
+
+            const nextRefreshToken = generateOpaqueToken();
+            const tokenId = generateOpaqueToken();
+            const rotated = await this.db.rotateSessionTokens(session.sessionID, refreshHash, {
+                sessionToken: hashToken(tokenId),
+                refreshToken: hashToken(nextRefreshToken)
+            });
+
+            // Another refresh with the same token got there first
+            if (!rotated) {
+                await this.revokeFamily(session);
+                throw new Error('Invalid refresh token');
+            }
+
+            const access = signAccessToken({ ...this.sessionClaims(rotated), jti: tokenId });
+
             return {
-                token: 'mock-refreshed-token-' + Date.now(),
-                expiresIn: 3600
+                accessToken: access.token,
+                refreshToken: nextRefreshToken,
+                tokenType: 'Bearer',
+                expiresIn: access.expiresIn,
+                refreshExpiresAt: rotated.expiresAt
             };
 
         } catch (error) {
@@ -68,8 +197,42 @@ class AuthenticationService {
     }
 
     /**
-     * Validate user token
-     * Checks if token is still valid
+     * Open sessions (signed-in devices) of a user
+     * @param {Object} user - The signed-in user; their own session is flagged as current
+     */
+    async listSessions(user) {
+        const sessions = await this.db.getActiveUserSessions(user.email);
+
+        return sessions.map(session => ({
+            sessionId: session.sessionID,
+            ipAddress: session.ipAddress,
+            userAgent: session.userAgent,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt || session.createdAt,
+            expiresAt: session.expiresAt,
+            current: session.sessionID === user.sessionId
+        }));
+    }
+
+    /**
+     * Sign out one of the user's devices
+     * @returns {Promise<boolean>} - false when the session is not the user's or already closed
+     */
+    async revokeSession(user, sessionId) {
+        return this.db.revokeSession(sessionId, user.email);
+    }
+
+    /**
+     * Sign out all of the user's devices, or all but the one making the request
+     * @returns {Promise<number>} - Sessions revoked
+     */
+    async revokeAllSessions(user, { exceptCurrent = false } = {}) {
+        return this.db.revokeUserSessions(user.email, exceptCurrent ? user.sessionId : null);
+    }
+
+    /**
+     * Validate an access token's signature and expiry
+     * @returns {Object} - The signed-in user { email, name, role, studentId, sessionId }
      */
     async validateToken(accessToken) {
         try {
@@ -77,16 +240,12 @@ class AuthenticationService {
                 throw new Error('No token provided');
             }
 
-            // For demo purposes, return mock user data for any token
-            return {
-                id: 'demo-user-123',
-                email: 'demo@student.com',
-                name: 'Demo User',
-                role: {
-                    roleName: 'Student',
-                    permissions: ['read', 'write']
-                }
-            };
+            const claims = verifyAccessToken(accessToken);
+            if (!claims) {
+                throw new Error('Invalid or expired token');
+            }
+
+            return this.toUser(claims);
 
         } catch (error) {
             throw new Error(`Token validation failed: ${error.message}`);
@@ -94,14 +253,182 @@ class AuthenticationService {
     }
 
     /**
-     * Logout - clear cached tokens
+     * Validate an access token and check its session is still open
+     * @returns {Promise<{ user: Object, session: Object }|null>}
+     */
+    async validateSessionToken(accessToken) {
+        const claims = verifyAccessToken(accessToken);
+        if (!claims) return null;
+
+        const session = await this.db.getSessionByToken(hashToken(claims.jti));
+        if (!session || session.sessionID !== claims.sid) return null;
+
+        return {
+            user: this.toUser(claims),
+            session: {
+                sessionId: session.sessionID,
+                createdAt: session.createdAt,
+                expiresAt: new Date(claims.exp * 1000)
+            }
+        };
+    }
+
+    /**
+     * Profile of the user behind an access token
+     */
+    async getUserProfile(accessToken) {
+        const validation = await this.validateSessionToken(accessToken);
+        if (!validation) {
+            throw new Error('Invalid session token');
+        }
+        return validation.user;
+    }
+
+    /**
+     * Logout - revoke the session of an access token
      */
-    logout(userId) {
-        if (userId && this.tokenCache.has(userId)) {
-            this.tokenCache.delete(userId);
+    async logout(accessToken) {
+        const claims = verifyAccessToken(accessToken);
+        if (claims && claims.sid) {
+            await this.db.revokeSession(claims.sid);
         }
         return { success: true, message: 'Logged out successfully' };
     }
+
+    /**
+     * Change a user's role; callers must hold PERMISSIONS.MANAGE_ROLES
+     * The change is written to the user action log. The auth middleware reads the role from
+     * Users on every request, so it applies at once; the user's sessions are still revoked so
+     * no token keeps claiming the old role
+     * @param {string} userIdentifier - UserId or email
+     * @param {string} role - One of ROLES
+     * @param {Object|null} actor - The admin making the change (null for the admin key)
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<{ user: Object, previousRole: string }|null>} - null when the user does not exist
+     */
+    async changeUserRole(userIdentifier, role, actor, meta = {}) {
+        const pool = await getPool();
+
+        const result = await pool.request()
+            .input('id', sql.NVarChar, userIdentifier)
+            .input('role', sql.NVarChar, role)
+            .query(`
+                UPDATE Users
+                SET Role = @role
+                OUTPUT INSERTED.UserId, INSERTED.Email, INSERTED.Name, INSERTED.StudentId, INSERTED.Role,
+                    DELETED.Role as PreviousRole
+                WHERE UserId = @id OR Email = @id
+            `);
+
+        if (result.recordset.length === 0) {
+            return null;
+        }
+
+        const row = result.recordset[0];
+        const previousRole = normalizeRole(row.PreviousRole) || ROLES.STUDENT;
+        const revokedSessions = previousRole !== role ? await this.db.revokeUserSessions(row.Email) : 0;
+
+        await this.logger.logUserAction(actor ? actor.email : 'X-Admin-Key', 'ROLE_CHANGED', {
+            targetUserId: row.UserId,
+            targetEmail: row.Email,
+            previousRole,
+            newRole: role,
+            revokedSessions,
+            ipAddress: meta.ipAddress || null
+        });
+        console.log('[Auth] Role of', row.Email, 'changed from', previousRole, 'to', role);
+
+        return {
+            user: {
+                userId: row.UserId,
+                email: row.Email,
+                name: row.Name,
+                studentId: row.StudentId,
+                role: row.Role
+            },
+            previousRole
+        };
+    }
+
+    // Helper Methods
+
+    /**
+     * Revoke a session after one of its refresh tokens was replayed
+     */
+    async revokeFamily(session) {
+        await this.db.revokeSession(session.sessionID);
+        console.warn('[Auth] Refresh token reuse detected, session revoked:', session.sessionID, session.userID);
+    }
+
+    /**
+     * Users row for a Microsoft account, matched by email; created on first sign-in
+     * (no password, role Student) and its name kept in step with the directory
+     */
+    async upsertMicrosoftUser(email, name) {
+        const pool = await getPool();
+
+        const result = await pool.request()
+            .input('email', sql.NVarChar, email)
+            .input('name', sql.NVarChar, name)
+            .query(`
+                UPDATE Users
+                SET Name = ISNULL(@name, Name), LastLoginAt = GETDATE()
+                OUTPUT INSERTED.UserId, INSERTED.Email, INSERTED.Name, INSERTED.StudentId, INSERTED.Role
+                WHERE Email = @email
+            `);
+
+        let row = result.recordset[0];
+
+        if (!row) {
+            const created = await pool.request()
+                .input('userId', sql.NVarChar, email.split('@')[0] + '-' + Date.now())
+                .input('email', sql.NVarChar, email)
+                .input('name', sql.NVarChar, name || email.split('@')[0])
+                .input('role', sql.NVarChar, 'Student')
+                .query(`
+                    INSERT INTO Users (UserId, Email, Name, Role)
+                    OUTPUT INSERTED.UserId, INSERTED.Email, INSERTED.Name, INSERTED.StudentId, INSERTED.Role
+                    VALUES (@userId, @email, @name, @role)
+                `);
+            row = created.recordset[0];
+            console.log('[Auth] Created user for Microsoft account:', email);
+        }
+
+        return {
+            userId: row.UserId,
+            email: row.Email,
+            name: row.Name,
+            studentId: row.StudentId,
+            role: normalizeRole(row.Role) || ROLES.STUDENT
+        };
+    }
+
+    /**
+     * Access token claims for a UserSessions row
+     */
+    sessionClaims(session) {
+        return {
+            sub: session.userID,
+            email: session.userID,
+            name: session.userName,
+            role: session.userRole,
+            studentId: session.studentCode,
+            sid: session.sessionID
+        };
+    }
+
+    /**
+     * Signed-in user from verified claims
+     */
+    toUser(claims) {
+        return {
+            email: claims.email,
+            name: claims.name || null,
+            role: claims.role || 'Student',
+            studentId: claims.studentId || null,
+            sessionId: claims.sid
+        };
+    }
 }
 
 module.exports = { AuthenticationService };
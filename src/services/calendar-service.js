@@ -0,0 +1,323 @@
+/**
+ * CALENDAR SERVICE
+ * iCalendar (RFC 5545) export of saved schedules and per-user subscription feeds
+ *
+ * Every course meeting is expanded into one dated event per teaching week, counted
+ * from the Monday of the semester's first week; sessions falling on a holiday are
+ * left out. Event UIDs only depend on schedule, course and date, so importing the
+ * file again updates the existing events instead of duplicating them.
+ */
+
+const crypto = require('crypto');
+const { ScheduleService } = require('./schedule-service');
+const { DatabaseService } = require('./database-service');
+const { SemesterService } = require('./semester-service');
+const { PeriodTimeService } = require('./period-time-service');
+const { attachMeeting } = require('../utils/course-meeting-parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Class times are local to the campuses (UTC+7, no daylight saving)
+const CALENDAR_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const CALENDAR_UID_DOMAIN = 'student-scheduler';
+const CALENDAR_PRODUCT_ID = '-//Student Scheduler//Schedule Export//VI';
+
+// RFC 5545 lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// How often subscribed calendar apps should refetch the feed
+const FEED_REFRESH_INTERVAL = 'PT6H';
+
+class CalendarService {
+    constructor() {
+        this.scheduleService = new ScheduleService();
+        this.semesterService = new SemesterService();
+        this.periodTimeService = new PeriodTimeService();
+        this.db = new DatabaseService();
+    }
+
+    /**
+     * Build the .ics file of a saved schedule
+     * @returns {{ fileName: string, content: string, eventCount: number, skippedCourses: Array }}
+     */
+    async exportSchedule(scheduleId) {
+        const details = await this.scheduleService.getScheduleDetails(scheduleId);
+        if (!details.success) {
+            throw new Error('Schedule not found');
+        }
+
+        const { schedule } = details;
+        const { events, skippedCourses } = await this.getScheduleEvents(schedule);
+
+        return {
+            fileName: `schedule-${schedule.scheduleId}.ics`,
+            content: this.buildCalendar(schedule.scheduleName, events),
+            eventCount: events.length,
+            skippedCourses
+        };
+    }
+
+    // Subscription Feeds
+
+    /**
+     * Issue a new feed token for a user; any previous feed URL stops working
+     * Only the SHA-256 hash is stored, so the token is returned this one time
+     */
+    async createFeedToken(userEmail) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const row = await this.db.createCalendarFeedToken(userEmail, this.hashToken(token));
+
+        return { token, createdAt: row.createdAt };
+    }
+
+    /**
+     * Whether the user has an active feed, and when it was last fetched
+     */
+    async getFeedStatus(userEmail) {
+        const row = await this.db.getActiveCalendarFeedToken(userEmail);
+
+        return {
+            active: Boolean(row),
+            createdAt: row ? row.createdAt : null,
+            lastUsedAt: row ? row.lastUsedAt : null
+        };
+    }
+
+    /**
+     * Revoke the user's feed tokens
+     */
+    async revokeFeedTokens(userEmail) {
+        const revoked = await this.db.revokeCalendarFeedTokens(userEmail);
+        return { revoked };
+    }
+
+    /**
+     * Calendar behind a feed token: the user's schedule for the current semester,
+     * rebuilt from the catalog on every fetch so room changes show up
+     * @returns {string|null} - null for an unknown or revoked token
+     */
+    async getFeed(token) {
+        const row = await this.db.getCalendarFeedTokenByHash(this.hashToken(token));
+        if (!row) return null;
+
+        await this.db.touchCalendarFeedToken(row.feedTokenID);
+
+        const semester = await this.semesterService.getCurrentSemester();
+        const schedule = semester ? await this.getFeedSchedule(row.userEmail, semester.semesterCode) : null;
+
+        // An empty calendar keeps subscriptions alive until a schedule is saved
+        const events = schedule ? (await this.getScheduleEvents(schedule)).events : [];
+
+        return this.buildCalendar(schedule ? schedule.scheduleName : 'Thời khóa biểu', events, {
+            refreshInterval: FEED_REFRESH_INTERVAL
+        });
+    }
+
+    /**
+     * Schedule a feed shows: the user's primary schedule of the semester,
+     * otherwise the most recently updated one
+     */
+    async getFeedSchedule(userEmail, semesterCode) {
+        const { schedules } = await this.scheduleService.getUserSchedules(userEmail, { semesterCode });
+        if (!schedules || schedules.length === 0) return null;
+
+        return schedules.find(schedule => schedule.isPrimary) ||
+            [...schedules].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+    }
+
+    // Export
+
+    /**
+     * Dated events of every course in a schedule
+     */
+    async getScheduleEvents(schedule) {
+        const semesterCode = schedule.semesterCode ||
+            (schedule.courses || []).map(course => course.semesterCode).find(Boolean);
+        if (!semesterCode) {
+            throw new Error('Schedule has no semester, cannot place it on a calendar');
+        }
+
+        const semester = await this.semesterService.getSemester(semesterCode);
+        if (!semester || !semester.startDate) {
+            throw new Error(`Semester ${semesterCode} has no start date`);
+        }
+
+        const courses = await this.periodTimeService.applyClockTimes(
+            (schedule.courses || []).map(attachMeeting),
+            { semesterCode }
+        );
+
+        const events = [];
+        const skippedCourses = [];
+
+        for (const course of courses) {
+            const { meeting } = course;
+            if (!meeting || !meeting.startTime || !meeting.endTime || meeting.weeks.length === 0) {
+                skippedCourses.push({ courseId: course.courseId, courseName: course.courseName, time: course.time });
+                continue;
+            }
+            events.push(...this.expandCourse(schedule, course, semester));
+        }
+
+        events.sort((a, b) => a.start.localeCompare(b.start));
+        return { events, skippedCourses };
+    }
+
+    /**
+     * One event per teaching week of a course, holidays excluded
+     */
+    expandCourse(schedule, course, semester) {
+        const { meeting } = course;
+        const firstMonday = this.getFirstMonday(semester.startDate);
+        const startKey = this.toDateKey(semester.startDate);
+        const events = [];
+
+        for (const week of meeting.weeks) {
+            const date = new Date(firstMonday.getTime() + ((week - 1) * 7 + meeting.dayOfWeek - 1) * DAY_MS);
+            const dateKey = this.toDateKey(date);
+
+            // Semesters may start mid-week; sessions before the start date do not take place
+            if (dateKey < startKey || this.isHoliday(dateKey, semester.holidays)) continue;
+
+            const compactDate = dateKey.replace(/-/g, '');
+            const descriptionLines = [
+                course.lecturer ? `Giảng viên: ${course.lecturer}` : null,
+                `Tuần ${week} | Tiết ${meeting.startPeriod}->${meeting.endPeriod}`,
+                course.courseCode ? `Mã lớp: ${course.courseCode}` : null
+            ].filter(Boolean);
+
+            events.push({
+                uid: `schedule-${schedule.scheduleId}-course-${course.courseId}-${compactDate}@${CALENDAR_UID_DOMAIN}`,
+                start: `${compactDate}T${meeting.startTime.replace(':', '')}00`,
+                end: `${compactDate}T${meeting.endTime.replace(':', '')}00`,
+                stamp: schedule.updatedAt || schedule.createdAt,
+                summary: course.courseName,
+                location: course.room,
+                description: descriptionLines.join('\n')
+            });
+        }
+
+        return events;
+    }
+
+    /**
+     * Serialize events to an iCalendar document
+     * @param {Object} options - { refreshInterval? } ISO 8601 duration hint for subscribed feeds
+     */
+    buildCalendar(calendarName, events, options = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${CALENDAR_PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(calendarName || 'Thời khóa biểu')}`,
+            `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+            ...(options.refreshInterval ? [
+                `REFRESH-INTERVAL;VALUE=DURATION:${options.refreshInterval}`,
+                `X-PUBLISHED-TTL:${options.refreshInterval}`
+            ] : []),
+            'BEGIN:VTIMEZONE',
+            `TZID:${CALENDAR_TIMEZONE}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0700',
+            'TZOFFSETTO:+0700',
+            'TZNAME:ICT',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+
+        for (const event of events) {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${this.toUtcStamp(event.stamp ? new Date(event.stamp) : new Date())}`,
+                `DTSTART;TZID=${CALENDAR_TIMEZONE}:${event.start}`,
+                `DTEND;TZID=${CALENDAR_TIMEZONE}:${event.end}`,
+                `SUMMARY:${this.escapeText(event.summary)}`
+            );
+            if (event.location) {
+                lines.push(`LOCATION:${this.escapeText(event.location)}`);
+            }
+            if (event.description) {
+                lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            }
+            lines.push('END:VEVENT');
+        }
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // Helper Methods
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Monday of the week the semester starts in (dates are calendar days, read in UTC)
+     */
+    getFirstMonday(startDate) {
+        const start = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
+        const isoDay = ((start.getUTCDay() + 6) % 7) + 1;
+        return new Date(start.getTime() - (isoDay - 1) * DAY_MS);
+    }
+
+    /**
+     * Holidays are [{ date, endDate?, name }] with YYYY-MM-DD dates
+     */
+    isHoliday(dateKey, holidays = []) {
+        return holidays.some(holiday => holiday.date &&
+            holiday.date <= dateKey && dateKey <= (holiday.endDate || holiday.date));
+    }
+
+    toDateKey(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    toUtcStamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape TEXT values: backslash, semicolon, comma and newlines
+     */
+    escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 octets without splitting a UTF-8 character
+     */
+    foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = Buffer.byteLength(char);
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+module.exports = { CalendarService };
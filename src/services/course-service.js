@@ -5,11 +5,14 @@
 
 const { DatabaseService } = require('./database-service');
 const { SystemLogger } = require('../utils/logger');
+const { resolveSchedule, findScheduleOverlap, describeOverlap } = require('../utils/conflict-detector');
+const { SemesterService } = require('./semester-service');
 
 class CourseService {
     constructor() {
         this.db = new DatabaseService();
         this.logger = new SystemLogger();
+        this.semesters = new SemesterService();
     }
 
     /**
@@ -119,13 +122,7 @@ class CourseService {
      */
     async getAvailableSemesters() {
         try {
-            const semesters = await this.db.getAvailableSemesters();
-
-            return semesters.map(semester => ({
-                ...semester,
-                isActive: this.isSemesterActive(semester),
-                registrationStatus: this.getSemesterRegistrationStatus(semester)
-            }));
+            return await this.semesters.getSemestersWithStatus();
 
         } catch (error) {
             await this.logger.logError('GET_AVAILABLE_SEMESTERS_FAILED', error.message);
@@ -331,8 +328,8 @@ class CourseService {
                 enrollmentPercentage,
                 enrollmentStatus,
                 availableSpots: Math.max(0, course.maxStudents - course.enrolledCount),
-                timeSlotFormatted: this.formatTimeSlot(course.schedule?.timeSlot),
-                scheduleDescription: this.formatScheduleDescription(course.schedule)
+                timeSlotFormatted: this.formatTimeSlot(this.getTimeSlot(course)),
+                scheduleDescription: this.formatScheduleDescription(this.getSchedule(course))
             };
 
         } catch (error) {
@@ -383,33 +380,23 @@ class CourseService {
 
     /**
      * Check for time conflicts between courses
+     * Same day and overlapping time only count when the courses share a teaching week
      */
     checkTimeConflict(course1, course2) {
-        if (!course1.schedule?.timeSlot || !course2.schedule?.timeSlot) {
-            return null;
-        }
+        const overlap = findScheduleOverlap(this.getSchedule(course1), this.getSchedule(course2));
 
-        // Check same day
-        if (course1.schedule.timeSlot.dayNumber !== course2.schedule.timeSlot.dayNumber) {
+        if (!overlap) {
             return null;
         }
 
-        // Check time overlap
-        const start1 = this.parseTime(course1.schedule.timeSlot.startTime);
-        const end1 = this.parseTime(course1.schedule.timeSlot.endTime);
-        const start2 = this.parseTime(course2.schedule.timeSlot.startTime);
-        const end2 = this.parseTime(course2.schedule.timeSlot.endTime);
-
-        if (start1 < end2 && start2 < end1) {
-            return {
-                type: 'time',
-                severity: 'error',
-                message: 'Time slot conflict detected',
-                canProceed: false
-            };
-        }
-
-        return null;
+        return {
+            type: 'time',
+            severity: 'error',
+            message: describeOverlap(overlap),
+            canProceed: false,
+            dayNumber: overlap.dayNumber,
+            overlappingWeeks: overlap.overlappingWeeks
+        };
     }
 
     /**
@@ -463,6 +450,20 @@ class CourseService {
         }
     }
 
+    /**
+     * Resolve a course's schedule from the relational columns or the parsed meeting
+     */
+    getSchedule(course) {
+        return resolveSchedule(course);
+    }
+
+    /**
+     * Resolve a course's time slot from the relational schedule or the parsed meeting
+     */
+    getTimeSlot(course) {
+        return this.getSchedule(course)?.timeSlot || null;
+    }
+
     /**
      * Parse time string to minutes
      */
@@ -478,6 +479,10 @@ class CourseService {
     formatTimeSlot(timeSlot) {
         if (!timeSlot) return 'TBA';
 
+        if (!timeSlot.startTime && timeSlot.startPeriod) {
+            return timeSlot.timeDescription;
+        }
+
         return `${timeSlot.dayOfWeek} ${timeSlot.startTime}-${timeSlot.endTime}`;
     }
 
@@ -491,6 +496,11 @@ class CourseService {
 
         let description = `${timeSlot?.dayOfWeek || 'TBA'} ${timeSlot?.startTime || ''}-${timeSlot?.endTime || ''}`;
 
+        // Period-only slots (no clock mapping for that period) fall back to "Tiết x->y"
+        if (timeSlot && !timeSlot.startTime && timeSlot.startPeriod) {
+            description = `${timeSlot.dayOfWeek} Tiết ${timeSlot.startPeriod}->${timeSlot.endPeriod}`;
+        }
+
         if (room) {
             description += ` at ${room.roomCode}`;
 
@@ -501,29 +511,6 @@ class CourseService {
 
         return description;
     }
-
-    /**
-     * Check if semester is currently active
-     */
-    isSemesterActive(semester) {
-        const now = new Date();
-        return semester.startDate <= now && now <= semester.endDate;
-    }
-
-    /**
-     * Get semester registration status
-     */
-    getSemesterRegistrationStatus(semester) {
-        const now = new Date();
-
-        if (now < semester.registrationStartDate) {
-            return 'not_open';
-        } else if (now >= semester.registrationStartDate && now <= semester.registrationEndDate) {
-            return 'open';
-        } else {
-            return 'closed';
-        }
-    }
 }
 
 module.exports = { CourseService };
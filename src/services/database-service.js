@@ -4,15 +4,13 @@
  */
 
 const sql = require('mssql');
+const { getPool, resetPool } = require('../database');
 const { SystemLogger } = require('../utils/logger');
 
 class DatabaseService {
     constructor() {
         this.logger = new SystemLogger();
-        this.pool = null;
-        this.isConnecting = false;
-        this.lastConnectionAttempt = null;
-        
+
         // Azure SQL Free tier auto-pause settings
         this.retryConfig = {
             maxRetries: 5,                    // Maximum retry attempts
@@ -21,31 +19,6 @@ class DatabaseService {
             backoffMultiplier: 2,             // Exponential backoff multiplier
             wakeUpTimeoutMs: 120000           // Max time to wait for Azure SQL to wake up (2 minutes)
         };
-
-        this.config = {
-            server: process.env.SQL_SERVER || 'student-scheduler-server.database.windows.net',
-            database: process.env.SQL_DATABASE || 'student-scheduler-db',
-            user: process.env.SQL_USER || 'sqladmin',
-            password: process.env.SQL_PASSWORD || 'admin123@',
-            port: parseInt(process.env.SQL_PORT) || 1433,
-            options: {
-                encrypt: true,
-                trustServerCertificate: false,
-                enableArithAbort: true,
-                requestTimeout: 60000,        // Increased for Azure wake-up
-                connectionTimeout: 60000      // Increased for Azure wake-up
-            },
-            pool: {
-                max: 10,
-                min: 0,
-                idleTimeoutMillis: 30000,
-                acquireTimeoutMillis: 120000, // Increased for Azure wake-up
-                createTimeoutMillis: 60000,   // Increased for Azure wake-up
-                destroyTimeoutMillis: 5000,
-                reapIntervalMillis: 1000,
-                createRetryIntervalMillis: 200
-            }
-        };
     }
 
     /**
@@ -85,122 +58,11 @@ class DatabaseService {
     }
 
     /**
-     * Initialize database connection pool with retry for Azure SQL wake-up
-     */
-    async initialize() {
-        if (this.isConnecting) {
-            // Wait for ongoing connection attempt
-            while (this.isConnecting) {
-                await this.sleep(500);
-            }
-            if (this.pool) {
-                return this.pool;
-            }
-        }
-
-        if (this.pool) {
-            return this.pool;
-        }
-
-        this.isConnecting = true;
-
-        try {
-            this.pool = await this.connectWithRetry();
-
-            await this.logger.logSystemEvent('DATABASE_CONNECTED', {
-                server: this.config.server,
-                database: this.config.database
-            });
-
-            // Handle pool events - auto reconnect on error
-            this.pool.on('error', async (err) => {
-                await this.logger.logError('DATABASE_POOL_ERROR', err.message);
-                // Reset pool on error to force reconnection on next request
-                this.pool = null;
-            });
-
-            return this.pool;
-
-        } catch (error) {
-            this.pool = null;
-            await this.logger.logError('DATABASE_CONNECTION_FAILED', error.message);
-            throw error;
-        } finally {
-            this.isConnecting = false;
-        }
-    }
-
-    /**
-     * Connect to database with exponential backoff retry
-     * Handles Azure SQL Free tier auto-pause wake-up
-     */
-    async connectWithRetry() {
-        let lastError;
-        let delay = this.retryConfig.initialDelayMs;
-
-        for (let attempt = 1; attempt <= this.retryConfig.maxRetries; attempt++) {
-            try {
-                console.log(`🔄 Database connection attempt ${attempt}/${this.retryConfig.maxRetries}...`);
-
-                const pool = await new sql.ConnectionPool(this.config).connect();
-                
-                console.log(`✅ Database connected successfully on attempt ${attempt}`);
-                return pool;
-
-            } catch (error) {
-                lastError = error;
-                console.log(`❌ Connection attempt ${attempt} failed: ${error.message}`);
-
-                // Check if this is a paused database error
-                if (this.isAzurePausedError(error) && attempt < this.retryConfig.maxRetries) {
-                    console.log(`⏳ Azure SQL might be paused. Waiting ${delay/1000}s before retry...`);
-                    console.log(`   (Azure SQL Free tier auto-pauses after 1 hour of inactivity)`);
-                    
-                    await this.sleep(delay);
-                    
-                    // Exponential backoff
-                    delay = Math.min(delay * this.retryConfig.backoffMultiplier, this.retryConfig.maxDelayMs);
-                } else if (attempt < this.retryConfig.maxRetries) {
-                    // For other errors, still retry but with shorter delay
-                    await this.sleep(this.retryConfig.initialDelayMs);
-                }
-            }
-        }
-
-        throw new Error(`Failed to connect to database after ${this.retryConfig.maxRetries} attempts. Last error: ${lastError.message}`);
-    }
-
-    /**
-     * Close and reset the connection pool
-     */
-    async closePool() {
-        if (this.pool) {
-            try {
-                await this.pool.close();
-                console.log('Database pool closed');
-            } catch (error) {
-                console.error('Error closing pool:', error.message);
-            }
-            this.pool = null;
-        }
-    }
-
-    /**
-     * Get database connection with auto-reconnect
+     * Get the shared connection pool (src/database.js, DB_* settings), which reconnects
+     * with retry while Azure SQL wakes up
      */
     async getConnection() {
-        // Check if pool exists and is connected
-        if (this.pool && this.pool.connected) {
-            return this.pool;
-        }
-
-        // Reset pool if it exists but is not connected
-        if (this.pool && !this.pool.connected) {
-            console.log('🔄 Pool exists but not connected, resetting...');
-            this.pool = null;
-        }
-
-        return await this.initialize();
+        return await getPool();
     }
 
     /**
@@ -252,7 +114,7 @@ class DatabaseService {
                     console.log(`⚠️ ${operationName} failed on attempt ${attempt}: ${error.message}`);
                     
                     // Reset pool to force reconnection
-                    await this.closePool();
+                    resetPool();
 
                     if (attempt < this.retryConfig.maxRetries) {
                         console.log(`⏳ Retrying in ${delay/1000}s... (Azure SQL might be waking up)`);
@@ -395,18 +257,67 @@ class DatabaseService {
     // SESSION MANAGEMENT METHODS
     // =====================================
 
+    /**
+     * Create the UserSessions table on first use
+     * Sessions are keyed by email (userID), like schedules and calendar feeds; the name, role
+     * and student code are kept so refreshed access tokens carry the same claims. Tokens are stored hashed
+     *
+     * A session is one sign-in on one device. Its refresh token changes on every refresh; the
+     * replaced ones go to UsedRefreshTokens so a replayed token can be traced to its session
+     */
+    async ensureSessionSchema() {
+        if (this.sessionSchemaReady) return;
+
+        await this.executeQuery(`
+            IF OBJECT_ID('UserSessions', 'U') IS NULL
+            BEGIN
+                CREATE TABLE UserSessions (
+                    sessionID INT IDENTITY(1,1) PRIMARY KEY,
+                    userID NVARCHAR(255) NOT NULL,
+                    userName NVARCHAR(255) NULL,
+                    userRole NVARCHAR(50) NULL,
+                    studentCode NVARCHAR(20) NULL,
+                    sessionToken CHAR(64) NOT NULL,
+                    refreshToken CHAR(64) NOT NULL UNIQUE,
+                    expiresAt DATETIME2 NOT NULL,
+                    ipAddress NVARCHAR(64) NULL,
+                    userAgent NVARCHAR(500) NULL,
+                    createdAt DATETIME2 NOT NULL,
+                    lastUsedAt DATETIME2 NULL,
+                    isRevoked BIT NOT NULL DEFAULT 0,
+                    revokedAt DATETIME2 NULL
+                );
+                CREATE INDEX IX_UserSessions_userID ON UserSessions(userID);
+            END
+
+            IF OBJECT_ID('UsedRefreshTokens', 'U') IS NULL
+            BEGIN
+                CREATE TABLE UsedRefreshTokens (
+                    tokenHash CHAR(64) NOT NULL PRIMARY KEY,
+                    sessionID INT NOT NULL REFERENCES UserSessions(sessionID) ON DELETE CASCADE,
+                    usedAt DATETIME2 NOT NULL
+                );
+                CREATE INDEX IX_UsedRefreshTokens_sessionID ON UsedRefreshTokens(sessionID);
+            END
+        `, {}, 'ENSURE_SESSION_SCHEMA');
+
+        this.sessionSchemaReady = true;
+    }
+
     /**
      * Create user session
      */
     async createUserSession(sessionData) {
+        await this.ensureSessionSchema();
+
         const query = `
             INSERT INTO UserSessions (
-                userID, sessionToken, refreshToken, expiresAt, 
+                userID, userName, userRole, studentCode, sessionToken, refreshToken, expiresAt, 
                 ipAddress, userAgent, createdAt
             )
             OUTPUT INSERTED.*
             VALUES (
-                @userID, @sessionToken, @refreshToken, @expiresAt,
+                @userID, @userName, @userRole, @studentCode, @sessionToken, @refreshToken, @expiresAt,
                 @ipAddress, @userAgent, @createdAt
             )
         `;
@@ -424,6 +335,8 @@ class DatabaseService {
      * Get session by token
      */
     async getSessionByToken(tokenHash) {
+        await this.ensureSessionSchema();
+
         const query = `
             SELECT * FROM UserSessions 
             WHERE sessionToken = @tokenHash AND isRevoked = 0
@@ -437,6 +350,8 @@ class DatabaseService {
      * Get session by refresh token
      */
     async getSessionByRefreshToken(refreshTokenHash) {
+        await this.ensureSessionSchema();
+
         const query = `
             SELECT * FROM UserSessions 
             WHERE refreshToken = @refreshTokenHash AND isRevoked = 0
@@ -446,6 +361,110 @@ class DatabaseService {
         return result.recordset[0] || null;
     }
 
+    /**
+     * Session a replaced refresh token belonged to (revoked or not), or null
+     */
+    async getSessionByUsedRefreshToken(refreshTokenHash) {
+        await this.ensureSessionSchema();
+
+        const query = `
+            SELECT s.* FROM UsedRefreshTokens u
+            JOIN UserSessions s ON s.sessionID = u.sessionID
+            WHERE u.tokenHash = @refreshTokenHash
+        `;
+
+        const result = await this.executeQuery(query, { refreshTokenHash }, 'GET_SESSION_BY_USED_REFRESH_TOKEN');
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Swap a session's refresh and access token hashes, retiring the old refresh token
+     * Only succeeds while the session is open and still holds that refresh token, so two
+     * refreshes with the same token cannot both win
+     * @returns {Promise<Object|null>} - The updated session, or null
+     */
+    async rotateSessionTokens(sessionID, refreshTokenHash, { sessionToken, refreshToken }) {
+        await this.ensureSessionSchema();
+
+        const query = `
+            UPDATE UserSessions
+            SET sessionToken = @sessionToken, refreshToken = @refreshToken, lastUsedAt = @usedAt
+            OUTPUT INSERTED.*
+            WHERE sessionID = @sessionID AND refreshToken = @refreshTokenHash
+                AND isRevoked = 0 AND expiresAt > @usedAt;
+
+            IF @@ROWCOUNT = 1
+                INSERT INTO UsedRefreshTokens (tokenHash, sessionID, usedAt)
+                VALUES (@refreshTokenHash, @sessionID, @usedAt);
+        `;
+
+        const result = await this.executeQuery(query, {
+            sessionID,
+            refreshTokenHash,
+            sessionToken,
+            refreshToken,
+            usedAt: new Date()
+        }, 'ROTATE_SESSION_TOKENS');
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * A session that is neither revoked nor expired, or null - checked on every authenticated request
+     * currentRole is the user's role now, which may differ from the one the session started with
+     */
+    async getOpenSession(sessionID) {
+        await this.ensureSessionSchema();
+
+        const query = `
+            SELECT s.sessionID, s.userID, s.userRole, u.Role as currentRole
+            FROM UserSessions s
+            OUTER APPLY (SELECT TOP 1 Role FROM Users WHERE Email = s.userID) u
+            WHERE s.sessionID = @sessionID AND s.isRevoked = 0 AND s.expiresAt > @now
+        `;
+
+        const result = await this.executeQuery(query, { sessionID, now: new Date() }, 'GET_OPEN_SESSION');
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Open sessions of a user, most recently used first
+     */
+    async getActiveUserSessions(userID) {
+        await this.ensureSessionSchema();
+
+        const query = `
+            SELECT sessionID, ipAddress, userAgent, createdAt, lastUsedAt, expiresAt
+            FROM UserSessions
+            WHERE userID = @userID AND isRevoked = 0 AND expiresAt > @now
+            ORDER BY COALESCE(lastUsedAt, createdAt) DESC
+        `;
+
+        const result = await this.executeQuery(query, { userID, now: new Date() }, 'GET_ACTIVE_USER_SESSIONS');
+        return result.recordset;
+    }
+
+    /**
+     * Revoke all open sessions of a user, optionally keeping one (the caller's own)
+     * @returns {Promise<number>} - Sessions revoked
+     */
+    async revokeUserSessions(userID, exceptSessionID = null) {
+        await this.ensureSessionSchema();
+
+        const query = `
+            UPDATE UserSessions
+            SET isRevoked = 1, revokedAt = @revokedAt
+            WHERE userID = @userID AND isRevoked = 0
+                AND (@exceptSessionID IS NULL OR sessionID <> @exceptSessionID)
+        `;
+
+        const result = await this.executeQuery(query, {
+            userID,
+            exceptSessionID,
+            revokedAt: new Date()
+        }, 'REVOKE_USER_SESSIONS');
+        return result.rowsAffected[0];
+    }
+
     /**
      * Update user session
      */
@@ -471,18 +490,137 @@ class DatabaseService {
 
     /**
      * Revoke session
+     * @param {string} userID - When given, only a session of this user is revoked
+     * @returns {Promise<boolean>} - Whether an open session was revoked
      */
-    async revokeSession(sessionID) {
+    async revokeSession(sessionID, userID = null) {
         const query = `
             UPDATE UserSessions 
             SET isRevoked = 1, revokedAt = @revokedAt 
-            WHERE sessionID = @sessionID
+            WHERE sessionID = @sessionID AND isRevoked = 0
+                AND (@userID IS NULL OR userID = @userID)
         `;
 
-        await this.executeQuery(query, {
+        const result = await this.executeQuery(query, {
             sessionID,
+            userID,
             revokedAt: new Date()
         }, 'REVOKE_SESSION');
+        return result.rowsAffected[0] > 0;
+    }
+
+    // =====================================
+    // CALENDAR FEED TOKEN METHODS
+    // =====================================
+
+    /**
+     * Create the CalendarFeedTokens table on first use
+     * Feeds are keyed by email, the identifier schedules are saved under
+     */
+    async ensureCalendarFeedSchema() {
+        if (this.calendarFeedSchemaReady) return;
+
+        await this.executeQuery(`
+            IF OBJECT_ID('CalendarFeedTokens', 'U') IS NULL
+            BEGIN
+                CREATE TABLE CalendarFeedTokens (
+                    feedTokenID INT IDENTITY(1,1) PRIMARY KEY,
+                    userEmail NVARCHAR(255) NOT NULL,
+                    tokenHash CHAR(64) NOT NULL UNIQUE,
+                    createdAt DATETIME2 NOT NULL,
+                    lastUsedAt DATETIME2 NULL,
+                    isRevoked BIT NOT NULL DEFAULT 0,
+                    revokedAt DATETIME2 NULL
+                );
+                CREATE INDEX IX_CalendarFeedTokens_userEmail ON CalendarFeedTokens(userEmail);
+            END
+        `, {}, 'ENSURE_CALENDAR_FEED_SCHEMA');
+
+        this.calendarFeedSchemaReady = true;
+    }
+
+    /**
+     * Create calendar feed token, revoking the user's previous ones
+     */
+    async createCalendarFeedToken(userEmail, tokenHash) {
+        await this.ensureCalendarFeedSchema();
+
+        const query = `
+            UPDATE CalendarFeedTokens
+            SET isRevoked = 1, revokedAt = @createdAt
+            WHERE userEmail = @userEmail AND isRevoked = 0;
+
+            INSERT INTO CalendarFeedTokens (userEmail, tokenHash, createdAt)
+            OUTPUT INSERTED.*
+            VALUES (@userEmail, @tokenHash, @createdAt);
+        `;
+
+        const result = await this.executeQuery(query, {
+            userEmail,
+            tokenHash,
+            createdAt: new Date()
+        }, 'CREATE_CALENDAR_FEED_TOKEN');
+        return result.recordset[0];
+    }
+
+    /**
+     * Get active calendar feed token by hash
+     */
+    async getCalendarFeedTokenByHash(tokenHash) {
+        await this.ensureCalendarFeedSchema();
+
+        const query = `
+            SELECT * FROM CalendarFeedTokens
+            WHERE tokenHash = @tokenHash AND isRevoked = 0
+        `;
+
+        const result = await this.executeQuery(query, { tokenHash }, 'GET_CALENDAR_FEED_TOKEN');
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Get the user's active calendar feed token
+     */
+    async getActiveCalendarFeedToken(userEmail) {
+        await this.ensureCalendarFeedSchema();
+
+        const query = `
+            SELECT feedTokenID, userEmail, createdAt, lastUsedAt
+            FROM CalendarFeedTokens
+            WHERE userEmail = @userEmail AND isRevoked = 0
+        `;
+
+        const result = await this.executeQuery(query, { userEmail }, 'GET_ACTIVE_CALENDAR_FEED_TOKEN');
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Record a feed download
+     */
+    async touchCalendarFeedToken(feedTokenID) {
+        await this.executeQuery(`
+            UPDATE CalendarFeedTokens SET lastUsedAt = @lastUsedAt WHERE feedTokenID = @feedTokenID
+        `, { feedTokenID, lastUsedAt: new Date() }, 'TOUCH_CALENDAR_FEED_TOKEN');
+    }
+
+    /**
+     * Revoke all calendar feed tokens of a user
+     * @returns {number} tokens revoked
+     */
+    async revokeCalendarFeedTokens(userEmail) {
+        await this.ensureCalendarFeedSchema();
+
+        const query = `
+            UPDATE CalendarFeedTokens
+            SET isRevoked = 1, revokedAt = @revokedAt
+            WHERE userEmail = @userEmail AND isRevoked = 0
+        `;
+
+        const result = await this.executeQuery(query, {
+            userEmail,
+            revokedAt: new Date()
+        }, 'REVOKE_CALENDAR_FEED_TOKENS');
+        return result.rowsAffected[0];
     }
 
     // =====================================
@@ -907,21 +1045,6 @@ class DatabaseService {
             isVisible: row.isVisible
         };
     }
-
-    /**
-     * Close database connection
-     */
-    async close() {
-        try {
-            if (this.pool) {
-                await this.pool.close();
-                this.pool = null;
-                await this.logger.logSystemEvent('DATABASE_DISCONNECTED');
-            }
-        } catch (error) {
-            await this.logger.logError('DATABASE_CLOSE_ERROR', error.message);
-        }
-    }
 }
 
 module.exports = { DatabaseService };
@@ -0,0 +1,330 @@
+/**
+ * ENROLLMENT SERVICE
+ * Enrolls a student in every course of a saved schedule in one transaction:
+ * either the whole schedule goes through or nothing is written
+ *
+ * Each course gets the checks UserService.enrollInCourse makes one at a time -
+ * already enrolled, time clash with current enrollments, free seats and the
+ * student's credit limit - against the catalog rows locked for the transaction.
+ */
+
+const sql = require('mssql');
+const { ScheduleService } = require('./schedule-service');
+const { PreferenceService } = require('./preference-service');
+const { attachMeeting } = require('../utils/course-meeting-parser');
+const { findCourseConflicts } = require('../utils/conflict-detector');
+
+// Same fallback as /api/courses when the catalog has no credit value
+const DEFAULT_CREDITS = 2;
+
+// Per-course outcomes that cancel the whole apply
+const FAILED_STATUSES = ['not_found', 'conflict', 'full', 'credit_limit'];
+
+class EnrollmentService {
+    constructor() {
+        this.scheduleService = new ScheduleService();
+        this.preferenceService = new PreferenceService();
+    }
+
+    /**
+     * Enroll the owner of a schedule in all of its courses
+     * The applied schedule becomes the primary schedule of its semester
+     * @param {Object} options - { waitlist } put full sections on the waitlist instead of failing
+     * @returns {{ success: false, error: string }
+     *          | { success: false, code: string, error: string, outcomes?: Array, conflicts?: Array }
+     *          | { success: true, message: string, data: Object }}
+     */
+    async applySchedule(scheduleId, userIdentifier, options = {}) {
+        const email = userIdentifier.includes('@') ? userIdentifier : null;
+
+        return this.scheduleService.executeWithRetry(async (pool) => {
+            await this.scheduleService.ensureSchema(pool);
+
+            const owned = await pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .input('userId', sql.NVarChar, email)
+                .query(`
+                    SELECT id as scheduleId, scheduleName, semesterCode, coursesJson
+                    FROM Schedules
+                    WHERE id = @scheduleId AND userId = @userId
+                `);
+
+            if (owned.recordset.length === 0) {
+                return { success: false, error: 'Schedule not found' };
+            }
+
+            const [schedule] = await this.scheduleService.attachCourses(pool, owned.recordset);
+            if (schedule.courses.length === 0) {
+                return { success: false, code: 'EMPTY_SCHEDULE', error: 'Schedule has no courses to enroll in' };
+            }
+
+            // Without the stored limit the apply still goes ahead, but says so in data.warnings
+            const warnings = [];
+            let creditLimit = null;
+            try {
+                creditLimit = await this.loadCreditLimit(email, schedule.semesterCode);
+            } catch (error) {
+                console.warn('[applySchedule] Could not load credit limit:', error.message);
+                warnings.push({
+                    code: 'CREDIT_LIMIT_UNCHECKED',
+                    message: 'Your credit limit could not be loaded, so it was not checked'
+                });
+            }
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                const courseIds = [...new Set(schedule.courses.map(course => course.courseId))];
+                const catalog = await this.lockCourses(transaction, courseIds);
+                const semesters = [...new Set([...catalog.values()].map(course => course.semesterCode))];
+                const current = await this.getActiveEnrollments(transaction, email, semesters);
+
+                const { outcomes, conflicts } = this.planEnrollments(courseIds, catalog, current, {
+                    creditLimit,
+                    waitlist: options.waitlist === true
+                });
+
+                if (outcomes.some(outcome => FAILED_STATUSES.includes(outcome.status))) {
+                    await transaction.rollback();
+                    return {
+                        success: false,
+                        code: 'ENROLLMENT_FAILED',
+                        error: 'Some courses could not be enrolled, nothing was applied',
+                        outcomes,
+                        conflicts
+                    };
+                }
+
+                const created = outcomes.filter(outcome => outcome.status === 'enrolled' || outcome.status === 'waitlisted');
+                const enrollmentIds = await this.insertEnrollments(transaction, scheduleId, email, created);
+                created.forEach(outcome => { outcome.enrollmentId = enrollmentIds.get(outcome.courseId) || null; });
+
+                if (schedule.semesterCode) {
+                    await this.scheduleService.markPrimary(transaction, scheduleId, email, schedule.semesterCode);
+                }
+
+                await transaction.commit();
+
+                const enrolledCourses = outcomes.filter(outcome => outcome.enrollmentType === 'Enrolled');
+                const waitlistedCourses = outcomes.filter(outcome => outcome.enrollmentType === 'Waitlisted');
+
+                console.log('[applySchedule] Schedule', scheduleId, 'applied:', created.length, 'new enrollments,',
+                    waitlistedCourses.length, 'waitlisted');
+
+                return {
+                    success: true,
+                    message: `Đã đăng ký ${created.length} học phần`,
+                    data: {
+                        scheduleId,
+                        semesterCode: schedule.semesterCode,
+                        enrolledCourses,
+                        waitlistedCourses,
+                        outcomes,
+                        conflicts,
+                        totalCredits: enrolledCourses.reduce((sum, outcome) => sum + outcome.credits, 0),
+                        creditLimit,
+                        warnings
+                    }
+                };
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
+        }, 'applySchedule');
+    }
+
+    /**
+     * Decide the outcome of each course, in schedule order
+     * @param {number[]} courseIds - Courses of the schedule
+     * @param {Map<number, Object>} catalog - Locked catalog rows with enrolledCount
+     * @param {Array} current - The student's active enrollments with their course rows
+     * @param {Object} options - { creditLimit: number|null, waitlist: boolean }
+     * @returns {{ outcomes: Array, conflicts: Array }}
+     */
+    planEnrollments(courseIds, catalog, current, options) {
+        const outcomes = [];
+        const conflicts = [];
+        const currentIds = new Map(current.map(row => [row.courseId, row]));
+
+        // Enrolled courses occupy their time slots and count toward the credit limit; waitlisted ones do not
+        const occupied = current.filter(row => row.enrollmentType === 'Enrolled');
+        let enrolledCredits = occupied.reduce((sum, row) => sum + this.getCredits(row), 0);
+
+        for (const courseId of courseIds) {
+            const course = catalog.get(courseId);
+
+            if (!course) {
+                outcomes.push({ courseId, courseName: null, status: 'not_found', reason: 'Course no longer exists in the catalog' });
+                continue;
+            }
+
+            const summary = { courseId, courseName: course.courseName, credits: this.getCredits(course) };
+            const existing = currentIds.get(courseId);
+
+            if (existing) {
+                outcomes.push({
+                    ...summary,
+                    status: 'already_enrolled',
+                    enrollmentType: existing.enrollmentType,
+                    enrollmentId: existing.enrollmentId
+                });
+                continue;
+            }
+
+            const clashes = findCourseConflicts([course, ...occupied])
+                .filter(clash => clash.course1.courseId === courseId);
+
+            if (clashes.length > 0) {
+                for (const { course1, course2, message, ...details } of clashes) {
+                    conflicts.push({
+                        type: 'time',
+                        severity: 'error',
+                        message: `${course1.courseName} / ${course2.courseName}: ${message}`,
+                        courses: [course1, course2],
+                        ...details
+                    });
+                }
+                outcomes.push({ ...summary, status: 'conflict', reason: 'Schedule conflict with an enrolled course' });
+                continue;
+            }
+
+            if (course.quantity > 0 && course.enrolledCount >= course.quantity) {
+                conflicts.push({
+                    type: 'capacity',
+                    severity: options.waitlist ? 'warning' : 'error',
+                    message: `${course.courseName} is full (${course.enrolledCount}/${course.quantity})`,
+                    courses: [{ courseId, courseName: course.courseName }],
+                    capacity: course.quantity,
+                    taken: course.enrolledCount
+                });
+
+                outcomes.push(options.waitlist
+                    ? { ...summary, status: 'waitlisted', enrollmentType: 'Waitlisted' }
+                    : { ...summary, status: 'full', reason: 'No free seats left' });
+                continue;
+            }
+
+            if (options.creditLimit && enrolledCredits + summary.credits > options.creditLimit) {
+                conflicts.push({
+                    type: 'credit_limit',
+                    severity: 'error',
+                    message: `${course.courseName} would bring the semester to ${enrolledCredits + summary.credits} credits (limit ${options.creditLimit})`,
+                    courses: [{ courseId, courseName: course.courseName }],
+                    creditLimit: options.creditLimit,
+                    credits: enrolledCredits + summary.credits
+                });
+                outcomes.push({ ...summary, status: 'credit_limit', reason: 'Credit limit exceeded' });
+                continue;
+            }
+
+            outcomes.push({ ...summary, status: 'enrolled', enrollmentType: 'Enrolled' });
+            occupied.push(course);
+            enrolledCredits += summary.credits;
+        }
+
+        return { outcomes, conflicts };
+    }
+
+    // Helper Methods
+
+    /**
+     * Catalog rows of the courses with their current enrollment count, locked until the
+     * transaction ends so concurrent applies cannot both take the last seat
+     * @returns {Promise<Map<number, Object>>}
+     */
+    async lockCourses(transaction, courseIds) {
+        const result = await new sql.Request(transaction)
+            .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(courseIds))
+            .query(`
+                SELECT
+                    c.ID as courseId,
+                    c.Name as courseName,
+                    c.Credits as credits,
+                    c.Time as time,
+                    c.Weeks as weeks,
+                    ISNULL(c.Quantity, 0) as quantity,
+                    c.SemesterCode as semesterCode,
+                    (
+                        SELECT COUNT(*) FROM CourseEnrollments e
+                        WHERE e.CourseId = c.ID AND e.Status = 'Active' AND e.EnrollmentType = 'Enrolled'
+                    ) as enrolledCount
+                FROM Courses c WITH (UPDLOCK, HOLDLOCK)
+                WHERE c.ID IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+            `);
+
+        return new Map(result.recordset.map(row => [row.courseId, attachMeeting(row)]));
+    }
+
+    /**
+     * The student's active enrollments in the given semesters
+     */
+    async getActiveEnrollments(transaction, email, semesters) {
+        const result = await new sql.Request(transaction)
+            .input('userId', sql.NVarChar, email)
+            .input('semesters', sql.NVarChar(sql.MAX), JSON.stringify(semesters.filter(Boolean)))
+            .input('anySemester', sql.Bit, semesters.includes(null))
+            .query(`
+                SELECT
+                    e.EnrollmentId as enrollmentId,
+                    e.EnrollmentType as enrollmentType,
+                    c.ID as courseId,
+                    c.Name as courseName,
+                    c.Credits as credits,
+                    c.Time as time,
+                    c.Weeks as weeks
+                FROM CourseEnrollments e
+                JOIN Courses c ON c.ID = e.CourseId
+                WHERE e.UserId = @userId AND e.Status = 'Active'
+                    AND (c.SemesterCode IN (SELECT value FROM OPENJSON(@semesters))
+                        OR (@anySemester = 1 AND c.SemesterCode IS NULL))
+            `);
+
+        return result.recordset.map(attachMeeting);
+    }
+
+    /**
+     * Insert the new enrollments
+     * @returns {Promise<Map<number, number>>} - EnrollmentId by CourseId
+     */
+    async insertEnrollments(transaction, scheduleId, email, outcomes) {
+        if (outcomes.length === 0) return new Map();
+
+        const rows = outcomes.map(outcome => ({ courseId: outcome.courseId, enrollmentType: outcome.enrollmentType }));
+        const result = await new sql.Request(transaction)
+            .input('scheduleId', sql.Int, scheduleId)
+            .input('userId', sql.NVarChar, email)
+            .input('rows', sql.NVarChar(sql.MAX), JSON.stringify(rows))
+            .query(`
+                INSERT INTO CourseEnrollments (UserId, CourseId, ScheduleId, EnrollmentType)
+                OUTPUT INSERTED.EnrollmentId as enrollmentId, INSERTED.CourseId as courseId
+                SELECT @userId, courseId, @scheduleId, enrollmentType
+                FROM OPENJSON(@rows) WITH (courseId INT, enrollmentType NVARCHAR(20))
+            `);
+
+        return new Map(result.recordset.map(row => [row.courseId, row.enrollmentId]));
+    }
+
+    /**
+     * Maximum credits from the student's stored preferences for the semester, or null
+     * when none are stored (like enrollInCourse, no limit applies then)
+     * Throws when the lookup fails, so callers cannot mistake that for "no limit"
+     */
+    async loadCreditLimit(email, semesterCode) {
+        const user = email ? await this.preferenceService.db.getUserByEmail(email) : null;
+        if (user) {
+            const preferences = await this.preferenceService.getUserPreferences(user.userID, semesterCode);
+            if (preferences.preferenceID && preferences.credits) {
+                return preferences.credits.max || null;
+            }
+        }
+
+        return null;
+    }
+
+    getCredits(course) {
+        return Number(course.credits) || DEFAULT_CREDITS;
+    }
+}
+
+module.exports = { EnrollmentService };
@@ -0,0 +1,197 @@
+/**
+ * PERIOD TIME SERVICE
+ * Maps teaching periods ("Tiết 1->3") to clock times, per campus and/or semester
+ *
+ * Tables are layered: built-in DEFAULT_PERIODS, stored default, campus, semester,
+ * semester+campus - each level only overrides the periods it lists.
+ *
+ * Every instance caches the rows, and each read checks the stored version first, so an
+ * admin change made through any instance (or another server) is picked up on the next read.
+ */
+
+const { getPeriodTimes, getPeriodTimesVersion, savePeriodTimes } = require('../database');
+
+// Built-in timetable used until an admin stores a default table
+const DEFAULT_PERIODS = [
+    { period: 1, startTime: '07:00', endTime: '07:50' },
+    { period: 2, startTime: '07:55', endTime: '08:45' },
+    { period: 3, startTime: '08:50', endTime: '09:40' },
+    { period: 4, startTime: '09:50', endTime: '10:40' },
+    { period: 5, startTime: '10:45', endTime: '11:35' },
+    { period: 6, startTime: '13:00', endTime: '13:50' },
+    { period: 7, startTime: '13:55', endTime: '14:45' },
+    { period: 8, startTime: '14:50', endTime: '15:40' },
+    { period: 9, startTime: '15:50', endTime: '16:40' },
+    { period: 10, startTime: '16:45', endTime: '17:35' },
+    { period: 11, startTime: '17:45', endTime: '18:35' },
+    { period: 12, startTime: '18:40', endTime: '19:30' }
+];
+
+class PeriodTimeService {
+    constructor() {
+        this.rows = null;
+        this.version = null;
+    }
+
+    /**
+     * Load stored period rows (cached until the stored version changes)
+     * Falls back to the built-in table if the database is unreachable
+     */
+    async loadRows() {
+        try {
+            const version = await getPeriodTimesVersion();
+            if (this.rows && version === this.version) {
+                return this.rows;
+            }
+
+            this.rows = await getPeriodTimes();
+            this.version = version;
+        } catch (error) {
+            console.error('[PeriodTimeService] Failed to load period times, using defaults:', error.message);
+            return this.rows || [];
+        }
+
+        return this.rows;
+    }
+
+    /**
+     * Get the default table and every stored override, grouped by scope
+     */
+    async getPeriodTables() {
+        const rows = await this.loadRows();
+        const scopes = new Map();
+
+        for (const row of rows) {
+            const key = `${row.semesterCode || ''}|${row.campusCode || ''}`;
+            if (!scopes.has(key)) {
+                scopes.set(key, {
+                    semesterCode: row.semesterCode || null,
+                    campusCode: row.campusCode || null,
+                    periods: []
+                });
+            }
+            scopes.get(key).periods.push({
+                period: row.period,
+                startTime: row.startTime,
+                endTime: row.endTime
+            });
+        }
+
+        const stored = [...scopes.values()];
+        const storedDefault = stored.find(s => !s.semesterCode && !s.campusCode);
+
+        return {
+            default: storedDefault ? storedDefault.periods : DEFAULT_PERIODS,
+            isBuiltInDefault: !storedDefault,
+            overrides: stored.filter(s => s.semesterCode || s.campusCode)
+        };
+    }
+
+    /**
+     * Build the table for a semester/campus by layering scopes from least to most specific,
+     * so an override only needs to list the periods that differ
+     * @returns {Map<number, {startTime: string, endTime: string}>}
+     */
+    resolveTable(rows, { semesterCode = null, campusCode = null } = {}) {
+        const table = new Map(DEFAULT_PERIODS.map(p => [p.period, { startTime: p.startTime, endTime: p.endTime }]));
+        const layers = [
+            [null, null],
+            [null, campusCode],
+            [semesterCode, null],
+            [semesterCode, campusCode]
+        ];
+
+        layers.forEach(([semester, campus], index) => {
+            // Skip layers that collapse onto the default when no semester/campus is given
+            if (index > 0 && semester === null && campus === null) return;
+
+            rows
+                .filter(r => (r.semesterCode || null) === semester && (r.campusCode || null) === campus)
+                .forEach(r => table.set(r.period, { startTime: r.startTime, endTime: r.endTime }));
+        });
+
+        return table;
+    }
+
+    /**
+     * Return a copy of the meeting with startTime/endTime from the given table
+     */
+    applyToMeeting(meeting, table) {
+        if (!meeting) return meeting;
+
+        const start = table.get(meeting.startPeriod);
+        const end = table.get(meeting.endPeriod);
+
+        return {
+            ...meeting,
+            startTime: start ? start.startTime : null,
+            endTime: end ? end.endTime : null
+        };
+    }
+
+    /**
+     * Add startTime/endTime to the meeting of every course
+     * @param {Array} courses - Courses with a parsed `meeting`
+     * @param {Object} options - { semesterCode } used when a course carries none
+     */
+    async applyClockTimes(courses, { semesterCode = null } = {}) {
+        const rows = await this.loadRows();
+        const tables = new Map();
+
+        return courses.map(course => {
+            if (!course.meeting) return course;
+
+            const scope = {
+                semesterCode: course.semesterCode || semesterCode,
+                campusCode: course.meeting.campusCode
+            };
+            const key = `${scope.semesterCode || ''}|${scope.campusCode || ''}`;
+
+            if (!tables.has(key)) {
+                tables.set(key, this.resolveTable(rows, scope));
+            }
+
+            return { ...course, meeting: this.applyToMeeting(course.meeting, tables.get(key)) };
+        });
+    }
+
+    /**
+     * Replace the table of one scope
+     * @param {Object} scope - { semesterCode?, campusCode? }; both empty = default table
+     * @param {Array} periods - [{ period, startTime, endTime }], already validated
+     */
+    async updatePeriodTable(scope, periods) {
+        const normalized = [...periods]
+            .sort((a, b) => a.period - b.period)
+            .map(p => ({
+                period: p.period,
+                startTime: this.padTime(p.startTime),
+                endTime: this.padTime(p.endTime)
+            }));
+
+        const result = await savePeriodTimes(scope, normalized);
+        this.rows = null;
+
+        return { ...result, periods: normalized };
+    }
+
+    /**
+     * Remove the table of one scope so lookups fall back to the next level
+     */
+    async deletePeriodTable(scope) {
+        const result = await savePeriodTimes(scope, []);
+        this.rows = null;
+
+        return result;
+    }
+
+    /**
+     * "7:05" -> "07:05"
+     */
+    padTime(time) {
+        const [hours, minutes] = time.split(':');
+        return `${hours.padStart(2, '0')}:${minutes}`;
+    }
+}
+
+module.exports = { PeriodTimeService, DEFAULT_PERIODS };
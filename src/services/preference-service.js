@@ -24,7 +24,7 @@ class PreferenceService {
                 preferences = this.getDefaultPreferences(userID, semesterCode);
             } else {
                 // Ensure all fields are present with defaults
-                preferences = this.normalizePreferences(preferences);
+                preferences = this.normalizePreferences(this.mapPreferenceRow(preferences));
             }
 
             return preferences;
@@ -505,6 +505,60 @@ class PreferenceService {
         };
     }
 
+    /**
+     * Map a flat StudentPreferences row (JSON array columns) to the nested preference shape
+     */
+    mapPreferenceRow(row) {
+        if (row.credits) return row;
+
+        const parseList = (value) => {
+            try {
+                const list = JSON.parse(value || '[]');
+                return Array.isArray(list) ? list : [];
+            } catch (error) {
+                return [];
+            }
+        };
+        // Leave out NULL columns so normalizePreferences falls back to the defaults
+        const present = (values) => Object.fromEntries(
+            Object.entries(values).filter(([, value]) => value !== null && value !== undefined)
+        );
+
+        return {
+            preferenceID: row.preferenceID,
+            userID: row.userID,
+            semesterCode: row.semesterCode,
+            credits: present({
+                min: row.minCredits,
+                max: row.maxCredits,
+                preferred: row.preferredCredits
+            }),
+            campuses: {
+                preferred: parseList(row.preferredCampuses),
+                blocked: parseList(row.blockedCampuses)
+            },
+            timePreferences: {
+                avoidMorning: Boolean(row.avoidMorning),
+                avoidEvening: Boolean(row.avoidEvening),
+                preferredSlots: parseList(row.preferredTimeSlots),
+                blockedSlots: parseList(row.blockedTimeSlots),
+                preferredDays: parseList(row.preferredDays),
+                restDays: parseList(row.restDays)
+            },
+            subjectPreferences: {
+                preferred: parseList(row.preferredSubjects),
+                blocked: parseList(row.blockedSubjects)
+            },
+            advancedSettings: present({
+                allowOnlineClasses: row.allowOnlineClasses,
+                maxConsecutiveHours: row.maxConsecutiveHours,
+                minBreakBetweenClasses: row.minBreakBetweenClasses
+            }),
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt
+        };
+    }
+
     /**
      * Normalize preferences to ensure all fields are present
      */
@@ -0,0 +1,175 @@
+/**
+ * SCHEDULE COMPARISON SERVICE
+ * Differences between two saved schedules: courses added, removed and moved
+ * to another section of the same subject, credits, daily load and conflicts
+ */
+
+const { ScheduleService } = require('./schedule-service');
+const { attachMeeting, DAY_LABELS } = require('../utils/course-meeting-parser');
+const { findCourseConflicts, getSubjectName } = require('../utils/conflict-detector');
+
+const DEFAULT_CREDITS = 2;
+
+// Section fields reported when a subject moved to another section
+const SECTION_FIELDS = ['time', 'room', 'lecturer', 'weeks'];
+
+class ScheduleComparisonService {
+    constructor() {
+        this.scheduleService = new ScheduleService();
+    }
+
+    /**
+     * Compare schedule B against schedule A ("added" = only in B)
+     */
+    async compare(scheduleIdA, scheduleIdB) {
+        const [a, b] = await Promise.all([scheduleIdA, scheduleIdB].map(async (scheduleId) => {
+            const details = await this.scheduleService.getScheduleDetails(scheduleId);
+            if (!details.success) {
+                throw new Error(`Schedule ${scheduleId} not found`);
+            }
+            return details.schedule;
+        }));
+
+        const coursesA = (a.courses || []).map(attachMeeting);
+        const coursesB = (b.courses || []).map(attachMeeting);
+        const creditsA = this.sumCredits(coursesA);
+        const creditsB = this.sumCredits(coursesB);
+
+        return {
+            a: this.describeSchedule(a, creditsA),
+            b: this.describeSchedule(b, creditsB),
+            sameSemester: (a.semesterCode || null) === (b.semesterCode || null),
+            ...this.diffCourses(coursesA, coursesB),
+            credits: { a: creditsA, b: creditsB, delta: creditsB - creditsA },
+            dailyLoad: this.compareDailyLoad(coursesA, coursesB),
+            conflicts: this.compareConflicts(coursesA, coursesB)
+        };
+    }
+
+    /**
+     * Pair the courses of both schedules: same section, same subject in another section, or neither
+     */
+    diffCourses(coursesA, coursesB) {
+        const idsA = new Set(coursesA.map(course => course.courseId));
+        const idsB = new Set(coursesB.map(course => course.courseId));
+
+        const unchanged = coursesA.filter(course => idsB.has(course.courseId));
+        const onlyA = coursesA.filter(course => !idsB.has(course.courseId));
+        const onlyB = coursesB.filter(course => !idsA.has(course.courseId));
+
+        // Sections of the same subject on both sides are a move, paired in order
+        const moved = [];
+        const removed = [];
+        const remainingB = [...onlyB];
+
+        for (const course of onlyA) {
+            const subject = getSubjectName(course.courseName);
+            const index = remainingB.findIndex(other => getSubjectName(other.courseName) === subject);
+
+            if (index === -1) {
+                removed.push(course);
+                continue;
+            }
+
+            const [target] = remainingB.splice(index, 1);
+            moved.push({
+                subject,
+                from: this.summarizeCourse(course),
+                to: this.summarizeCourse(target),
+                changedFields: SECTION_FIELDS.filter(field => (course[field] || null) !== (target[field] || null))
+            });
+        }
+
+        return {
+            added: remainingB.map(course => this.summarizeCourse(course)),
+            removed: removed.map(course => this.summarizeCourse(course)),
+            moved,
+            unchanged: unchanged.map(course => this.summarizeCourse(course))
+        };
+    }
+
+    /**
+     * Courses and periods per day in each schedule, for days either one uses
+     */
+    compareDailyLoad(coursesA, coursesB) {
+        const loadA = this.getDailyLoad(coursesA);
+        const loadB = this.getDailyLoad(coursesB);
+        const days = [...new Set([...loadA.keys(), ...loadB.keys()])].sort((x, y) => x - y);
+        const empty = { courses: 0, periods: 0 };
+
+        return days.map(dayOfWeek => {
+            const a = loadA.get(dayOfWeek) || empty;
+            const b = loadB.get(dayOfWeek) || empty;
+
+            return {
+                dayOfWeek,
+                label: DAY_LABELS[dayOfWeek],
+                a,
+                b,
+                delta: { courses: b.courses - a.courses, periods: b.periods - a.periods }
+            };
+        });
+    }
+
+    getDailyLoad(courses) {
+        const load = new Map();
+
+        for (const { meeting } of courses) {
+            if (!meeting) continue;
+
+            const day = load.get(meeting.dayOfWeek) || { courses: 0, periods: 0 };
+            day.courses += 1;
+            day.periods += meeting.endPeriod - meeting.startPeriod + 1;
+            load.set(meeting.dayOfWeek, day);
+        }
+
+        return load;
+    }
+
+    /**
+     * Time clashes inside each schedule, split into those only one of them has
+     */
+    compareConflicts(coursesA, coursesB) {
+        const pairKey = conflict => [conflict.course1.courseId, conflict.course2.courseId].sort((x, y) => x - y).join('|');
+        const conflictsA = findCourseConflicts(coursesA);
+        const conflictsB = findCourseConflicts(coursesB);
+        const keysA = new Set(conflictsA.map(pairKey));
+        const keysB = new Set(conflictsB.map(pairKey));
+
+        return {
+            onlyInA: conflictsA.filter(conflict => !keysB.has(pairKey(conflict))),
+            onlyInB: conflictsB.filter(conflict => !keysA.has(pairKey(conflict))),
+            inBoth: conflictsA.filter(conflict => keysB.has(pairKey(conflict)))
+        };
+    }
+
+    // Helper Methods
+
+    sumCredits(courses) {
+        return courses.reduce((sum, course) => sum + (Number(course.credits) || DEFAULT_CREDITS), 0);
+    }
+
+    describeSchedule(schedule, totalCredits) {
+        return {
+            scheduleId: schedule.scheduleId,
+            scheduleName: schedule.scheduleName,
+            semesterCode: schedule.semesterCode,
+            courseCount: (schedule.courses || []).length,
+            totalCredits
+        };
+    }
+
+    summarizeCourse(course) {
+        return {
+            courseId: course.courseId,
+            courseName: course.courseName,
+            credits: Number(course.credits) || DEFAULT_CREDITS,
+            time: course.time || null,
+            room: course.room || null,
+            lecturer: course.lecturer || null,
+            weeks: course.weeks || null
+        };
+    }
+}
+
+module.exports = { ScheduleComparisonService };
@@ -0,0 +1,156 @@
+/**
+ * SCHEDULE EXPORT SERVICE
+ * Saved schedules as spreadsheets (CSV/XLSX, one row per meeting) and as a
+ * printable weekly grid (HTML/PDF), all rendered in-process
+ */
+
+const { ScheduleService } = require('./schedule-service');
+const { PeriodTimeService } = require('./period-time-service');
+const { attachMeeting, DAY_LABELS } = require('../utils/course-meeting-parser');
+const { toCsv, toXlsx } = require('../utils/spreadsheet-writer');
+const { buildBlocks, renderHtml, renderPdf } = require('../utils/timetable-renderer');
+
+const DEFAULT_CREDITS = 2;
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf'
+};
+
+const MEETING_COLUMNS = [
+    { key: 'dayOfWeek', header: 'Thứ', width: 11 },
+    { key: 'periods', header: 'Tiết', width: 8 },
+    { key: 'clockTime', header: 'Giờ', width: 13 },
+    { key: 'courseName', header: 'Môn học', width: 36 },
+    { key: 'courseCode', header: 'Mã lớp', width: 14 },
+    { key: 'lecturer', header: 'Giảng viên', width: 24 },
+    { key: 'room', header: 'Phòng', width: 12 },
+    { key: 'campusCode', header: 'Cơ sở', width: 8 },
+    { key: 'weeks', header: 'Tuần', width: 14 },
+    { key: 'credits', header: 'Tín chỉ', width: 8 }
+];
+
+// Weekdays are always printed; Sunday only when something is scheduled on it
+const WEEKDAYS = [1, 2, 3, 4, 5, 6];
+
+class ScheduleExportService {
+    constructor() {
+        this.scheduleService = new ScheduleService();
+        this.periodTimeService = new PeriodTimeService();
+    }
+
+    /**
+     * Export a saved schedule
+     * @param {string} format - csv | xlsx | html | pdf
+     * @returns {{ fileName: string, content: Buffer, contentType: string }}
+     */
+    async exportSchedule(scheduleId, format) {
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const details = await this.scheduleService.getScheduleDetails(scheduleId);
+        if (!details.success) {
+            throw new Error('Schedule not found');
+        }
+
+        const { schedule } = details;
+        const semesterCode = schedule.semesterCode ||
+            (schedule.courses || []).map(course => course.semesterCode).find(Boolean) || null;
+        const courses = await this.periodTimeService.applyClockTimes(
+            (schedule.courses || []).map(attachMeeting),
+            { semesterCode }
+        );
+
+        let content;
+        if (format === 'csv' || format === 'xlsx') {
+            const rows = this.buildMeetingRows(courses);
+            content = format === 'csv'
+                ? toCsv(MEETING_COLUMNS, rows)
+                : toXlsx(schedule.scheduleName || 'Thời khóa biểu', MEETING_COLUMNS, rows);
+        } else {
+            const grid = await this.buildGrid(schedule, courses, semesterCode);
+            content = format === 'html' ? Buffer.from(renderHtml(grid), 'utf8') : renderPdf(grid);
+        }
+
+        return {
+            fileName: `schedule-${schedule.scheduleId}.${format}`,
+            content,
+            contentType: EXPORT_FORMATS[format]
+        };
+    }
+
+    /**
+     * One row per course meeting, ordered by day and period
+     * Courses whose time could not be parsed are kept at the end with the raw text
+     */
+    buildMeetingRows(courses) {
+        return [...courses]
+            .sort((a, b) => {
+                if (!a.meeting || !b.meeting) return (a.meeting ? 0 : 1) - (b.meeting ? 0 : 1);
+                return a.meeting.dayOfWeek - b.meeting.dayOfWeek || a.meeting.startPeriod - b.meeting.startPeriod;
+            })
+            .map(course => {
+                const { meeting } = course;
+
+                return {
+                    dayOfWeek: meeting ? DAY_LABELS[meeting.dayOfWeek] : course.time || '',
+                    periods: meeting ? `${meeting.startPeriod}-${meeting.endPeriod}` : '',
+                    clockTime: meeting && meeting.startTime ? `${meeting.startTime}-${meeting.endTime}` : '',
+                    courseName: course.courseName,
+                    courseCode: course.courseCode || '',
+                    lecturer: course.lecturer || '',
+                    room: course.room || '',
+                    campusCode: meeting && meeting.campusCode ? meeting.campusCode : '',
+                    weeks: course.weeks || '',
+                    credits: Number(course.credits) || DEFAULT_CREDITS
+                };
+            });
+    }
+
+    /**
+     * Grid model for the timetable renderer (see utils/timetable-renderer)
+     */
+    async buildGrid(schedule, courses, semesterCode) {
+        const scheduled = courses.filter(course => course.meeting);
+        const table = this.periodTimeService.resolveTable(await this.periodTimeService.loadRows(), { semesterCode });
+        const lastPeriod = Math.max(...table.keys(), ...scheduled.map(course => course.meeting.endPeriod));
+        const dayNumbers = scheduled.some(course => course.meeting.dayOfWeek === 7) ? [...WEEKDAYS, 7] : WEEKDAYS;
+        const totalCredits = courses.reduce((sum, course) => sum + (Number(course.credits) || DEFAULT_CREDITS), 0);
+
+        const periods = [];
+        for (let period = 1; period <= lastPeriod; period++) {
+            const times = table.get(period);
+            periods.push({
+                period,
+                startTime: times ? times.startTime : null,
+                endTime: times ? times.endTime : null
+            });
+        }
+
+        return {
+            title: schedule.scheduleName || 'Thời khóa biểu',
+            subtitle: [
+                semesterCode ? `Học kỳ ${semesterCode}` : null,
+                `${courses.length} môn`,
+                `${totalCredits} tín chỉ`
+            ].filter(Boolean).join(' · '),
+            days: dayNumbers.map(dayOfWeek => ({ dayOfWeek, label: DAY_LABELS[dayOfWeek] })),
+            periods,
+            blocks: buildBlocks(scheduled.map(course => ({
+                dayOfWeek: course.meeting.dayOfWeek,
+                startPeriod: course.meeting.startPeriod,
+                endPeriod: course.meeting.endPeriod,
+                courseName: course.courseName,
+                courseCode: course.courseCode,
+                room: course.room,
+                lecturer: course.lecturer,
+                weeks: course.weeks
+            })))
+        };
+    }
+}
+
+module.exports = { ScheduleExportService, EXPORT_FORMATS };
@@ -0,0 +1,471 @@
+/**
+ * SCHEDULE GENERATOR SERVICE
+ * Builds conflict-free timetables from a list of subjects the student wants to take
+ *
+ * Every requested subject gets at most one section. The search is a depth-first
+ * backtracking over subjects (fewest candidate sections first); a subject is only
+ * left out when none of its sections fits, so timetables covering more subjects
+ * always rank above those covering fewer.
+ */
+
+const { getCoursesBySemester } = require('../database');
+const { PeriodTimeService } = require('./period-time-service');
+const { ScheduleScoringService } = require('./schedule-scoring-service');
+const { resolveSchedule, findScheduleOverlap, getSubjectName } = require('../utils/conflict-detector');
+
+// Weight of each score component per algorithm (each row sums to 1)
+const ALGORITHM_WEIGHTS = {
+    balanced: { coverage: 0.35, balance: 0.2, compactness: 0.15, dayEfficiency: 0.1, preferenceMatch: 0.15, campus: 0.05 },
+    minimal: { coverage: 0.35, balance: 0, compactness: 0.15, dayEfficiency: 0.3, preferenceMatch: 0.15, campus: 0.05 },
+    compact: { coverage: 0.35, balance: 0, compactness: 0.3, dayEfficiency: 0.1, preferenceMatch: 0.15, campus: 0.1 },
+    flexible: { coverage: 0.35, balance: 0.1, compactness: 0.15, dayEfficiency: 0.1, preferenceMatch: 0.3, campus: 0 }
+};
+
+// Stop exploring after this many search nodes and return the best found so far
+const SEARCH_NODE_LIMIT = 50000;
+
+// Same fallback as /api/courses when the catalog has no credit value
+const DEFAULT_CREDITS = 2;
+
+// Periods 1-5 are the morning session, 11+ the evening session
+const MORNING_LAST_PERIOD = 5;
+const EVENING_FIRST_PERIOD = 11;
+
+// Sections starting in these periods count as early starts (07:00 by default)
+const EARLY_LAST_PERIOD = 1;
+
+const DAY_KEYS = {
+    1: 'monday',
+    2: 'tuesday',
+    3: 'wednesday',
+    4: 'thursday',
+    5: 'friday',
+    6: 'saturday',
+    7: 'sunday'
+};
+
+class ScheduleGeneratorService {
+    constructor() {
+        this.periodTimeService = new PeriodTimeService();
+        this.scorer = new ScheduleScoringService();
+    }
+
+    /**
+     * Generate ranked timetables
+     * @param {Object} request - { semesterCode, subjects, algorithmType?, maxRecommendations?,
+     *                             userId?, useExistingPreferences?, customPreferences? }
+     *                             userId is the signed-in user's email
+     */
+    async generate(request) {
+        const startedAt = Date.now();
+        const algorithm = request.algorithmType || 'balanced';
+        const maxRecommendations = request.maxRecommendations || 3;
+
+        const preferences = await this.resolvePreferences(request);
+        const courses = await this.periodTimeService.applyClockTimes(
+            await getCoursesBySemester(request.semesterCode),
+            { semesterCode: request.semesterCode }
+        );
+
+        const { subjects, unmatchedSubjects } = this.collectSections(courses, request.subjects, preferences, algorithm);
+        const search = this.search(subjects, preferences, maxRecommendations,
+            chosen => this.scoreTimetable(chosen, subjects.length, algorithm));
+
+        const recommendations = search.results.map((result, index) => {
+            const recommendation = this.formatRecommendation(result, index + 1, preferences, algorithm);
+            return { ...recommendation, scoreBreakdown: this.scorer.evaluate(recommendation.courses, preferences) };
+        });
+        const averageScore = recommendations.length > 0
+            ? Math.round(recommendations.reduce((sum, r) => sum + r.scoring.totalScore, 0) / recommendations.length)
+            : 0;
+
+        return {
+            recommendations,
+            unmatchedSubjects,
+            generatedAt: new Date(),
+            algorithm,
+            preferences,
+            stats: {
+                totalOptions: search.found,
+                optionsExplored: search.explored,
+                candidateSections: subjects.reduce((sum, s) => sum + s.sections.length, 0),
+                searchTruncated: search.truncated,
+                averageScore,
+                processingTime: Date.now() - startedAt
+            }
+        };
+    }
+
+    // Preferences
+
+    /**
+     * Stored preferences for the semester (when allowed) overlaid with the request's customPreferences
+     */
+    async resolvePreferences({ userId, semesterCode, useExistingPreferences, customPreferences }) {
+        let stored = null;
+
+        if (useExistingPreferences !== false && userId) {
+            const { preferences, source } = await this.scorer.loadPreferences(userId, semesterCode);
+            stored = source === 'stored' ? preferences : null;
+        }
+
+        return this.normalizePreferences(this.fromStoredPreferences(stored), customPreferences || {});
+    }
+
+    /**
+     * The parts of stored PreferenceService preferences the generator applies
+     */
+    fromStoredPreferences(stored) {
+        if (!stored) return {};
+
+        const { credits = {}, campuses = {}, timePreferences = {} } = stored;
+
+        return {
+            credits: { min: credits.min, max: credits.max },
+            campuses: { preferred: campuses.preferred, blocked: campuses.blocked },
+            timePreferences: {
+                avoidMorning: timePreferences.avoidMorning,
+                avoidEvening: timePreferences.avoidEvening,
+                blockedSlots: timePreferences.blockedSlots,
+                preferredDays: timePreferences.preferredDays,
+                restDays: timePreferences.restDays
+            }
+        };
+    }
+
+    /**
+     * Fill defaults; no credit limit and no time/campus restriction unless a layer sets one
+     */
+    normalizePreferences(...layers) {
+        const merged = {
+            credits: { min: 0, max: 30 },
+            campuses: { preferred: [], blocked: [] },
+            timePreferences: {
+                avoidMorning: false,
+                avoidEvening: false,
+                blockedSlots: [],
+                preferredDays: [],
+                restDays: []
+            }
+        };
+
+        for (const layer of layers) {
+            for (const group of Object.keys(merged)) {
+                for (const [key, value] of Object.entries(layer[group] || {})) {
+                    if (value !== undefined && value !== null) merged[group][key] = value;
+                }
+            }
+        }
+
+        merged.campuses.preferred = merged.campuses.preferred.map(c => String(c).toUpperCase());
+        merged.campuses.blocked = merged.campuses.blocked.map(c => String(c).toUpperCase());
+
+        return merged;
+    }
+
+    /**
+     * Reasons a section goes against the time preferences
+     * @returns {string[]}
+     */
+    getTimeViolations(meeting, timePreferences) {
+        const violations = [];
+
+        if (timePreferences.avoidMorning && meeting.startPeriod <= MORNING_LAST_PERIOD) {
+            violations.push('morning');
+        }
+        if (timePreferences.avoidEvening && meeting.endPeriod >= EVENING_FIRST_PERIOD) {
+            violations.push('evening');
+        }
+        if (timePreferences.restDays.includes(meeting.dayOfWeek)) {
+            violations.push('rest_day');
+        }
+
+        // Stored preferences may block a bare period number on every day
+        const blocked = timePreferences.blockedSlots.some(slot => typeof slot === 'number'
+            ? meeting.startPeriod <= slot && slot <= meeting.endPeriod
+            : slot.dayOfWeek === meeting.dayOfWeek &&
+                (slot.startPeriod || 1) <= meeting.endPeriod &&
+                meeting.startPeriod <= (slot.endPeriod || Number.MAX_SAFE_INTEGER)
+        );
+        if (blocked) {
+            violations.push('blocked_slot');
+        }
+
+        return violations;
+    }
+
+    // Search
+
+    /**
+     * Group the semester's sections by requested subject and drop the ones
+     * the preferences rule out (blocked campuses always; time preferences
+     * unless the algorithm is 'flexible', which only penalises them)
+     */
+    collectSections(courses, requestedSubjects, preferences, algorithm) {
+        const subjects = [];
+        const unmatchedSubjects = [];
+        const seen = new Set();
+
+        for (const requested of requestedSubjects) {
+            const key = getSubjectName(requested);
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const offered = courses.filter(c => c.meeting && getSubjectName(c.courseName) === key);
+            if (offered.length === 0) {
+                unmatchedSubjects.push({ subject: requested, reason: 'not_offered' });
+                continue;
+            }
+
+            const sections = [];
+            for (const course of offered) {
+                const campusCode = course.meeting.campusCode;
+                if (campusCode && preferences.campuses.blocked.includes(campusCode)) continue;
+
+                const violations = this.getTimeViolations(course.meeting, preferences.timePreferences);
+                if (violations.length > 0 && algorithm !== 'flexible') continue;
+
+                if (preferences.campuses.preferred.length > 0 && campusCode &&
+                    !preferences.campuses.preferred.includes(campusCode)) {
+                    violations.push('campus');
+                }
+                if (preferences.timePreferences.preferredDays.length > 0 &&
+                    !preferences.timePreferences.preferredDays.includes(course.meeting.dayOfWeek)) {
+                    violations.push('day');
+                }
+
+                sections.push({
+                    course,
+                    schedule: resolveSchedule(course),
+                    credits: course.credits || DEFAULT_CREDITS,
+                    violations
+                });
+            }
+
+            if (sections.length === 0) {
+                unmatchedSubjects.push({ subject: requested, reason: 'excluded_by_preferences', sectionCount: offered.length });
+                continue;
+            }
+
+            // Try sections that respect the preferences first
+            sections.sort((a, b) => a.violations.length - b.violations.length);
+            subjects.push({ subject: requested, sections });
+        }
+
+        return { subjects, unmatchedSubjects };
+    }
+
+    /**
+     * Depth-first search keeping the best `limit` timetables
+     * @param {Function} score - (chosenSections) => scoring object with a totalScore
+     * @returns {{ results: Array, found: number, explored: number, truncated: boolean }}
+     */
+    search(subjects, preferences, limit, score) {
+        const order = [...subjects].sort((a, b) => a.sections.length - b.sections.length);
+        const chosen = [];
+        const skipped = [];
+        const results = [];
+        const state = { found: 0, explored: 0, truncated: false };
+
+        const rank = (a, b) => (b.sections.length - a.sections.length) || (b.scoring.totalScore - a.scoring.totalScore);
+
+        const record = (credits) => {
+            state.found++;
+            const result = {
+                sections: [...chosen],
+                skipped: [...skipped],
+                credits,
+                scoring: score(chosen)
+            };
+
+            results.push(result);
+            results.sort(rank);
+            if (results.length > limit) results.pop();
+        };
+
+        const visit = (index, credits) => {
+            if (state.explored >= SEARCH_NODE_LIMIT) {
+                state.truncated = true;
+                return;
+            }
+            state.explored++;
+
+            // Even scheduling every remaining subject could not beat the kept timetables
+            if (results.length >= limit &&
+                chosen.length + (order.length - index) < results[results.length - 1].sections.length) {
+                return;
+            }
+
+            if (index === order.length) {
+                if (chosen.length > 0) record(credits);
+                return;
+            }
+
+            const { subject, sections } = order[index];
+            for (const section of sections) {
+                if (credits + section.credits > preferences.credits.max) continue;
+                if (chosen.some(other => findScheduleOverlap(other.schedule, section.schedule))) continue;
+
+                chosen.push({ ...section, subject });
+                visit(index + 1, credits + section.credits);
+                chosen.pop();
+
+                if (state.truncated) return;
+            }
+
+            // Leave this subject out
+            skipped.push(subject);
+            visit(index + 1, credits);
+            skipped.pop();
+        };
+
+        visit(0, 0);
+
+        return { results, ...state };
+    }
+
+    // Scoring
+
+    /**
+     * Day layout of a set of meetings
+     * Ignores weeks: two meetings sharing a weekday are treated as meeting the same week
+     */
+    measureTimetable(meetings) {
+        const byDay = new Map();
+        for (const meeting of meetings) {
+            if (!byDay.has(meeting.dayOfWeek)) byDay.set(meeting.dayOfWeek, []);
+            byDay.get(meeting.dayOfWeek).push(meeting);
+        }
+
+        let idlePeriods = 0;
+        let campusSwitches = 0;
+        let mixedCampusDays = 0;
+        const loads = [];
+
+        for (const dayMeetings of byDay.values()) {
+            dayMeetings.sort((a, b) => a.startPeriod - b.startPeriod);
+            loads.push(dayMeetings.reduce((sum, m) => sum + m.endPeriod - m.startPeriod + 1, 0));
+
+            for (let i = 1; i < dayMeetings.length; i++) {
+                idlePeriods += Math.max(0, dayMeetings[i].startPeriod - dayMeetings[i - 1].endPeriod - 1);
+                if (dayMeetings[i].campusCode && dayMeetings[i - 1].campusCode &&
+                    dayMeetings[i].campusCode !== dayMeetings[i - 1].campusCode) {
+                    campusSwitches++;
+                }
+            }
+
+            if (new Set(dayMeetings.map(m => m.campusCode).filter(Boolean)).size > 1) {
+                mixedCampusDays++;
+            }
+        }
+
+        return {
+            studyDays: byDay.size,
+            idlePeriods,
+            campusSwitches,
+            mixedCampusDays,
+            earlyStarts: meetings.filter(m => m.startPeriod <= EARLY_LAST_PERIOD).length,
+            loads
+        };
+    }
+
+    /**
+     * Score a timetable 0-100
+     */
+    scoreTimetable(sections, requestedCount, algorithm) {
+        const { studyDays, idlePeriods, campusSwitches, loads } =
+            this.measureTimetable(sections.map(s => s.course.meeting));
+
+        const totalPeriods = loads.reduce((sum, load) => sum + load, 0);
+        const meanLoad = studyDays > 0 ? totalPeriods / studyDays : 0;
+        const loadDeviation = studyDays > 0
+            ? Math.sqrt(loads.reduce((sum, load) => sum + (load - meanLoad) ** 2, 0) / studyDays)
+            : 0;
+        const violations = sections.reduce((sum, s) => sum + s.violations.length, 0);
+
+        const components = {
+            coverage: requestedCount > 0 ? sections.length / requestedCount : 0,
+            balance: meanLoad > 0 ? 1 - Math.min(1, loadDeviation / meanLoad) : 0,
+            compactness: totalPeriods > 0 ? totalPeriods / (totalPeriods + idlePeriods) : 0,
+            dayEfficiency: studyDays > 0 ? 1 - (studyDays - 1) / 6 : 0,
+            preferenceMatch: sections.length > 0 ? 1 - Math.min(1, violations / sections.length) : 0,
+            campus: sections.length > 1 ? 1 - campusSwitches / (sections.length - 1) : 1
+        };
+
+        const weights = ALGORITHM_WEIGHTS[algorithm] || ALGORITHM_WEIGHTS.balanced;
+        const totalScore = Object.entries(weights)
+            .reduce((sum, [component, weight]) => sum + weight * components[component], 0);
+
+        return {
+            totalScore: Math.round(totalScore * 100),
+            preferenceMatchRate: Math.round(components.preferenceMatch * 100),
+            conflictCount: 0,
+            timeDistribution: Math.round(components.balance * 100),
+            campusDistribution: Math.round(components.campus * 100),
+            studyDays,
+            idlePeriods,
+            campusSwitches
+        };
+    }
+
+    // Formatting
+
+    /**
+     * Shape a search result like the ScheduleRecommendation of the API specification
+     */
+    formatRecommendation(result, rank, preferences, algorithm) {
+        const schedule = Object.fromEntries(Object.values(DAY_KEYS).map(day => [day, []]));
+        const courses = result.sections.map(({ course, subject, violations }) => ({
+            subject,
+            courseId: course.courseId,
+            courseName: course.courseName,
+            courseCode: course.courseCode,
+            credits: course.credits || DEFAULT_CREDITS,
+            lecturer: course.lecturer,
+            time: course.time,
+            room: course.room,
+            weeks: course.weeks,
+            semesterCode: course.semesterCode,
+            meeting: course.meeting,
+            preferenceViolations: violations
+        }));
+
+        for (const course of courses) {
+            const { meeting } = course;
+            schedule[DAY_KEYS[meeting.dayOfWeek]].push({
+                courseId: course.courseId,
+                courseName: course.courseName,
+                startPeriod: meeting.startPeriod,
+                endPeriod: meeting.endPeriod,
+                startTime: meeting.startTime,
+                endTime: meeting.endTime,
+                room: meeting.room,
+                campusCode: meeting.campusCode,
+                weeks: meeting.weeks
+            });
+        }
+        Object.values(schedule).forEach(slots => slots.sort((a, b) => a.startPeriod - b.startPeriod));
+
+        const warnings = [];
+        if (result.credits < preferences.credits.min) {
+            warnings.push(`Total credits ${result.credits} are below the preferred minimum of ${preferences.credits.min}`);
+        }
+
+        return {
+            rank,
+            recommendationName: `Phương án ${rank}`,
+            totalCredits: result.credits,
+            courses,
+            unscheduledSubjects: result.skipped,
+            schedule,
+            scoring: result.scoring,
+            warnings,
+            metadata: {
+                algorithm,
+                generatedAt: new Date()
+            }
+        };
+    }
+}
+
+module.exports = { ScheduleGeneratorService };
@@ -0,0 +1,372 @@
+/**
+ * SCHEDULE IMPORT SERVICE
+ * Rebuild a timetable registered elsewhere (our own CSV export, or the
+ * university portal's registration export) from the course catalog
+ *
+ * Every row is matched to the semester's catalog by course name, then narrowed by
+ * time, lecturer, room and weeks. Rows that match nothing or several sections are
+ * reported back so the student can pick the course (`resolutions`) and resubmit;
+ * the schedule itself is saved through ScheduleService.createSchedule.
+ */
+
+const { getCoursesBySemester } = require('../database');
+const { ScheduleService } = require('./schedule-service');
+const { parseCsv } = require('../utils/csv-parser');
+const { parseTimeString } = require('../utils/course-meeting-parser');
+const { getSubjectName } = require('../utils/conflict-detector');
+
+// Header names (compared without diacritics) each field may appear under
+const COLUMN_ALIASES = {
+    courseName: ['mon hoc', 'ten mon hoc', 'ten mon', 'hoc phan', 'ten hoc phan', 'ten lop hoc phan', 'course', 'course name', 'coursename', 'subject'],
+    lecturer: ['giang vien', 'gv', 'ten giang vien', 'giang vien giang day', 'lecturer', 'instructor'],
+    time: ['lich hoc', 'thoi gian', 'thoi gian hoc', 'time', 'schedule'],
+    day: ['thu', 'ngay', 'day', 'day of week'],
+    periods: ['tiet', 'tiet hoc', 'periods', 'period'],
+    startPeriod: ['tiet bat dau', 'tiet bd', 'start period'],
+    periodCount: ['so tiet', 'period count'],
+    room: ['phong', 'phong hoc', 'room'],
+    weeks: ['tuan', 'tuan hoc', 'weeks']
+};
+
+// The header row has to appear within the first rows of the file; the portal
+// export puts a title block (student, semester) above it
+const HEADER_SEARCH_ROWS = 20;
+
+// Candidates listed for an ambiguous or unmatched row
+const MAX_SUGGESTIONS = 5;
+
+const MATCH_FIELDS = ['lecturer', 'room', 'weeks'];
+
+// Academic titles in front of lecturer names: "TS.", "ThS.", "PGS.TS."
+const LECTURER_TITLES = /^((gs|pgs|ts|tskh|ths|cn|ks|gv)\.?\s*)+/;
+
+class ScheduleImportService {
+    constructor() {
+        this.scheduleService = new ScheduleService();
+    }
+
+    /**
+     * Match an uploaded timetable against the catalog and save it as a schedule
+     * @param {Object} request - { userId, semesterCode, content, scheduleName?, description?,
+     *                             color?, user?, resolutions?, skipUnresolved?, dryRun?, strict? }
+     * @returns {Object} - { success, created, report, ... } or a createSchedule rejection with the report
+     */
+    async importSchedule(request) {
+        const rows = this.readRows(request.content);
+        if (!rows) {
+            return {
+                success: false,
+                code: 'UNRECOGNIZED_LAYOUT',
+                error: 'Could not find a header row with a course name column'
+            };
+        }
+
+        const catalog = await getCoursesBySemester(request.semesterCode);
+        const report = this.matchRows(rows, catalog, request.resolutions || {});
+        const unresolved = report.unmatched.length + report.ambiguous.length;
+
+        if (request.dryRun) {
+            return { success: true, created: false, report };
+        }
+
+        if (unresolved > 0 && !request.skipUnresolved) {
+            return {
+                success: false,
+                code: 'UNRESOLVED_ROWS',
+                error: `${unresolved} row(s) need a course to be chosen, send resolutions or skipUnresolved`,
+                report
+            };
+        }
+
+        if (report.matched.length === 0) {
+            return {
+                success: false,
+                code: 'NO_COURSES',
+                error: 'No row matched a catalog course',
+                report
+            };
+        }
+
+        const courses = report.matched.map(match => ({ courseId: match.courseId }));
+        const result = await this.scheduleService.createSchedule(
+            request.userId,
+            request.scheduleName || `Thời khóa biểu nhập ${request.semesterCode}`,
+            courses,
+            request.user || { email: request.userId },
+            {
+                semesterCode: request.semesterCode,
+                description: request.description,
+                color: request.color,
+                strict: request.strict !== false
+            }
+        );
+
+        if (!result.success) {
+            return { ...result, report };
+        }
+
+        return { success: true, created: true, scheduleId: result.scheduleId, schedule: result.data, report };
+    }
+
+    // Reading
+
+    /**
+     * Parse the file and turn every data row into { row, courseName, lecturer, meeting, room, weeks }
+     * Works for our own CSV export, plain spreadsheets and the registration portal's export
+     * (day and start period in separate columns)
+     * @returns {Array|null} - null when no header row is recognized
+     */
+    readRows(content) {
+        const cells = parseCsv(content);
+        const headerIndex = this.findHeaderRow(cells);
+        if (headerIndex === -1) return null;
+
+        const columns = this.mapColumns(cells[headerIndex]);
+        const rows = [];
+        let previousName = null;
+
+        cells.slice(headerIndex + 1).forEach((values, index) => {
+            const get = (field) => columns[field] === undefined ? '' : this.cleanCell(values[columns[field]]);
+
+            // Totals and notes under the table fill a single cell
+            if (values.filter(value => value !== '').length < 2) return;
+
+            // Portal exports leave the name empty on the extra meeting rows of a course
+            const courseName = get('courseName') || previousName;
+            previousName = courseName;
+
+            const timeText = get('time') || this.composeTime(get('day'), get('periods'), get('startPeriod'), get('periodCount'));
+
+            rows.push({
+                row: headerIndex + index + 2,
+                courseName,
+                lecturer: get('lecturer') || null,
+                time: timeText || null,
+                meeting: parseTimeString(timeText),
+                room: get('room') || null,
+                weeks: get('weeks') || null
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Index of the first row naming a course column plus at least one other known column
+     */
+    findHeaderRow(cells) {
+        return cells.slice(0, HEADER_SEARCH_ROWS).findIndex(values => {
+            const fields = Object.keys(this.mapColumns(values));
+            return fields.includes('courseName') && fields.length > 1;
+        });
+    }
+
+    /**
+     * @returns {Object} - { field: columnIndex } for every recognized header
+     */
+    mapColumns(headers) {
+        const columns = {};
+
+        headers.forEach((header, index) => {
+            const key = foldText(header).replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+            const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+
+            if (field && columns[field] === undefined) {
+                columns[field] = index;
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Build "Thứ 2 | Tiết 1->3" from separate day and period columns
+     * Day: "2", "Thứ 2", "Thứ Hai", "CN"; periods: "1-3", "1->3" or start period + period count
+     */
+    composeTime(day, periods, startPeriod, periodCount) {
+        if (!day) return '';
+
+        const dayText = /^\d$/.test(day) ? `Thứ ${day}` : day;
+        let periodText = periods.replace(/\s+/g, '');
+
+        if (!periodText && /^\d+$/.test(startPeriod)) {
+            const count = /^\d+$/.test(periodCount) ? parseInt(periodCount, 10) : 1;
+            periodText = `${startPeriod}->${parseInt(startPeriod, 10) + Math.max(count, 1) - 1}`;
+        }
+
+        return periodText ? `${dayText} | Tiết ${periodText}` : '';
+    }
+
+    cleanCell(value) {
+        // Undo the quote our CSV export puts in front of formula-like text
+        return (value || '').replace(/^'(?=[=+\-@])/, '').trim();
+    }
+
+    // Matching
+
+    /**
+     * Match every row; explicit resolutions win over matching
+     * @returns {{ totalRows, matched, ambiguous, unmatched, skipped, duplicates }}
+     */
+    matchRows(rows, catalog, resolutions) {
+        const byId = new Map(catalog.map(course => [course.courseId, course]));
+        const report = { totalRows: rows.length, matched: [], ambiguous: [], unmatched: [], skipped: [], duplicates: [] };
+        const seen = new Map();
+
+        for (const row of rows) {
+            const source = this.describeRow(row);
+            let match;
+
+            if (Object.prototype.hasOwnProperty.call(resolutions, row.row)) {
+                const courseId = resolutions[row.row];
+
+                if (courseId === null) {
+                    report.skipped.push(source);
+                    continue;
+                }
+                if (!byId.has(courseId)) {
+                    report.unmatched.push({ ...source, reason: 'INVALID_RESOLUTION', suggestions: [] });
+                    continue;
+                }
+                match = { course: byId.get(courseId), mismatches: [], resolvedBy: 'user' };
+            } else {
+                const result = this.matchRow(row, catalog);
+
+                if (result.status === 'ambiguous') {
+                    report.ambiguous.push({ ...source, candidates: result.candidates.map(summarizeCandidate) });
+                    continue;
+                }
+                if (result.status === 'unmatched') {
+                    report.unmatched.push({ ...source, reason: result.reason, suggestions: result.suggestions.map(summarizeCandidate) });
+                    continue;
+                }
+                match = { course: result.course, mismatches: result.mismatches, resolvedBy: 'match' };
+            }
+
+            // Portal exports may list a course once per meeting row
+            if (seen.has(match.course.courseId)) {
+                report.duplicates.push({ ...source, courseId: match.course.courseId, sameAsRow: seen.get(match.course.courseId) });
+                continue;
+            }
+            seen.set(match.course.courseId, row.row);
+
+            report.matched.push({
+                ...source,
+                ...summarizeCandidate(match.course),
+                mismatches: match.mismatches,
+                resolvedBy: match.resolvedBy
+            });
+        }
+
+        return report;
+    }
+
+    /**
+     * Match one row: by exact course name, falling back to the subject name (without the
+     * section suffix); sections at another time are ruled out, the rest ranked by how many
+     * of lecturer, room and weeks agree
+     * @returns {{ status: 'matched', course, mismatches } | { status: 'ambiguous', candidates }
+     *          | { status: 'unmatched', reason, suggestions }}
+     */
+    matchRow(row, catalog) {
+        if (!row.courseName) {
+            return { status: 'unmatched', reason: 'MISSING_COURSE_NAME', suggestions: [] };
+        }
+
+        const name = foldText(row.courseName);
+        let candidates = catalog.filter(course => foldText(course.courseName) === name);
+        if (candidates.length === 0) {
+            const subject = foldText(getSubjectName(row.courseName));
+            candidates = catalog.filter(course => foldText(getSubjectName(course.courseName)) === subject);
+        }
+        if (candidates.length === 0) {
+            return { status: 'unmatched', reason: 'COURSE_NOT_FOUND', suggestions: [] };
+        }
+
+        if (row.meeting) {
+            const atTime = candidates.filter(course => course.meeting &&
+                course.meeting.dayOfWeek === row.meeting.dayOfWeek &&
+                course.meeting.startPeriod === row.meeting.startPeriod &&
+                course.meeting.endPeriod === row.meeting.endPeriod);
+
+            if (atTime.length === 0) {
+                return { status: 'unmatched', reason: 'TIME_NOT_FOUND', suggestions: candidates.slice(0, MAX_SUGGESTIONS) };
+            }
+            candidates = atTime;
+        }
+
+        const scored = candidates.map(course => {
+            const mismatches = MATCH_FIELDS.filter(field => row[field] && !sameValue(field, row[field], course[field]));
+            return { course, mismatches };
+        });
+        const fewest = Math.min(...scored.map(entry => entry.mismatches.length));
+        const best = scored.filter(entry => entry.mismatches.length === fewest);
+
+        if (best.length > 1) {
+            return { status: 'ambiguous', candidates: best.slice(0, MAX_SUGGESTIONS).map(entry => entry.course) };
+        }
+
+        return {
+            status: 'matched',
+            course: best[0].course,
+            mismatches: row.meeting ? best[0].mismatches : ['time', ...best[0].mismatches]
+        };
+    }
+
+    describeRow(row) {
+        return {
+            row: row.row,
+            values: {
+                courseName: row.courseName,
+                lecturer: row.lecturer,
+                time: row.time,
+                room: row.room,
+                weeks: row.weeks
+            }
+        };
+    }
+}
+
+// Helper Functions
+
+/**
+ * Lowercase, no diacritics, single spaces - for comparing names typed in different tools
+ */
+function foldText(value) {
+    return String(value ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function sameValue(field, value, catalogValue) {
+    if (catalogValue === null || catalogValue === undefined) return false;
+
+    if (field === 'lecturer') {
+        const strip = (text) => foldText(text).replace(LECTURER_TITLES, '').trim();
+        return strip(value) === strip(catalogValue);
+    }
+    if (field === 'weeks') {
+        const compact = (text) => foldText(text).replace(/\s+/g, '').replace(/->|–/g, '-');
+        return compact(value) === compact(catalogValue);
+    }
+
+    return foldText(value).replace(/\s+/g, '') === foldText(catalogValue).replace(/\s+/g, '');
+}
+
+function summarizeCandidate(course) {
+    return {
+        courseId: course.courseId,
+        courseName: course.courseName,
+        lecturer: course.lecturer || null,
+        time: course.time || null,
+        room: course.room || null,
+        weeks: course.weeks || null
+    };
+}
+
+module.exports = { ScheduleImportService };
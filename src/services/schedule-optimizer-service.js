@@ -0,0 +1,176 @@
+/**
+ * SCHEDULE OPTIMIZER SERVICE
+ * Improves a saved schedule by swapping sections of the subjects it already has
+ *
+ * Goals are listed in priority order; the first goal weighs the most. A variant is
+ * only returned when it keeps every subject and beats the saved schedule on the
+ * weighted goals.
+ */
+
+const { getCoursesBySemester } = require('../database');
+const { ScheduleService } = require('./schedule-service');
+const { ScheduleGeneratorService } = require('./schedule-generator-service');
+const { PeriodTimeService } = require('./period-time-service');
+
+// Goal -> timetable metric (from ScheduleGeneratorService.measureTimetable) to minimise
+const OPTIMIZATION_GOALS = {
+    fewer_days: 'studyDays',
+    no_early_periods: 'earlyStarts',
+    fewer_gaps: 'idlePeriods',
+    single_campus_per_day: 'mixedCampusDays'
+};
+
+class ScheduleOptimizerService {
+    constructor() {
+        this.scheduleService = new ScheduleService();
+        this.generator = new ScheduleGeneratorService();
+        this.periodTimeService = new PeriodTimeService();
+    }
+
+    /**
+     * Find better section combinations for a saved schedule
+     * @param {Object} request - { semesterCode, baseScheduleId, optimizationGoals?, maxRecommendations? }
+     */
+    async optimize(request) {
+        const startedAt = Date.now();
+        const goals = request.optimizationGoals && request.optimizationGoals.length > 0
+            ? [...new Set(request.optimizationGoals)]
+            : Object.keys(OPTIMIZATION_GOALS);
+        const maxRecommendations = request.maxRecommendations || 3;
+
+        const details = await this.scheduleService.getScheduleDetails(request.baseScheduleId);
+        if (!details.success) {
+            throw new Error('Schedule not found');
+        }
+
+        const { schedule } = details;
+        if (schedule.semesterCode && schedule.semesterCode !== request.semesterCode) {
+            throw new Error(`Schedule belongs to semester ${schedule.semesterCode}, not ${request.semesterCode}`);
+        }
+
+        const catalog = await this.periodTimeService.applyClockTimes(
+            await getCoursesBySemester(request.semesterCode),
+            { semesterCode: request.semesterCode }
+        );
+        const catalogById = new Map(catalog.map(course => [course.courseId, course]));
+
+        // Courses without a parsable meeting cannot be moved and never clash: keep them as they are
+        const baseCourses = [];
+        const fixedCourses = [];
+        for (const course of schedule.courses || []) {
+            const catalogCourse = catalogById.get(course.courseId);
+            if (catalogCourse && catalogCourse.meeting) {
+                baseCourses.push(catalogCourse);
+            } else {
+                fixedCourses.push({ courseId: course.courseId, courseName: course.courseName });
+            }
+        }
+
+        // Every section of every subject is a candidate - no preference filtering here
+        const preferences = this.generator.normalizePreferences({ credits: { max: Number.MAX_SAFE_INTEGER } });
+        const { subjects } = this.generator.collectSections(
+            catalog,
+            baseCourses.map(course => course.courseName),
+            preferences,
+            'flexible'
+        );
+
+        const baseIds = new Set(baseCourses.map(course => course.courseId));
+        const baseScoring = this.scoreGoals(baseCourses.map(course => course.meeting), goals, 0);
+        const score = chosen => this.scoreGoals(
+            chosen.map(s => s.course.meeting),
+            goals,
+            chosen.filter(s => !baseIds.has(s.course.courseId)).length
+        );
+
+        // One extra slot since the saved combination itself is usually among the best
+        const search = this.generator.search(subjects, preferences, maxRecommendations + 1, score);
+
+        const variants = search.results
+            .filter(result => result.skipped.length === 0)
+            .filter(result => result.scoring.penalty < baseScoring.penalty)
+            .slice(0, maxRecommendations)
+            .map((result, index) => ({
+                ...this.generator.formatRecommendation(result, index + 1, preferences, 'optimize'),
+                improvements: goals.map(goal => ({
+                    goal,
+                    before: baseScoring.metrics[OPTIMIZATION_GOALS[goal]],
+                    after: result.scoring.metrics[OPTIMIZATION_GOALS[goal]]
+                })),
+                diff: this.diffSections(baseCourses, result.sections)
+            }));
+
+        return {
+            baseSchedule: {
+                scheduleId: schedule.scheduleId,
+                scheduleName: schedule.scheduleName,
+                semesterCode: request.semesterCode,
+                scoring: baseScoring
+            },
+            goals,
+            variants,
+            fixedCourses,
+            stats: {
+                totalOptions: search.found,
+                optionsExplored: search.explored,
+                candidateSections: subjects.reduce((sum, s) => sum + s.sections.length, 0),
+                searchTruncated: search.truncated,
+                processingTime: Date.now() - startedAt
+            }
+        };
+    }
+
+    /**
+     * Weighted goal score - higher is better; goal i of n weighs n - i
+     * Equal penalties are ranked by the number of sections swapped, fewest first
+     */
+    scoreGoals(meetings, goals, changedSections) {
+        const layout = this.generator.measureTimetable(meetings);
+        const metrics = {};
+        let penalty = 0;
+
+        goals.forEach((goal, index) => {
+            const metric = OPTIMIZATION_GOALS[goal];
+            metrics[metric] = layout[metric];
+            penalty += (goals.length - index) * layout[metric];
+        });
+
+        return {
+            totalScore: -(penalty * 100 + changedSections),
+            penalty,
+            changedSections,
+            metrics,
+            conflictCount: 0
+        };
+    }
+
+    /**
+     * Sections that changed, per subject
+     */
+    diffSections(baseCourses, sections) {
+        const summarize = course => ({
+            courseId: course.courseId,
+            courseName: course.courseName,
+            lecturer: course.lecturer,
+            time: course.time,
+            room: course.room,
+            weeks: course.weeks
+        });
+
+        const changes = [];
+        let unchanged = 0;
+
+        for (const { subject, course } of sections) {
+            const original = baseCourses.find(c => c.courseName === subject);
+            if (original && original.courseId === course.courseId) {
+                unchanged++;
+                continue;
+            }
+            changes.push({ subject, from: original ? summarize(original) : null, to: summarize(course) });
+        }
+
+        return { changed: changes, unchangedCount: unchanged };
+    }
+}
+
+module.exports = { ScheduleOptimizerService, OPTIMIZATION_GOALS };
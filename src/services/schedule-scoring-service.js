@@ -0,0 +1,366 @@
+/**
+ * SCHEDULE SCORING SERVICE
+ * Explains how well a timetable fits a student's preferences, criterion by criterion
+ *
+ * Works on any list of courses carrying a parsed `meeting` - saved schedules and
+ * generated recommendations alike. Criteria the student has no preference for are
+ * reported as not applicable and left out of the total.
+ */
+
+const { ScheduleService } = require('./schedule-service');
+const { PreferenceService } = require('./preference-service');
+const { PeriodTimeService, DEFAULT_PERIODS } = require('./period-time-service');
+const { attachMeeting, DAY_LABELS } = require('../utils/course-meeting-parser');
+
+// Relative weight of each criterion in the total score
+const CRITERIA_WEIGHTS = {
+    preferredSlots: 15,
+    blockedSlots: 20,
+    restDays: 15,
+    consecutiveHours: 10,
+    breaks: 10,
+    campus: 15,
+    credits: 15
+};
+
+// Classes closer together than this run on as one block (the bell gap between periods is 5-10 minutes)
+const CONSECUTIVE_GAP_MINUTES = 15;
+
+// Periods 1-5 are the morning session, 11+ the evening session
+const MORNING_LAST_PERIOD = 5;
+const EVENING_FIRST_PERIOD = 11;
+
+// Same fallback as /api/courses when the catalog has no credit value
+const DEFAULT_CREDITS = 2;
+
+class ScheduleScoringService {
+    constructor() {
+        this.scheduleService = new ScheduleService();
+        this.preferenceService = new PreferenceService();
+        this.periodTimeService = new PeriodTimeService();
+    }
+
+    /**
+     * Score a saved schedule against its owner's preferences for the schedule's semester
+     */
+    async scoreSavedSchedule(scheduleId) {
+        const details = await this.scheduleService.getScheduleDetails(scheduleId);
+        if (!details.success) {
+            throw new Error('Schedule not found');
+        }
+
+        const { schedule } = details;
+        const { preferences, source } = await this.loadPreferences(schedule.userId, schedule.semesterCode);
+        const courses = await this.periodTimeService.applyClockTimes(
+            (schedule.courses || []).map(attachMeeting),
+            { semesterCode: schedule.semesterCode }
+        );
+
+        return {
+            scheduleId: schedule.scheduleId,
+            scheduleName: schedule.scheduleName,
+            semesterCode: schedule.semesterCode,
+            preferencesSource: source,
+            ...this.evaluate(courses, preferences)
+        };
+    }
+
+    /**
+     * Stored PreferenceService preferences of a user (schedules are keyed by email),
+     * or the defaults when the user has none or the user database is unreachable
+     */
+    async loadPreferences(email, semesterCode) {
+        try {
+            const user = email ? await this.preferenceService.db.getUserByEmail(email) : null;
+            if (user) {
+                const preferences = await this.preferenceService.getUserPreferences(user.userID, semesterCode);
+                return { preferences, source: preferences.preferenceID ? 'stored' : 'default' };
+            }
+        } catch (error) {
+            console.warn('[ScheduleScoring] Could not load preferences, using defaults:', error.message);
+        }
+
+        return { preferences: this.preferenceService.getDefaultPreferences(null, semesterCode), source: 'default' };
+    }
+
+    /**
+     * Score courses against preferences
+     * @param {Array} courses - Courses with a parsed `meeting` (clock times optional) and credits
+     * @param {Object} preferences - PreferenceService shape; generator preferences are accepted too
+     * @returns {{ totalScore: number, criteria: Array, totalCredits: number }}
+     */
+    evaluate(courses, preferences) {
+        const meetings = courses
+            .filter(course => course.meeting)
+            .map(course => this.withClockTimes(course.meeting, course));
+        const totalCredits = courses.reduce((sum, course) => sum + (course.credits || DEFAULT_CREDITS), 0);
+
+        const time = preferences.timePreferences || {};
+        const advanced = preferences.advancedSettings || {};
+
+        const criteria = [
+            this.scorePreferredSlots(meetings, time.preferredSlots || []),
+            this.scoreBlockedSlots(meetings, time),
+            this.scoreRestDays(meetings, time.restDays || []),
+            this.scoreConsecutiveHours(meetings, advanced.maxConsecutiveHours),
+            this.scoreBreaks(meetings, advanced.minBreakBetweenClasses),
+            this.scoreCampus(meetings, preferences.campuses || {}),
+            this.scoreCredits(totalCredits, preferences.credits || {})
+        ];
+
+        const applicable = criteria.filter(c => c.applicable);
+        const totalWeight = applicable.reduce((sum, c) => sum + c.weight, 0);
+        const totalScore = totalWeight > 0
+            ? Math.round(applicable.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight)
+            : 100;
+
+        return { totalScore, totalCredits, criteria };
+    }
+
+    // Criteria
+
+    /**
+     * Share of taught periods that fall in a preferred period
+     */
+    scorePreferredSlots(meetings, preferredSlots) {
+        if (preferredSlots.length === 0) return this.notApplicable('preferredSlots');
+
+        let total = 0;
+        let hit = 0;
+        for (const meeting of meetings) {
+            for (let period = meeting.startPeriod; period <= meeting.endPeriod; period++) {
+                total++;
+                if (preferredSlots.includes(period)) hit++;
+            }
+        }
+
+        return this.criterion('preferredSlots', total > 0 ? hit / total : 1, {
+            periodsInPreferredSlots: hit,
+            totalPeriods: total
+        });
+    }
+
+    /**
+     * Meetings in a blocked period, or in the morning/evening when avoided
+     * Blocked slots are period numbers (any day) or { dayOfWeek, startPeriod?, endPeriod? }
+     */
+    scoreBlockedSlots(meetings, time) {
+        const blockedSlots = time.blockedSlots || [];
+        if (blockedSlots.length === 0 && !time.avoidMorning && !time.avoidEvening) {
+            return this.notApplicable('blockedSlots');
+        }
+
+        const violations = [];
+        for (const meeting of meetings) {
+            const reasons = [];
+
+            if (time.avoidMorning && meeting.startPeriod <= MORNING_LAST_PERIOD) reasons.push('morning');
+            if (time.avoidEvening && meeting.endPeriod >= EVENING_FIRST_PERIOD) reasons.push('evening');
+
+            const blocked = blockedSlots.some(slot => typeof slot === 'number'
+                ? meeting.startPeriod <= slot && slot <= meeting.endPeriod
+                : slot.dayOfWeek === meeting.dayOfWeek &&
+                    (slot.startPeriod || 1) <= meeting.endPeriod &&
+                    meeting.startPeriod <= (slot.endPeriod || Number.MAX_SAFE_INTEGER));
+            if (blocked) reasons.push('blocked_slot');
+
+            if (reasons.length > 0) {
+                violations.push({ ...this.describeMeeting(meeting), reasons });
+            }
+        }
+
+        return this.criterion('blockedSlots', meetings.length > 0 ? 1 - violations.length / meetings.length : 1, {
+            violations
+        });
+    }
+
+    /**
+     * Rest days left free of classes
+     */
+    scoreRestDays(meetings, restDays) {
+        if (restDays.length === 0) return this.notApplicable('restDays');
+
+        const studyDays = new Set(meetings.map(m => m.dayOfWeek));
+        const kept = restDays.filter(day => !studyDays.has(day));
+
+        return this.criterion('restDays', kept.length / restDays.length, {
+            kept: kept.map(day => DAY_LABELS[day]),
+            broken: restDays.filter(day => studyDays.has(day)).map(day => DAY_LABELS[day])
+        });
+    }
+
+    /**
+     * Days whose longest run of back-to-back classes stays within maxConsecutiveHours
+     */
+    scoreConsecutiveHours(meetings, maxConsecutiveHours) {
+        if (!maxConsecutiveHours) return this.notApplicable('consecutiveHours');
+
+        const days = this.groupByDay(meetings);
+        const violations = [];
+
+        for (const [dayOfWeek, dayMeetings] of days) {
+            let runStart = dayMeetings[0].startMinutes;
+            let runEnd = dayMeetings[0].endMinutes;
+            let longest = runEnd - runStart;
+
+            for (const meeting of dayMeetings.slice(1)) {
+                if (meeting.startMinutes - runEnd < CONSECUTIVE_GAP_MINUTES) {
+                    runEnd = Math.max(runEnd, meeting.endMinutes);
+                } else {
+                    runStart = meeting.startMinutes;
+                    runEnd = meeting.endMinutes;
+                }
+                longest = Math.max(longest, runEnd - runStart);
+            }
+
+            if (longest > maxConsecutiveHours * 60) {
+                violations.push({ dayOfWeek: DAY_LABELS[dayOfWeek], hours: Math.round(longest / 6) / 10 });
+            }
+        }
+
+        return this.criterion('consecutiveHours', days.size > 0 ? 1 - violations.length / days.size : 1, {
+            maxConsecutiveHours,
+            violations
+        });
+    }
+
+    /**
+     * Gaps between two classes on the same day that are at least minBreakBetweenClasses long
+     */
+    scoreBreaks(meetings, minBreakBetweenClasses) {
+        if (!minBreakBetweenClasses) return this.notApplicable('breaks');
+
+        let gaps = 0;
+        const shortBreaks = [];
+
+        for (const [dayOfWeek, dayMeetings] of this.groupByDay(meetings)) {
+            for (let i = 1; i < dayMeetings.length; i++) {
+                const minutes = dayMeetings[i].startMinutes - dayMeetings[i - 1].endMinutes;
+                // Overlapping classes meet in different weeks - there is no break between them
+                if (minutes < 0) continue;
+
+                gaps++;
+                if (minutes < minBreakBetweenClasses) {
+                    shortBreaks.push({
+                        dayOfWeek: DAY_LABELS[dayOfWeek],
+                        between: [dayMeetings[i - 1].courseName, dayMeetings[i].courseName],
+                        minutes
+                    });
+                }
+            }
+        }
+
+        return this.criterion('breaks', gaps > 0 ? 1 - shortBreaks.length / gaps : 1, {
+            minBreakBetweenClasses,
+            shortBreaks
+        });
+    }
+
+    /**
+     * Meetings on a preferred campus and never on a blocked one
+     */
+    scoreCampus(meetings, campuses) {
+        const preferred = (campuses.preferred || []).map(c => String(c).toUpperCase());
+        const blocked = (campuses.blocked || []).map(c => String(c).toUpperCase());
+        if (preferred.length === 0 && blocked.length === 0) return this.notApplicable('campus');
+
+        const located = meetings.filter(m => m.campusCode);
+        const mismatches = located.filter(m => blocked.includes(m.campusCode) ||
+            (preferred.length > 0 && !preferred.includes(m.campusCode)));
+
+        return this.criterion('campus', located.length > 0 ? 1 - mismatches.length / located.length : 1, {
+            preferred,
+            blocked,
+            mismatches: mismatches.map(m => ({ ...this.describeMeeting(m), campusCode: m.campusCode }))
+        });
+    }
+
+    /**
+     * Full marks at the preferred credit load, 10 points off per credit away from it,
+     * never above 50 outside the min-max range
+     */
+    scoreCredits(totalCredits, credits) {
+        const min = credits.min ?? 0;
+        const max = credits.max ?? Number.MAX_SAFE_INTEGER;
+        const target = credits.preferred ?? null;
+        if (target === null && credits.min === undefined && credits.max === undefined) {
+            return this.notApplicable('credits');
+        }
+
+        const inRange = totalCredits >= min && totalCredits <= max;
+        const distance = target !== null
+            ? Math.abs(totalCredits - target)
+            : (inRange ? 0 : Math.min(Math.abs(totalCredits - min), Math.abs(totalCredits - max)));
+        let score = Math.max(0, 100 - distance * 10);
+        if (!inRange) score = Math.min(score, 50);
+
+        return this.criterion('credits', score / 100, {
+            totalCredits,
+            min: credits.min ?? null,
+            max: credits.max ?? null,
+            preferred: target,
+            inRange
+        });
+    }
+
+    // Helper Methods
+
+    criterion(name, ratio, details) {
+        return {
+            criterion: name,
+            applicable: true,
+            weight: CRITERIA_WEIGHTS[name],
+            score: Math.round(Math.max(0, Math.min(1, ratio)) * 100),
+            details
+        };
+    }
+
+    notApplicable(name) {
+        return { criterion: name, applicable: false, weight: CRITERIA_WEIGHTS[name], score: null, details: null };
+    }
+
+    /**
+     * Meeting with start/end minutes, from its clock times or the built-in period table
+     */
+    withClockTimes(meeting, course) {
+        const periodTime = (period, field) => {
+            const row = DEFAULT_PERIODS.find(p => p.period === period);
+            return row ? row[field] : null;
+        };
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        const startTime = meeting.startTime || periodTime(meeting.startPeriod, 'startTime') || '00:00';
+        const endTime = meeting.endTime || periodTime(meeting.endPeriod, 'endTime') || startTime;
+
+        return {
+            ...meeting,
+            courseId: course.courseId,
+            courseName: course.courseName,
+            startMinutes: toMinutes(startTime),
+            endMinutes: toMinutes(endTime)
+        };
+    }
+
+    groupByDay(meetings) {
+        const days = new Map();
+        for (const meeting of [...meetings].sort((a, b) => a.startMinutes - b.startMinutes)) {
+            if (!days.has(meeting.dayOfWeek)) days.set(meeting.dayOfWeek, []);
+            days.get(meeting.dayOfWeek).push(meeting);
+        }
+        return days;
+    }
+
+    describeMeeting(meeting) {
+        return {
+            courseId: meeting.courseId,
+            courseName: meeting.courseName,
+            dayOfWeek: DAY_LABELS[meeting.dayOfWeek],
+            periods: `${meeting.startPeriod}-${meeting.endPeriod}`
+        };
+    }
+}
+
+module.exports = { ScheduleScoringService, CRITERIA_WEIGHTS };
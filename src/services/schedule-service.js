@@ -4,7 +4,74 @@
  * With auto-reconnect for Azure SQL Free tier (auto-pauses after 1 hour)
  */
 
+const crypto = require('crypto');
 const sql = require('mssql');
+const { ensureSemesterSchema } = require('../database');
+const { attachMeeting } = require('../utils/course-meeting-parser');
+const { findCourseConflicts, getSubjectName } = require('../utils/conflict-detector');
+
+// Course fields returned with a schedule; client values for these are replaced by the catalog's
+const CANONICAL_COURSE_FIELDS = ['courseName', 'courseCode', 'credits', 'lecturer', 'time', 'room', 'weeks'];
+
+// Columns of a schedule row as returned by the API
+const SCHEDULE_COLUMNS = `
+    id as scheduleId,
+    userId,
+    scheduleName,
+    description,
+    color,
+    coursesJson,
+    totalCredits,
+    semesterCode,
+    isBookmarked,
+    isPrimary,
+    createdAt,
+    updatedAt
+`;
+
+// Columns of a schedule shown through a share link: nothing that identifies the owner,
+// and no scheduleId, which would unlock the owner-facing endpoints
+const SHARED_SCHEDULE_COLUMNS = `
+    s.scheduleName,
+    s.description,
+    s.color,
+    s.coursesJson,
+    s.totalCredits,
+    s.semesterCode,
+    s.updatedAt
+`;
+
+// Columns of a share link as listed to its owner
+const SHARE_LINK_COLUMNS = `
+    l.ShareLinkId as shareId,
+    l.ScheduleId as scheduleId,
+    s.scheduleName,
+    l.CreatedAt as createdAt,
+    l.ExpiresAt as expiresAt,
+    l.LastViewedAt as lastViewedAt,
+    l.ViewCount as viewCount
+`;
+
+// Schedule fields a student may edit without touching the courses
+const SCHEDULE_INFO_FIELDS = {
+    scheduleName: sql.NVarChar(255),
+    description: sql.NVarChar(1000),
+    color: sql.NVarChar(20)
+};
+
+// Catalog columns of a schedule course (Courses aliased as c)
+const COURSE_COLUMNS = `
+    c.ID as courseId,
+    c.Name as courseName,
+    'COURSE' + CAST(c.ID as NVARCHAR) as courseCode,
+    ISNULL(c.Credits, 2) as credits,
+    c.Lecturer as lecturer,
+    c.Time as time,
+    c.Room as room,
+    c.Weeks as weeks,
+    ISNULL(c.Quantity, 0) as quantity,
+    c.SemesterCode as semesterCode
+`;
 
 // =========================================
 // AUTO-RECONNECT CONFIGURATION
@@ -63,6 +130,7 @@ class ScheduleService {
         };
         this.pool = null;
         this.isConnecting = false;
+        this.schemaReady = false;
     }
 
     /**
@@ -162,6 +230,508 @@ class ScheduleService {
         throw lastError;
     }
 
+    /**
+     * Add columns and tables newer features rely on (runs once per process)
+     */
+    async ensureSchema(pool) {
+        if (this.schemaReady) return;
+
+        await ensureSemesterSchema(pool);
+
+        await pool.request().query(`
+            IF COL_LENGTH('Schedules', 'semesterCode') IS NULL
+                ALTER TABLE Schedules ADD semesterCode NVARCHAR(20) NULL;
+            IF COL_LENGTH('Schedules', 'scheduleName') IS NULL
+                ALTER TABLE Schedules ADD scheduleName NVARCHAR(255) NULL;
+            IF COL_LENGTH('Schedules', 'description') IS NULL
+                ALTER TABLE Schedules ADD description NVARCHAR(1000) NULL;
+            IF COL_LENGTH('Schedules', 'color') IS NULL
+                ALTER TABLE Schedules ADD color NVARCHAR(20) NULL;
+            IF COL_LENGTH('Schedules', 'isBookmarked') IS NULL
+                ALTER TABLE Schedules ADD isBookmarked BIT NOT NULL CONSTRAINT DF_Schedules_isBookmarked DEFAULT 0;
+            IF COL_LENGTH('Schedules', 'isPrimary') IS NULL
+                ALTER TABLE Schedules ADD isPrimary BIT NOT NULL CONSTRAINT DF_Schedules_isPrimary DEFAULT 0;
+        `);
+
+        // At most one primary schedule per user and semester
+        await pool.request().query(`
+            IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_Schedules_Primary')
+                CREATE UNIQUE INDEX UX_Schedules_Primary ON Schedules(userId, semesterCode)
+                WHERE isPrimary = 1;
+        `);
+
+        // Courses of a schedule, one row each (replaces the coursesJson blob)
+        await pool.request().query(`
+            IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ScheduleDetails')
+            BEGIN
+                CREATE TABLE ScheduleDetails (
+                    DetailId INT IDENTITY(1,1) PRIMARY KEY,
+                    ScheduleId INT NOT NULL,
+                    CourseId INT NOT NULL,
+                    CreatedAt DATETIME DEFAULT GETDATE(),
+                    CONSTRAINT UQ_ScheduleDetails_Course UNIQUE (ScheduleId, CourseId),
+                    FOREIGN KEY (ScheduleId) REFERENCES Schedules(id) ON DELETE CASCADE,
+                    FOREIGN KEY (CourseId) REFERENCES Courses(ID)
+                );
+                CREATE INDEX IX_ScheduleDetails_CourseId ON ScheduleDetails(CourseId);
+            END
+        `);
+
+        // Course list of a schedule before each update, for undo/restore
+        await pool.request().query(`
+            IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ScheduleVersions')
+            BEGIN
+                CREATE TABLE ScheduleVersions (
+                    VersionId INT IDENTITY(1,1) PRIMARY KEY,
+                    ScheduleId INT NOT NULL,
+                    VersionNumber INT NOT NULL,
+                    CoursesJson NVARCHAR(MAX) NOT NULL,
+                    TotalCredits INT NULL,
+                    CreatedAt DATETIME DEFAULT GETDATE(),
+                    CONSTRAINT UQ_ScheduleVersions_Number UNIQUE (ScheduleId, VersionNumber),
+                    FOREIGN KEY (ScheduleId) REFERENCES Schedules(id) ON DELETE CASCADE
+                );
+            END
+        `);
+
+        // Read-only share links; only a SHA-256 hash of the token is stored
+        await pool.request().query(`
+            IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ScheduleShareLinks')
+            BEGIN
+                CREATE TABLE ScheduleShareLinks (
+                    ShareLinkId INT IDENTITY(1,1) PRIMARY KEY,
+                    ScheduleId INT NOT NULL,
+                    UserId NVARCHAR(255) NOT NULL,
+                    TokenHash CHAR(64) NOT NULL UNIQUE,
+                    CreatedAt DATETIME DEFAULT GETDATE(),
+                    ExpiresAt DATETIME NULL,
+                    RevokedAt DATETIME NULL,
+                    LastViewedAt DATETIME NULL,
+                    ViewCount INT NOT NULL DEFAULT 0,
+                    FOREIGN KEY (ScheduleId) REFERENCES Schedules(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IX_ScheduleShareLinks_UserId ON ScheduleShareLinks(UserId);
+            END
+        `);
+
+        // Courses a student is enrolled or waitlisted in; column names match DatabaseService's
+        // CourseEnrollments queries. UserId holds the email, like Schedules.userId
+        await pool.request().query(`
+            IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CourseEnrollments')
+            BEGIN
+                CREATE TABLE CourseEnrollments (
+                    EnrollmentId INT IDENTITY(1,1) PRIMARY KEY,
+                    UserId NVARCHAR(255) NOT NULL,
+                    CourseId INT NOT NULL,
+                    ScheduleId INT NULL,
+                    EnrollmentType NVARCHAR(20) NOT NULL DEFAULT 'Enrolled',
+                    EnrollmentDate DATETIME NOT NULL DEFAULT GETDATE(),
+                    Status NVARCHAR(20) NOT NULL DEFAULT 'Active',
+                    DropDate DATETIME NULL,
+                    FOREIGN KEY (CourseId) REFERENCES Courses(ID),
+                    FOREIGN KEY (ScheduleId) REFERENCES Schedules(id) ON DELETE SET NULL
+                );
+                CREATE UNIQUE INDEX UX_CourseEnrollments_Active ON CourseEnrollments(UserId, CourseId)
+                    WHERE Status = 'Active';
+                CREATE INDEX IX_CourseEnrollments_CourseId ON CourseEnrollments(CourseId);
+            END
+        `);
+
+        await this.migrateCoursesJson(pool);
+
+        this.schemaReady = true;
+    }
+
+    /**
+     * One-time move of legacy coursesJson data into ScheduleDetails
+     * Schedules whose JSON references no known course keep their JSON untouched. The JSON is
+     * only cleared once every entry is in ScheduleDetails; entries that match no course are
+     * logged and stay in coursesJson (returned to the owner as unmigratedCourses)
+     */
+    async migrateCoursesJson(pool) {
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            await new sql.Request(transaction).query(`
+                IF EXISTS (
+                    SELECT 1 FROM sys.columns
+                    WHERE object_id = OBJECT_ID('Schedules') AND name = 'coursesJson' AND is_nullable = 0
+                )
+                    ALTER TABLE Schedules ALTER COLUMN coursesJson NVARCHAR(MAX) NULL
+            `);
+
+            const inserted = await new sql.Request(transaction).query(`
+                INSERT INTO ScheduleDetails (ScheduleId, CourseId)
+                OUTPUT INSERTED.ScheduleId as scheduleId
+                SELECT s.id, c.ID
+                FROM Schedules s
+                CROSS APPLY OPENJSON(s.coursesJson) j
+                JOIN Courses c ON c.ID = TRY_CAST(JSON_VALUE(j.value, '$.courseId') AS INT)
+                WHERE ISJSON(s.coursesJson) = 1
+                    AND NOT EXISTS (SELECT 1 FROM ScheduleDetails d WHERE d.ScheduleId = s.id)
+                GROUP BY s.id, c.ID
+                ORDER BY s.id, MIN(CAST(j.[key] AS INT));
+            `);
+
+            const migratedIds = [...new Set(inserted.recordset.map(row => row.scheduleId))];
+            let skipped = [];
+
+            if (migratedIds.length > 0) {
+                const result = await new sql.Request(transaction)
+                    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(migratedIds))
+                    .query(`
+                        SELECT s.id as scheduleId, j.value as entry
+                        FROM Schedules s
+                        CROSS APPLY OPENJSON(s.coursesJson) j
+                        WHERE s.id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+                            AND NOT EXISTS (
+                                SELECT 1 FROM ScheduleDetails d
+                                WHERE d.ScheduleId = s.id
+                                    AND d.CourseId = TRY_CAST(JSON_VALUE(j.value, '$.courseId') AS INT)
+                            )
+                        ORDER BY s.id, CAST(j.[key] AS INT)
+                    `);
+                skipped = result.recordset;
+            }
+
+            const cleared = await new sql.Request(transaction).query(`
+                UPDATE s SET coursesJson = NULL
+                FROM Schedules s
+                WHERE s.coursesJson IS NOT NULL
+                    AND ISJSON(s.coursesJson) = 1
+                    AND EXISTS (SELECT 1 FROM ScheduleDetails d WHERE d.ScheduleId = s.id)
+                    AND NOT EXISTS (
+                        SELECT 1 FROM OPENJSON(s.coursesJson) j
+                        WHERE NOT EXISTS (
+                            SELECT 1 FROM ScheduleDetails d
+                            WHERE d.ScheduleId = s.id
+                                AND d.CourseId = TRY_CAST(JSON_VALUE(j.value, '$.courseId') AS INT)
+                        )
+                    )
+            `);
+
+            await transaction.commit();
+
+            if (migratedIds.length > 0) {
+                console.log(`[ScheduleService] Migrated ${inserted.recordset.length} courses of ${migratedIds.length} schedules from coursesJson to ScheduleDetails (${cleared.rowsAffected[0]} fully)`);
+            }
+            for (const { scheduleId, entry } of skipped) {
+                console.warn(`[ScheduleService] Schedule ${scheduleId}: course not in catalog, kept in coursesJson:`, entry);
+            }
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Load the catalog courses of several schedules, in the order they were added
+     * Falls back to coursesJson for legacy schedules that could not be migrated
+     * @param {Array} schedules - Rows with scheduleId and coursesJson
+     * @returns {Promise<Array>} - Rows with `courses`, `courseCount`, a regenerated `coursesJson`
+     *                             and, when there are any, `unmigratedCourses`
+     */
+    async attachCourses(pool, schedules) {
+        if (schedules.length === 0) return [];
+
+        const result = await pool.request()
+            .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(schedules.map(s => s.scheduleId)))
+            .query(`
+                SELECT d.ScheduleId as scheduleId, ${COURSE_COLUMNS}
+                FROM ScheduleDetails d
+                JOIN Courses c ON c.ID = d.CourseId
+                WHERE d.ScheduleId IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+                ORDER BY d.ScheduleId, d.DetailId
+            `);
+
+        const bySchedule = new Map();
+        for (const { scheduleId, ...course } of result.recordset) {
+            if (!bySchedule.has(scheduleId)) bySchedule.set(scheduleId, []);
+            bySchedule.get(scheduleId).push(this.toStoredCourse(course));
+        }
+
+        return schedules.map(schedule => {
+            const migrated = bySchedule.get(schedule.scheduleId);
+            const courses = migrated || JSON.parse(schedule.coursesJson || '[]');
+            const unmigrated = migrated ? this.getUnmigratedCourses(schedule.coursesJson, migrated) : [];
+
+            // coursesJson kept in responses for clients written against the blob
+            return {
+                ...schedule,
+                coursesJson: JSON.stringify(courses),
+                courses,
+                courseCount: courses.length,
+                ...(unmigrated.length > 0 && { unmigratedCourses: unmigrated })
+            };
+        });
+    }
+
+    /**
+     * Legacy coursesJson entries of a migrated schedule that matched no catalog course
+     * (migrateCoursesJson keeps them in coursesJson); they are shown to the owner and
+     * kept until a saved course list includes their courseId
+     * @param {string|null} coursesJson
+     * @param {Array} courses - The schedule's courses, each with courseId
+     */
+    getUnmigratedCourses(coursesJson, courses) {
+        if (!coursesJson) return [];
+
+        let entries;
+        try {
+            entries = JSON.parse(coursesJson);
+        } catch (error) {
+            return [];
+        }
+
+        const courseIds = new Set(courses.map(c => Number(c.courseId)));
+        return Array.isArray(entries)
+            ? entries.filter(entry => entry && !courseIds.has(Number(entry.courseId)))
+            : [];
+    }
+
+    /**
+     * Replace the ScheduleDetails rows of a schedule inside a transaction
+     */
+    async saveScheduleCourses(transaction, scheduleId, courses) {
+        const courseIds = [...new Set(courses.map(c => c.courseId))];
+
+        await new sql.Request(transaction)
+            .input('scheduleId', sql.Int, scheduleId)
+            .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(courseIds))
+            .query(`
+                DELETE FROM ScheduleDetails WHERE ScheduleId = @scheduleId;
+
+                INSERT INTO ScheduleDetails (ScheduleId, CourseId)
+                SELECT @scheduleId, CAST(value AS INT)
+                FROM OPENJSON(@ids)
+                ORDER BY CAST([key] AS INT);
+            `);
+    }
+
+    /**
+     * Validate submitted courses against the Courses catalog
+     * Detects unknown IDs, duplicate courses/subjects, week-aware time clashes
+     * and sections already chosen by as many other students as they have seats
+     * @param {Object} pool - Connected pool
+     * @param {Array} courses - Courses as submitted by the client
+     * @param {string} email - Owner, excluded from seat counting
+     * @returns {{ unknownCourses: Array, conflicts: Array, courses: Array, corrections: Array }}
+     *          - courses: catalog rows in submission order, corrections: client fields that disagreed
+     */
+    async validateCourses(pool, courses, email) {
+        const ids = courses.map(c => parseInt(c.courseId ?? c.id ?? c.ID, 10));
+        const unknownCourses = courses
+            .filter((c, index) => !Number.isInteger(ids[index]))
+            .map(c => ({ courseId: c.courseId ?? c.id ?? null, courseName: c.courseName || c.name || null }));
+
+        const uniqueIds = [...new Set(ids.filter(Number.isInteger))];
+        const catalogResult = await pool.request()
+            .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(uniqueIds))
+            .query(`
+                SELECT ${COURSE_COLUMNS}
+                FROM Courses c
+                WHERE c.ID IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+            `);
+
+        const catalog = new Map(catalogResult.recordset.map(row => [row.courseId, attachMeeting(row)]));
+        uniqueIds
+            .filter(id => !catalog.has(id))
+            .forEach(id => unknownCourses.push({ courseId: id, courseName: null }));
+
+        const submitted = courses.filter((c, index) => catalog.has(ids[index]));
+        const canonical = ids.filter(id => catalog.has(id)).map(id => catalog.get(id));
+
+        const seatsTaken = await this.countSeatsTaken(pool, [...catalog.keys()], email);
+        const conflicts = this.detectConflicts(canonical, seatsTaken);
+        const corrections = this.findCorrections(submitted, canonical);
+
+        return {
+            unknownCourses,
+            conflicts,
+            courses: canonical.map(course => this.toStoredCourse(course)),
+            corrections
+        };
+    }
+
+    /**
+     * Client-supplied course fields that differ from the catalog
+     * @returns {Array<{ courseId: number, field: string, submitted: *, catalog: * }>}
+     */
+    findCorrections(submitted, canonical) {
+        const corrections = [];
+
+        submitted.forEach((course, index) => {
+            const catalogCourse = canonical[index];
+
+            for (const field of CANONICAL_COURSE_FIELDS) {
+                const value = course[field];
+                if (value === undefined || value === null) continue;
+
+                if (String(value).trim() !== String(catalogCourse[field] ?? '').trim()) {
+                    corrections.push({
+                        courseId: catalogCourse.courseId,
+                        field,
+                        submitted: value,
+                        catalog: catalogCourse[field] ?? null
+                    });
+                }
+            }
+        });
+
+        return corrections;
+    }
+
+    /**
+     * Course as returned with a schedule - catalog values only
+     */
+    toStoredCourse(course) {
+        return {
+            courseId: course.courseId,
+            courseName: course.courseName,
+            courseCode: course.courseCode,
+            credits: course.credits,
+            lecturer: course.lecturer,
+            time: course.time,
+            room: course.room,
+            weeks: course.weeks,
+            quantity: course.quantity,
+            semesterCode: course.semesterCode
+        };
+    }
+
+    /**
+     * Number of other students enrolled in each course (saved schedules are drafts and hold no seat)
+     * @returns {Map<number, number>}
+     */
+    async countSeatsTaken(pool, courseIds, email) {
+        if (courseIds.length === 0) return new Map();
+
+        const result = await pool.request()
+            .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(courseIds))
+            .input('userId', sql.NVarChar, email)
+            .query(`
+                SELECT
+                    e.CourseId as courseId,
+                    COUNT(DISTINCT e.UserId) as taken
+                FROM CourseEnrollments e
+                WHERE e.Status = 'Active' AND e.EnrollmentType = 'Enrolled'
+                    AND e.UserId <> @userId
+                    AND e.CourseId IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+                GROUP BY e.CourseId
+            `);
+
+        return new Map(result.recordset.map(row => [row.courseId, row.taken]));
+    }
+
+    /**
+     * Build the conflict list for catalog courses (in submission order)
+     * @param {Array} courses - Catalog rows with a parsed meeting
+     * @param {Map<number, number>} seatsTaken - Other students enrolled per course
+     */
+    detectConflicts(courses, seatsTaken = new Map()) {
+        const conflicts = [];
+        const summary = c => ({ courseId: c.courseId, courseName: c.courseName });
+
+        // Same section submitted twice
+        const seenIds = new Set();
+        const uniqueCourses = [];
+        for (const course of courses) {
+            if (seenIds.has(course.courseId)) {
+                conflicts.push({
+                    type: 'duplicate_course',
+                    severity: 'error',
+                    message: `${course.courseName} is listed more than once`,
+                    courses: [summary(course)]
+                });
+                continue;
+            }
+            seenIds.add(course.courseId);
+            uniqueCourses.push(course);
+        }
+
+        // Two sections of the same subject
+        const bySubject = new Map();
+        for (const course of uniqueCourses) {
+            const key = getSubjectName(course.courseName);
+            if (!bySubject.has(key)) bySubject.set(key, []);
+            bySubject.get(key).push(course);
+        }
+        for (const sections of bySubject.values()) {
+            if (sections.length < 2) continue;
+            conflicts.push({
+                type: 'duplicate_subject',
+                severity: 'error',
+                message: `${sections.length} sections of the same subject: ${sections.map(c => c.courseName).join(', ')}`,
+                courses: sections.map(summary)
+            });
+        }
+
+        // Week-aware time clashes
+        for (const clash of findCourseConflicts(uniqueCourses)) {
+            const { course1, course2, message, ...details } = clash;
+            conflicts.push({
+                type: 'time',
+                severity: 'error',
+                message: `${course1.courseName} / ${course2.courseName}: ${message}`,
+                courses: [course1, course2],
+                ...details
+            });
+        }
+
+        // Sections without free seats
+        for (const course of uniqueCourses) {
+            const taken = seatsTaken.get(course.courseId) || 0;
+            if (course.quantity > 0 && taken >= course.quantity) {
+                conflicts.push({
+                    type: 'capacity',
+                    severity: 'warning',
+                    message: `${course.courseName} is full (${taken}/${course.quantity})`,
+                    courses: [summary(course)],
+                    capacity: course.quantity,
+                    taken
+                });
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Run validation and decide whether a save may proceed
+     * strict: any conflict rejects the save; otherwise conflicts are returned as warnings
+     * Unknown course IDs always reject
+     * @returns {{ success: true, warnings: Array, courses: Array, corrections: Array, totalCredits: number }
+     *          | { success: false, code: string, error: string, ... }}
+     */
+    async checkScheduleCourses(pool, courses, email, strict) {
+        const { unknownCourses, conflicts, courses: canonical, corrections } =
+            await this.validateCourses(pool, courses, email);
+
+        if (unknownCourses.length > 0) {
+            return {
+                success: false,
+                code: 'UNKNOWN_COURSES',
+                error: 'Some courses do not exist in the catalog',
+                unknownCourses
+            };
+        }
+
+        if (strict && conflicts.length > 0) {
+            return {
+                success: false,
+                code: 'SCHEDULE_CONFLICT',
+                error: 'Schedule has conflicting courses',
+                conflicts
+            };
+        }
+
+        // Totals come from the catalog, never from client-supplied credits
+        const totalCredits = canonical.reduce((sum, course) => sum + (course.credits || 0), 0);
+
+        return { success: true, warnings: conflicts, courses: canonical, corrections, totalCredits };
+    }
+
     /**
      * Get or create UserId from email
      * Note: UserId in student-scheduler-db is NVARCHAR (stores email)
@@ -206,17 +776,29 @@ class ScheduleService {
 
     /**
      * Create new schedule for user
-     * Uses coursesJson column to store courses as JSON
+     * Courses are stored as ScheduleDetails rows
+     * @param {Object} options - { semesterCode, description, color, strict = true }
      */
-    async createSchedule(userIdentifier, scheduleName, courses, userData = {}) {
+    async createSchedule(userIdentifier, scheduleName, courses, userData = {}, options = {}) {
         return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
             const email = userData.email || userIdentifier;
+            const semesterCode = options.semesterCode || null;
+            const name = (scheduleName && scheduleName.trim()) ||
+                `Thời khóa biểu ${new Date().toLocaleDateString('vi-VN')}`;
             console.log('[createSchedule] Creating schedule for:', email);
             
             if (!email) {
                 throw new Error('Email is required');
             }
 
+            const check = await this.checkScheduleCourses(pool, courses, email, options.strict !== false);
+            if (!check.success) {
+                console.log('[createSchedule] Rejected:', check.code);
+                return check;
+            }
+
             // Ensure user exists
             const existingUser = await pool.request()
                 .input('email', sql.NVarChar, email)
@@ -238,21 +820,41 @@ class ScheduleService {
                 console.log('[createSchedule] Created new user');
             }
 
-            // Calculate total credits
-            const totalCredits = courses.reduce((sum, course) => sum + (course.credits || 0), 0);
+            const { totalCredits } = check;
 
-            // Insert schedule with coursesJson
-            const scheduleResult = await pool.request()
-                .input('userId', sql.NVarChar, email)
-                .input('coursesJson', sql.NVarChar, JSON.stringify(courses))
-                .input('totalCredits', sql.Int, totalCredits)
-                .query(`
-                    INSERT INTO Schedules (userId, coursesJson, totalCredits, createdAt, updatedAt)
-                    OUTPUT INSERTED.id
-                    VALUES (@userId, @coursesJson, @totalCredits, GETDATE(), GETDATE())
-                `);
+            // Insert schedule and its course rows together
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            let scheduleId;
+            try {
+                const scheduleResult = await new sql.Request(transaction)
+                    .input('userId', sql.NVarChar, email)
+                    .input('scheduleName', sql.NVarChar(255), name)
+                    .input('description', sql.NVarChar(1000), options.description || null)
+                    .input('color', sql.NVarChar(20), options.color || null)
+                    .input('totalCredits', sql.Int, totalCredits)
+                    .input('semesterCode', sql.NVarChar(20), semesterCode)
+                    .query(`
+                        INSERT INTO Schedules (
+                            userId, scheduleName, description, color,
+                            totalCredits, semesterCode, createdAt, updatedAt
+                        )
+                        OUTPUT INSERTED.id
+                        VALUES (
+                            @userId, @scheduleName, @description, @color,
+                            @totalCredits, @semesterCode, GETDATE(), GETDATE()
+                        )
+                    `);
+
+                scheduleId = scheduleResult.recordset[0].id;
+                await this.saveScheduleCourses(transaction, scheduleId, check.courses);
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
 
-            const scheduleId = scheduleResult.recordset[0].id;
             console.log('[createSchedule] Created schedule:', scheduleId);
 
             return {
@@ -261,9 +863,14 @@ class ScheduleService {
                 message: 'Tạo thời khóa biểu thành công!',
                 data: {
                     scheduleId,
-                    scheduleName: scheduleName || `Thời khóa biểu ${new Date().toLocaleDateString('vi-VN')}`,
+                    scheduleName: name,
+                    description: options.description || null,
+                    color: options.color || null,
                     totalCredits,
-                    courseCount: courses.length
+                    semesterCode,
+                    courseCount: check.courses.length,
+                    warnings: check.warnings,
+                    corrections: check.corrections
                 }
             };
         }, 'createSchedule');
@@ -271,9 +878,12 @@ class ScheduleService {
 
     /**
      * Get all schedules for a user
+     * @param {Object} filters - { semesterCode?, bookmarked?, primary? }; booleans left undefined/null do not filter
      */
-    async getUserSchedules(userIdentifier) {
+    async getUserSchedules(userIdentifier, filters = {}) {
         return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
             const email = userIdentifier.includes('@') ? userIdentifier : null;
             
             if (!email) {
@@ -282,25 +892,20 @@ class ScheduleService {
             
             const result = await pool.request()
                 .input('userId', sql.NVarChar, email)
+                .input('semesterCode', sql.NVarChar(20), filters.semesterCode || null)
+                .input('bookmarked', sql.Bit, typeof filters.bookmarked === 'boolean' ? filters.bookmarked : null)
+                .input('primary', sql.Bit, typeof filters.primary === 'boolean' ? filters.primary : null)
                 .query(`
-                    SELECT 
-                        id as scheduleId,
-                        userId,
-                        coursesJson,
-                        totalCredits,
-                        createdAt,
-                        updatedAt
+                    SELECT ${SCHEDULE_COLUMNS}
                     FROM Schedules
                     WHERE userId = @userId
+                        AND (@semesterCode IS NULL OR semesterCode = @semesterCode)
+                        AND (@bookmarked IS NULL OR isBookmarked = @bookmarked)
+                        AND (@primary IS NULL OR isPrimary = @primary)
                     ORDER BY createdAt DESC
                 `);
 
-            // Parse coursesJson for each schedule
-            const schedules = result.recordset.map(s => ({
-                ...s,
-                courses: JSON.parse(s.coursesJson || '[]'),
-                courseCount: JSON.parse(s.coursesJson || '[]').length
-            }));
+            const schedules = await this.attachCourses(pool, result.recordset);
 
             return {
                 success: true,
@@ -309,21 +914,32 @@ class ScheduleService {
         }, 'getUserSchedules');
     }
 
+    /**
+     * Owner (userId) of a schedule, or null when it does not exist
+     */
+    async getScheduleOwner(scheduleId) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const result = await pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .query('SELECT userId FROM Schedules WHERE id = @scheduleId');
+
+            return result.recordset.length > 0 ? result.recordset[0].userId : null;
+        }, 'getScheduleOwner');
+    }
+
     /**
      * Get schedule details
      */
     async getScheduleDetails(scheduleId) {
         return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
             const result = await pool.request()
                 .input('scheduleId', sql.Int, scheduleId)
                 .query(`
-                    SELECT 
-                        id as scheduleId,
-                        userId,
-                        coursesJson,
-                        totalCredits,
-                        createdAt,
-                        updatedAt
+                    SELECT ${SCHEDULE_COLUMNS}
                     FROM Schedules
                     WHERE id = @scheduleId
                 `);
@@ -332,13 +948,10 @@ class ScheduleService {
                 return { success: false, error: 'Schedule not found' };
             }
 
-            const schedule = result.recordset[0];
+            const [schedule] = await this.attachCourses(pool, result.recordset);
             return {
                 success: true,
-                schedule: {
-                    ...schedule,
-                    courses: JSON.parse(schedule.coursesJson || '[]')
-                }
+                schedule
             };
         }, 'getScheduleDetails');
     }
@@ -348,8 +961,11 @@ class ScheduleService {
      */
     async deleteSchedule(scheduleId, userIdentifier) {
         return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
             const email = userIdentifier.includes('@') ? userIdentifier : null;
             
+            // ScheduleDetails rows go with the schedule (ON DELETE CASCADE)
             const result = await pool.request()
                 .input('scheduleId', sql.Int, scheduleId)
                 .input('userId', sql.NVarChar, email)
@@ -365,32 +981,567 @@ class ScheduleService {
         }, 'deleteSchedule');
     }
 
+    /**
+     * Rename a schedule or change its description/color
+     * Only the fields present in `changes` are written
+     * @param {Object} changes - { scheduleName?, description?, color? }
+     */
+    async updateScheduleInfo(scheduleId, userIdentifier, changes) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const fields = Object.keys(SCHEDULE_INFO_FIELDS).filter(field => changes[field] !== undefined);
+
+            const request = pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .input('userId', sql.NVarChar, email);
+            fields.forEach(field => {
+                const value = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+                request.input(field, SCHEDULE_INFO_FIELDS[field], value || null);
+            });
+
+            const result = await request.query(`
+                UPDATE Schedules
+                SET ${fields.map(field => `${field} = @${field}`).join(', ')},
+                    updatedAt = GETDATE()
+                OUTPUT INSERTED.id as scheduleId, INSERTED.scheduleName, INSERTED.description,
+                    INSERTED.color, INSERTED.updatedAt
+                WHERE id = @scheduleId AND userId = @userId
+            `);
+
+            if (result.recordset.length === 0) {
+                return { success: false, error: 'Schedule not found' };
+            }
+
+            return {
+                success: true,
+                message: 'Đã cập nhật thời khóa biểu',
+                data: result.recordset[0]
+            };
+        }, 'updateScheduleInfo');
+    }
+
+    /**
+     * Clone a schedule (courses included) under a new name
+     * @param {string} scheduleName - Defaults to "<original> (bản sao)"
+     */
+    async duplicateSchedule(scheduleId, userIdentifier, scheduleName = null) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            let copyId;
+            try {
+                const copy = await new sql.Request(transaction)
+                    .input('scheduleId', sql.Int, scheduleId)
+                    .input('userId', sql.NVarChar, email)
+                    .input('scheduleName', sql.NVarChar(255), scheduleName ? scheduleName.trim() : null)
+                    .query(`
+                        INSERT INTO Schedules (
+                            userId, scheduleName, description, color, coursesJson,
+                            totalCredits, semesterCode, createdAt, updatedAt
+                        )
+                        OUTPUT INSERTED.id
+                        SELECT
+                            userId,
+                            ISNULL(@scheduleName, LEFT(ISNULL(scheduleName, N'Thời khóa biểu') + N' (bản sao)', 255)),
+                            description, color, coursesJson,
+                            totalCredits, semesterCode, GETDATE(), GETDATE()
+                        FROM Schedules
+                        WHERE id = @scheduleId AND userId = @userId
+                    `);
+
+                if (copy.recordset.length === 0) {
+                    await transaction.rollback();
+                    return { success: false, error: 'Schedule not found' };
+                }
+
+                copyId = copy.recordset[0].id;
+                await new sql.Request(transaction)
+                    .input('scheduleId', sql.Int, scheduleId)
+                    .input('copyId', sql.Int, copyId)
+                    .query(`
+                        INSERT INTO ScheduleDetails (ScheduleId, CourseId)
+                        SELECT @copyId, CourseId
+                        FROM ScheduleDetails
+                        WHERE ScheduleId = @scheduleId
+                        ORDER BY DetailId
+                    `);
+
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
+
+            const result = await pool.request()
+                .input('scheduleId', sql.Int, copyId)
+                .query(`SELECT ${SCHEDULE_COLUMNS} FROM Schedules WHERE id = @scheduleId`);
+            const [schedule] = await this.attachCourses(pool, result.recordset);
+
+            console.log('[duplicateSchedule] Copied schedule', scheduleId, '->', copyId);
+            return {
+                success: true,
+                message: 'Đã sao chép thời khóa biểu',
+                data: schedule
+            };
+        }, 'duplicateSchedule');
+    }
+
     /**
      * Update a schedule
+     * @param {Object} options - { strict = true }, see createSchedule
      */
-    async updateSchedule(scheduleId, userIdentifier, courses) {
+    async updateSchedule(scheduleId, userIdentifier, courses, options = {}) {
         return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+
+            const check = await this.checkScheduleCourses(pool, courses, email, options.strict !== false);
+            if (!check.success) {
+                return check;
+            }
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            let updated;
+            let version = null;
+            try {
+                version = await this.saveScheduleVersion(transaction, scheduleId, email, check.courses);
+
+                // Unmigrated legacy entries survive the update; fully legacy schedules (no
+                // ScheduleDetails yet) showed their JSON as the course list, which is now replaced
+                const current = await new sql.Request(transaction)
+                    .input('scheduleId', sql.Int, scheduleId)
+                    .query(`
+                        SELECT s.coursesJson,
+                            CASE WHEN EXISTS (SELECT 1 FROM ScheduleDetails d WHERE d.ScheduleId = s.id)
+                                THEN 1 ELSE 0 END as migrated
+                        FROM Schedules s
+                        WHERE s.id = @scheduleId
+                    `);
+                const row = current.recordset[0];
+                const unmigrated = row && row.migrated
+                    ? this.getUnmigratedCourses(row.coursesJson, check.courses)
+                    : [];
+
+                const result = await new sql.Request(transaction)
+                    .input('scheduleId', sql.Int, scheduleId)
+                    .input('userId', sql.NVarChar, email)
+                    .input('totalCredits', sql.Int, check.totalCredits)
+                    .input('coursesJson', sql.NVarChar(sql.MAX), unmigrated.length > 0 ? JSON.stringify(unmigrated) : null)
+                    .query(`
+                        UPDATE Schedules 
+                        SET coursesJson = @coursesJson,
+                            totalCredits = @totalCredits,
+                            updatedAt = GETDATE()
+                        WHERE id = @scheduleId AND userId = @userId
+                    `);
+
+                updated = result.rowsAffected[0] > 0;
+                if (updated) {
+                    await this.saveScheduleCourses(transaction, scheduleId, check.courses);
+                }
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
+
+            return {
+                success: updated,
+                message: updated ? 'Đã cập nhật thời khóa biểu' : 'Không tìm thấy thời khóa biểu',
+                totalCredits: check.totalCredits,
+                previousVersion: version,
+                warnings: check.warnings,
+                corrections: check.corrections
+            };
+        }, 'updateSchedule');
+    }
+
+    // =========================================
+    // BOOKMARKS AND PRIMARY SCHEDULE
+    // =========================================
+
+    /**
+     * Star or unstar a schedule
+     */
+    async setBookmark(scheduleId, userIdentifier, bookmarked) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
             const email = userIdentifier.includes('@') ? userIdentifier : null;
-            const totalCredits = courses.reduce((sum, course) => sum + (course.credits || 0), 0);
-            
             const result = await pool.request()
                 .input('scheduleId', sql.Int, scheduleId)
                 .input('userId', sql.NVarChar, email)
-                .input('coursesJson', sql.NVarChar, JSON.stringify(courses))
-                .input('totalCredits', sql.Int, totalCredits)
+                .input('bookmarked', sql.Bit, bookmarked)
                 .query(`
-                    UPDATE Schedules 
-                    SET coursesJson = @coursesJson, 
-                        totalCredits = @totalCredits,
-                        updatedAt = GETDATE()
+                    UPDATE Schedules SET isBookmarked = @bookmarked
                     WHERE id = @scheduleId AND userId = @userId
                 `);
 
+            const found = result.rowsAffected[0] > 0;
+            return {
+                success: found,
+                message: !found ? 'Không tìm thấy thời khóa biểu'
+                    : bookmarked ? 'Đã đánh dấu thời khóa biểu' : 'Đã bỏ đánh dấu thời khóa biểu',
+                data: found ? { scheduleId, isBookmarked: bookmarked } : null
+            };
+        }, 'setBookmark');
+    }
+
+    /**
+     * Make a schedule the user's primary one for its semester, replacing the previous primary,
+     * or clear the designation (isPrimary = false)
+     */
+    async setPrimarySchedule(scheduleId, userIdentifier, isPrimary = true) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const owned = await pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .input('userId', sql.NVarChar, email)
+                .query('SELECT semesterCode FROM Schedules WHERE id = @scheduleId AND userId = @userId');
+
+            if (owned.recordset.length === 0) {
+                return { success: false, error: 'Schedule not found' };
+            }
+
+            const { semesterCode } = owned.recordset[0];
+            if (isPrimary && !semesterCode) {
+                return { success: false, code: 'NO_SEMESTER', error: 'Only a schedule with a semester can be primary' };
+            }
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            let previousPrimaryId = null;
+            try {
+                if (isPrimary) {
+                    previousPrimaryId = await this.markPrimary(transaction, scheduleId, email, semesterCode);
+                } else {
+                    await new sql.Request(transaction)
+                        .input('scheduleId', sql.Int, scheduleId)
+                        .query('UPDATE Schedules SET isPrimary = 0 WHERE id = @scheduleId');
+                }
+
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
+
+            console.log('[setPrimarySchedule]', isPrimary ? 'Primary' : 'Not primary', scheduleId, 'for', semesterCode);
+            return {
+                success: true,
+                message: isPrimary ? 'Đã đặt làm thời khóa biểu chính' : 'Đã bỏ thời khóa biểu chính',
+                data: { scheduleId, semesterCode, isPrimary, previousPrimaryId }
+            };
+        }, 'setPrimarySchedule');
+    }
+
+    /**
+     * Make a schedule primary inside a transaction, clearing the user's other primary
+     * schedule of the semester
+     * @returns {Promise<number|null>} - The schedule that was primary before, if any
+     */
+    async markPrimary(transaction, scheduleId, email, semesterCode) {
+        const cleared = await new sql.Request(transaction)
+            .input('scheduleId', sql.Int, scheduleId)
+            .input('userId', sql.NVarChar, email)
+            .input('semesterCode', sql.NVarChar(20), semesterCode)
+            .query(`
+                UPDATE Schedules SET isPrimary = 0
+                OUTPUT INSERTED.id
+                WHERE userId = @userId AND semesterCode = @semesterCode
+                    AND isPrimary = 1 AND id <> @scheduleId;
+
+                UPDATE Schedules SET isPrimary = 1 WHERE id = @scheduleId;
+            `);
+
+        return cleared.recordset.length > 0 ? cleared.recordset[0].id : null;
+    }
+
+    /**
+     * The user's primary schedule of a semester, with courses, or null
+     */
+    async getPrimarySchedule(userIdentifier, semesterCode) {
+        const { schedules } = await this.getUserSchedules(userIdentifier, { semesterCode, primary: true });
+        return schedules && schedules.length > 0 ? schedules[0] : null;
+    }
+
+    // =========================================
+    // VERSION HISTORY
+    // =========================================
+
+    /**
+     * Keep the current course list of a schedule as its next version before it is replaced
+     * Nothing is stored when the course list does not change
+     * @returns {number|null} - Version number written
+     */
+    async saveScheduleVersion(transaction, scheduleId, email, nextCourses) {
+        const current = await new sql.Request(transaction)
+            .input('scheduleId', sql.Int, scheduleId)
+            .input('userId', sql.NVarChar, email)
+            .query(`
+                SELECT d.CourseId as courseId, c.Name as courseName, s.totalCredits
+                FROM Schedules s
+                JOIN ScheduleDetails d ON d.ScheduleId = s.id
+                JOIN Courses c ON c.ID = d.CourseId
+                WHERE s.id = @scheduleId AND s.userId = @userId
+                ORDER BY d.DetailId
+            `);
+
+        const courses = current.recordset.map(({ courseId, courseName }) => ({ courseId, courseName }));
+        const unchanged = courses.length === nextCourses.length &&
+            courses.every((course, index) => course.courseId === nextCourses[index].courseId);
+        if (courses.length === 0 || unchanged) return null;
+
+        const result = await new sql.Request(transaction)
+            .input('scheduleId', sql.Int, scheduleId)
+            .input('coursesJson', sql.NVarChar(sql.MAX), JSON.stringify(courses))
+            .input('totalCredits', sql.Int, current.recordset[0].totalCredits)
+            .query(`
+                INSERT INTO ScheduleVersions (ScheduleId, VersionNumber, CoursesJson, TotalCredits, CreatedAt)
+                OUTPUT INSERTED.VersionNumber as versionNumber
+                SELECT @scheduleId, ISNULL(MAX(VersionNumber), 0) + 1, @coursesJson, @totalCredits, GETDATE()
+                FROM ScheduleVersions WITH (UPDLOCK, HOLDLOCK)
+                WHERE ScheduleId = @scheduleId
+            `);
+
+        return result.recordset[0].versionNumber;
+    }
+
+    /**
+     * Earlier versions of a schedule, newest first
+     * Each version lists what the update that replaced it added and removed
+     */
+    async getScheduleVersions(scheduleId, userIdentifier) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const owned = await pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .input('userId', sql.NVarChar, email)
+                .query(`SELECT ${SCHEDULE_COLUMNS} FROM Schedules WHERE id = @scheduleId AND userId = @userId`);
+
+            if (owned.recordset.length === 0) {
+                return { success: false, error: 'Schedule not found' };
+            }
+
+            const [schedule] = await this.attachCourses(pool, owned.recordset);
+            const result = await pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .query(`
+                    SELECT VersionNumber as versionNumber, CoursesJson as coursesJson,
+                           TotalCredits as totalCredits, CreatedAt as createdAt
+                    FROM ScheduleVersions
+                    WHERE ScheduleId = @scheduleId
+                    ORDER BY VersionNumber DESC
+                `);
+
+            let replacedBy = schedule.courses;
+            const versions = result.recordset.map(({ coursesJson, ...version }) => {
+                const courses = JSON.parse(coursesJson);
+                const summary = this.summarizeVersionChange(courses, replacedBy);
+                replacedBy = courses;
+
+                return { ...version, courseCount: courses.length, courses, ...summary };
+            });
+
+            return { success: true, currentUpdatedAt: schedule.updatedAt, versions };
+        }, 'getScheduleVersions');
+    }
+
+    /**
+     * Put an earlier course list back; the current one is kept as a new version,
+     * so a restore can itself be undone
+     * @param {Object} options - { strict = true }, see createSchedule
+     */
+    async restoreScheduleVersion(scheduleId, userIdentifier, versionNumber, options = {}) {
+        const snapshot = await this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const result = await pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .input('userId', sql.NVarChar, email)
+                .input('versionNumber', sql.Int, versionNumber)
+                .query(`
+                    SELECT v.CoursesJson as coursesJson
+                    FROM ScheduleVersions v
+                    JOIN Schedules s ON s.id = v.ScheduleId
+                    WHERE v.ScheduleId = @scheduleId AND s.userId = @userId AND v.VersionNumber = @versionNumber
+                `);
+
+            return result.recordset[0] || null;
+        }, 'restoreScheduleVersion');
+
+        if (!snapshot) {
+            return { success: false, message: 'Không tìm thấy phiên bản' };
+        }
+
+        const courses = JSON.parse(snapshot.coursesJson).map(course => ({ courseId: course.courseId }));
+        const result = await this.updateSchedule(scheduleId, userIdentifier, courses, options);
+
+        return { ...result, restoredVersion: versionNumber };
+    }
+
+    /**
+     * Courses added and removed going from one course list to the next
+     */
+    summarizeVersionChange(before, after) {
+        const beforeIds = new Set(before.map(course => course.courseId));
+        const afterIds = new Set(after.map(course => course.courseId));
+        const added = after.filter(course => !beforeIds.has(course.courseId));
+        const removed = before.filter(course => !afterIds.has(course.courseId));
+
+        const parts = [];
+        if (added.length > 0) parts.push(`Thêm ${added.map(course => course.courseName).join(', ')}`);
+        if (removed.length > 0) parts.push(`Bỏ ${removed.map(course => course.courseName).join(', ')}`);
+
+        return {
+            added: added.map(({ courseId, courseName }) => ({ courseId, courseName })),
+            removed: removed.map(({ courseId, courseName }) => ({ courseId, courseName })),
+            changeSummary: parts.length > 0 ? parts.join('; ') : 'Sắp xếp lại môn học'
+        };
+    }
+
+    // =========================================
+    // SHARE LINKS
+    // =========================================
+
+    /**
+     * Create a read-only share link for one of the user's schedules
+     * The token is only returned here; the database keeps its hash
+     * @param {Date|null} expiresAt - null for a link that stays valid until revoked
+     */
+    async createShareLink(scheduleId, userIdentifier, expiresAt = null) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const token = crypto.randomBytes(32).toString('base64url');
+
+            const result = await pool.request()
+                .input('scheduleId', sql.Int, scheduleId)
+                .input('userId', sql.NVarChar, email)
+                .input('tokenHash', sql.Char(64), this.hashShareToken(token))
+                .input('expiresAt', sql.DateTime, expiresAt)
+                .query(`
+                    INSERT INTO ScheduleShareLinks (ScheduleId, UserId, TokenHash, CreatedAt, ExpiresAt)
+                    OUTPUT INSERTED.ShareLinkId as shareId, INSERTED.CreatedAt as createdAt, INSERTED.ExpiresAt as expiresAt
+                    SELECT id, userId, @tokenHash, GETDATE(), @expiresAt
+                    FROM Schedules
+                    WHERE id = @scheduleId AND userId = @userId
+                `);
+
+            if (result.recordset.length === 0) {
+                return { success: false, error: 'Schedule not found' };
+            }
+
+            console.log('[createShareLink] Shared schedule', scheduleId, 'link', result.recordset[0].shareId);
+            return {
+                success: true,
+                data: { ...result.recordset[0], scheduleId, token }
+            };
+        }, 'createShareLink');
+    }
+
+    /**
+     * Schedule behind an active (not revoked, not expired) share token, without owner fields
+     */
+    async getSharedSchedule(token) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const result = await pool.request()
+                .input('tokenHash', sql.Char(64), this.hashShareToken(token))
+                .query(`
+                    UPDATE ScheduleShareLinks
+                    SET LastViewedAt = GETDATE(), ViewCount = ViewCount + 1
+                    WHERE TokenHash = @tokenHash
+                        AND RevokedAt IS NULL
+                        AND (ExpiresAt IS NULL OR ExpiresAt > GETDATE());
+
+                    SELECT ${SHARED_SCHEDULE_COLUMNS}, l.ExpiresAt as expiresAt,
+                        l.ScheduleId as scheduleId -- only to load the courses, removed below
+                    FROM ScheduleShareLinks l
+                    JOIN Schedules s ON s.id = l.ScheduleId
+                    WHERE l.TokenHash = @tokenHash
+                        AND l.RevokedAt IS NULL
+                        AND (l.ExpiresAt IS NULL OR l.ExpiresAt > GETDATE())
+                `);
+
+            if (result.recordset.length === 0) {
+                return { success: false, error: 'Share link not found or expired' };
+            }
+
+            const [{ scheduleId, coursesJson, unmigratedCourses, ...schedule }] = await this.attachCourses(pool, result.recordset);
+            return { success: true, schedule };
+        }, 'getSharedSchedule');
+    }
+
+    /**
+     * Active share links of a user, optionally of one schedule
+     */
+    async getShareLinks(userIdentifier, scheduleId = null) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const result = await pool.request()
+                .input('userId', sql.NVarChar, email)
+                .input('scheduleId', sql.Int, scheduleId)
+                .query(`
+                    SELECT ${SHARE_LINK_COLUMNS}
+                    FROM ScheduleShareLinks l
+                    JOIN Schedules s ON s.id = l.ScheduleId
+                    WHERE l.UserId = @userId
+                        AND (@scheduleId IS NULL OR l.ScheduleId = @scheduleId)
+                        AND l.RevokedAt IS NULL
+                        AND (l.ExpiresAt IS NULL OR l.ExpiresAt > GETDATE())
+                    ORDER BY l.CreatedAt DESC
+                `);
+
+            return { success: true, links: result.recordset };
+        }, 'getShareLinks');
+    }
+
+    /**
+     * Revoke one of the user's share links
+     */
+    async revokeShareLink(shareId, userIdentifier) {
+        return this.executeWithRetry(async (pool) => {
+            await this.ensureSchema(pool);
+
+            const email = userIdentifier.includes('@') ? userIdentifier : null;
+            const result = await pool.request()
+                .input('shareId', sql.Int, shareId)
+                .input('userId', sql.NVarChar, email)
+                .query(`
+                    UPDATE ScheduleShareLinks
+                    SET RevokedAt = GETDATE()
+                    WHERE ShareLinkId = @shareId AND UserId = @userId AND RevokedAt IS NULL
+                `);
+
             return {
                 success: result.rowsAffected[0] > 0,
-                message: result.rowsAffected[0] > 0 ? 'Đã cập nhật thời khóa biểu' : 'Không tìm thấy thời khóa biểu'
+                message: result.rowsAffected[0] > 0 ? 'Đã thu hồi liên kết chia sẻ' : 'Không tìm thấy liên kết chia sẻ'
             };
-        }, 'updateSchedule');
+        }, 'revokeShareLink');
+    }
+
+    hashShareToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
     }
 }
 
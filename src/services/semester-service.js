@@ -0,0 +1,166 @@
+/**
+ * SEMESTER SERVICE
+ * Semester catalog: teaching calendar, holidays and registration windows
+ */
+
+const db = require('../database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SemesterService {
+    /**
+     * Get all semesters, newest first
+     */
+    async getSemesters() {
+        const rows = await db.getSemesters();
+        return rows.map(row => this.formatSemester(row));
+    }
+
+    /**
+     * Get all semesters with isActive and registrationStatus
+     */
+    async getSemestersWithStatus(now = new Date()) {
+        const semesters = await this.getSemesters();
+
+        return semesters.map(semester => ({
+            ...semester,
+            isActive: this.isSemesterActive(semester, now),
+            registrationStatus: this.getRegistrationStatus(semester, now)
+        }));
+    }
+
+    /**
+     * Get one semester by code, null if unknown
+     */
+    async getSemester(semesterCode) {
+        const row = await db.getSemesterByCode(semesterCode);
+        return row ? this.formatSemester(row) : null;
+    }
+
+    /**
+     * Semester in session right now, otherwise the next one to start,
+     * otherwise the most recent one
+     */
+    async getCurrentSemester(now = new Date()) {
+        const semesters = (await this.getSemesters()).filter(s => s.startDate);
+
+        const active = semesters.find(s => this.isSemesterActive(s, now));
+        if (active) return active;
+
+        const upcoming = semesters
+            .filter(s => s.startDate > now)
+            .sort((a, b) => a.startDate - b.startDate)[0];
+
+        return upcoming || semesters[0] || null;
+    }
+
+    /**
+     * Create semester
+     */
+    async createSemester(data) {
+        const existing = await db.getSemesterByCode(data.semesterCode);
+        if (existing) {
+            throw new Error(`Semester ${data.semesterCode} already exists`);
+        }
+
+        const row = await db.createSemester(data);
+        return this.formatSemester(row);
+    }
+
+    /**
+     * Update semester, keeping fields the caller did not send
+     */
+    async updateSemester(semesterCode, data) {
+        const existing = await this.getSemester(semesterCode);
+        if (!existing) {
+            throw new Error('Semester not found');
+        }
+
+        const row = await db.updateSemester(semesterCode, { ...existing, ...data });
+        return this.formatSemester(row);
+    }
+
+    /**
+     * Delete semester that no course belongs to
+     */
+    async deleteSemester(semesterCode) {
+        const result = await db.deleteSemester(semesterCode);
+
+        if (result.courseCount > 0) {
+            throw new Error(`Semester still has ${result.courseCount} courses`);
+        }
+        if (!result.deleted) {
+            throw new Error('Semester not found');
+        }
+
+        return { semesterCode, deleted: true };
+    }
+
+    // Helper Methods
+
+    /**
+     * Map a database row to the API shape, deriving endDate from the teaching weeks
+     */
+    formatSemester(row) {
+        const startDate = row.startDate ? new Date(row.startDate) : null;
+
+        return {
+            semesterCode: row.semesterCode,
+            semesterName: row.semesterName,
+            startDate,
+            endDate: this.getEndDate(startDate, row.teachingWeeks),
+            teachingWeeks: row.teachingWeeks,
+            holidays: this.parseHolidays(row.holidaysJson),
+            registrationStartDate: row.registrationStartDate ? new Date(row.registrationStartDate) : null,
+            registrationEndDate: row.registrationEndDate ? new Date(row.registrationEndDate) : null,
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt
+        };
+    }
+
+    /**
+     * Check if semester is currently in session
+     */
+    isSemesterActive(semester, now = new Date()) {
+        if (!semester.startDate || !semester.endDate) return false;
+        return semester.startDate <= now && now <= semester.endDate;
+    }
+
+    /**
+     * Get semester registration status
+     */
+    getRegistrationStatus(semester, now = new Date()) {
+        if (!semester.registrationStartDate || !semester.registrationEndDate) {
+            return 'unscheduled';
+        }
+
+        if (now < semester.registrationStartDate) {
+            return 'not_open';
+        } else if (now <= semester.registrationEndDate) {
+            return 'open';
+        } else {
+            return 'closed';
+        }
+    }
+
+    /**
+     * Last instant of the final teaching week
+     */
+    getEndDate(startDate, teachingWeeks) {
+        if (!startDate || !teachingWeeks) return null;
+        return new Date(startDate.getTime() + teachingWeeks * 7 * DAY_MS - 1);
+    }
+
+    /**
+     * Holidays are stored as JSON: [{ date, endDate?, name }]
+     */
+    parseHolidays(holidaysJson) {
+        try {
+            return JSON.parse(holidaysJson || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+module.exports = { SemesterService };
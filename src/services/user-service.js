@@ -5,6 +5,7 @@
 
 const { DatabaseService } = require('./database-service');
 const { SystemLogger } = require('../utils/logger');
+const { findScheduleOverlap, describeOverlap } = require('../utils/conflict-detector');
 
 class UserService {
     constructor() {
@@ -313,12 +314,15 @@ class UserService {
 
                 const enrolledCourse = await this.db.getCourseDetails(enrollment.courseID);
 
-                // Check time slot conflicts
-                if (this.hasTimeConflict(newCourse.schedule, enrolledCourse.schedule)) {
+                // Check time slot conflicts in the weeks both courses run
+                const overlap = findScheduleOverlap(newCourse.schedule, enrolledCourse.schedule);
+                if (overlap) {
                     conflicts.push({
                         conflictType: 'time',
                         conflictWith: enrolledCourse,
-                        details: 'Time slot overlap detected'
+                        details: describeOverlap(overlap),
+                        dayNumber: overlap.dayNumber,
+                        overlappingWeeks: overlap.overlappingWeeks
                     });
                 }
             }
@@ -331,24 +335,6 @@ class UserService {
         }
     }
 
-    /**
-     * Check if two schedules have time conflicts
-     */
-    hasTimeConflict(schedule1, schedule2) {
-        // Check if same day of week
-        if (schedule1.timeSlot.dayNumber !== schedule2.timeSlot.dayNumber) {
-            return false;
-        }
-
-        // Check time overlap
-        const start1 = this.parseTime(schedule1.timeSlot.startTime);
-        const end1 = this.parseTime(schedule1.timeSlot.endTime);
-        const start2 = this.parseTime(schedule2.timeSlot.startTime);
-        const end2 = this.parseTime(schedule2.timeSlot.endTime);
-
-        return (start1 < end2 && start2 < end1);
-    }
-
     /**
      * Parse time string to minutes
      */
@@ -0,0 +1,28 @@
+/**
+ * ADMIN KEY HELPER
+ * Shared-secret check for administrative endpoints (X-Admin-Key header)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check a provided key against ADMIN_API_KEY
+ * @param {string} providedKey - Value of the X-Admin-Key header
+ * @returns {boolean} - false when no key is configured, so admin routes stay closed by default
+ */
+function isValidAdminKey(providedKey) {
+    const expectedKey = process.env.ADMIN_API_KEY;
+
+    if (!expectedKey || typeof providedKey !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(expectedKey);
+    const provided = Buffer.from(providedKey);
+
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+    isValidAdminKey
+};
@@ -0,0 +1,226 @@
+/**
+ * AUTH MIDDLEWARE
+ * Bearer access-token check and role guards shared by the Express server and the Azure Functions
+ *
+ * Besides the signature and expiry, every request checks that the token's session is still
+ * open in UserSessions, so signing out a device (or revoking a refresh token family) cuts
+ * off its access token at once instead of when it expires. The role is read from Users on
+ * the same lookup, so role changes apply immediately rather than through the token's claim.
+ */
+
+const { verifyAccessToken } = require('./auth-token-helper');
+const { isValidAdminKey } = require('./admin-key-helper');
+const { ROLES, PERMISSIONS, normalizeRole, hasPermission } = require('./permission-helper');
+const { ResponseHelper } = require('./response-helper');
+const { getCorsHeaders } = require('./cors-helper');
+const { DatabaseService } = require('../services/database-service');
+
+const response = new ResponseHelper();
+const db = new DatabaseService();
+
+/**
+ * User claims of an Authorization header's access token (signature and expiry only)
+ * @param {string} authorizationHeader - "Bearer <access token>"
+ * @returns {{ email: string, name: string|null, role: string, studentId: string|null, sessionId: number }|null}
+ */
+function authenticateRequest(authorizationHeader) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorizationHeader || '');
+    const claims = match ? verifyAccessToken(match[1]) : null;
+
+    if (!claims || !claims.email) {
+        return null;
+    }
+
+    return {
+        email: claims.email,
+        name: claims.name || null,
+        role: normalizeRole(claims.role) || ROLES.STUDENT,
+        studentId: claims.studentId || null,
+        sessionId: claims.sid
+    };
+}
+
+/**
+ * Signed-in user of an Authorization header whose session is still open, with the user's current role
+ * @returns {Promise<Object|null>} - Like authenticateRequest; null for a revoked or expired session
+ * @throws when the session store cannot be reached
+ */
+async function authenticateSession(authorizationHeader) {
+    const user = authenticateRequest(authorizationHeader);
+
+    if (!user || !Number.isInteger(user.sessionId)) {
+        return null;
+    }
+
+    const session = await db.getOpenSession(user.sessionId);
+    if (!session || session.userID.toLowerCase() !== user.email.toLowerCase()) {
+        return null;
+    }
+
+    return { ...user, role: normalizeRole(session.currentRole) || ROLES.STUDENT };
+}
+
+/**
+ * The user a request may act as: the signed-in user, or the userId it names when
+ * that is the same account (schedules keep the email spelling they were saved with)
+ * @returns {string|null} - null when the request names somebody else
+ */
+function resolveUserId(user, requestedUserId) {
+    if (!requestedUserId) {
+        return user.email;
+    }
+
+    const requested = String(requestedUserId).trim();
+    return requested.toLowerCase() === user.email.toLowerCase() ? requested : null;
+}
+
+/**
+ * Like resolveUserId, but users who may view any student's schedules (advisors, admins)
+ * get the userId they name - for read-only routes
+ */
+function resolveReadableUserId(user, requestedUserId) {
+    if (requestedUserId && hasPermission(user, PERMISSIONS.VIEW_ANY_SCHEDULE)) {
+        return String(requestedUserId).trim();
+    }
+    return resolveUserId(user, requestedUserId);
+}
+
+/**
+ * Whether a request may use a capability: a signed-in user whose role grants it, or the
+ * X-Admin-Key shared secret (scripts and deployment jobs), which grants every capability
+ * @returns {Promise<{ status: 200, user: Object|null } | { status: 401 } | { status: 403 }>}
+ *          user is null when the admin key was used
+ */
+async function authorize(authorizationHeader, adminKeyHeader, permission) {
+    if (isValidAdminKey(adminKeyHeader)) {
+        return { status: 200, user: null };
+    }
+
+    const user = await authenticateSession(authorizationHeader);
+    if (!user) {
+        return { status: 401 };
+    }
+
+    return hasPermission(user, permission) ? { status: 200, user } : { status: 403 };
+}
+
+/**
+ * Express middleware: 401 unless a valid access token of an open session is sent; sets req.user
+ */
+async function requireAuth(req, res, next) {
+    let user;
+    try {
+        user = await authenticateSession(req.get('authorization'));
+    } catch (error) {
+        console.error('[Auth] Could not check session:', error.message);
+        return res.status(503).json({ success: false, error: 'Could not verify session' });
+    }
+
+    if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+}
+
+/**
+ * Express middleware factory: 401/403 unless the caller holds the permission; sets req.user
+ * (null when the admin key was used)
+ */
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await authorize(req.get('authorization'), req.get('x-admin-key'), permission);
+        } catch (error) {
+            console.error('[Auth] Could not check session:', error.message);
+            return res.status(503).json({ success: false, error: 'Could not verify session' });
+        }
+
+        if (result.status === 401) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        if (result.status === 403) {
+            return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+        }
+
+        req.user = result.user;
+        next();
+    };
+}
+
+/**
+ * Functions response for a failed check, with CORS headers
+ */
+function deniedResponse(denied) {
+    return { ...denied, headers: { ...denied.headers, ...getCorsHeaders() } };
+}
+
+/**
+ * Azure Functions wrapper: 401 unless a valid access token of an open session is sent
+ * The handler receives the signed-in user as a third argument; preflight requests pass through
+ * @param {Function} handler - async (request, context, user) => response
+ */
+function withAuth(handler) {
+    return async (request, context) => {
+        if (request.method === 'OPTIONS') {
+            return handler(request, context, null);
+        }
+
+        let user;
+        try {
+            user = await authenticateSession(request.headers.get('authorization'));
+        } catch (error) {
+            context.log.error('Session check failed:', error.message);
+            return deniedResponse(response.serviceUnavailable('Could not verify session'));
+        }
+
+        if (!user) {
+            return deniedResponse(response.unauthorized('Authentication required'));
+        }
+
+        return handler(request, context, user);
+    };
+}
+
+/**
+ * Azure Functions wrapper: 401/403 unless the caller holds the permission
+ * The handler receives the user as a third argument (null when the admin key was used)
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Function} handler - async (request, context, user) => response
+ */
+function withPermission(permission, handler) {
+    return async (request, context) => {
+        if (request.method === 'OPTIONS') {
+            return handler(request, context, null);
+        }
+
+        let result;
+        try {
+            result = await authorize(request.headers.get('authorization'), request.headers.get('x-admin-key'), permission);
+        } catch (error) {
+            context.log.error('Session check failed:', error.message);
+            return deniedResponse(response.serviceUnavailable('Could not verify session'));
+        }
+
+        if (result.status !== 200) {
+            return deniedResponse(result.status === 401
+                ? response.unauthorized('Authentication required')
+                : response.forbidden('You do not have permission to do this'));
+        }
+
+        return handler(request, context, result.user);
+    };
+}
+
+module.exports = {
+    authenticateRequest,
+    authenticateSession,
+    resolveUserId,
+    resolveReadableUserId,
+    requireAuth,
+    requirePermission,
+    withAuth,
+    withPermission
+};
@@ -0,0 +1,124 @@
+/**
+ * AUTH TOKEN HELPER
+ * Signed access tokens (JWT, HS256) and opaque refresh tokens for API sessions
+ *
+ * Access tokens are short-lived and name their session (sid), which the auth middleware
+ * checks is still open; refresh tokens are random and only their SHA-256 hash is stored.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_ISSUER = 'student-scheduler-api';
+
+let devSecret = null;
+
+/**
+ * Signing secret from AUTH_TOKEN_SECRET. Outside production a random per-process
+ * secret is used when none is set (tokens then die with the process)
+ */
+function getSecret() {
+    const secret = process.env.AUTH_TOKEN_SECRET;
+    if (secret) return secret;
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('AUTH_TOKEN_SECRET is not configured');
+    }
+
+    if (!devSecret) {
+        console.warn('[Auth] AUTH_TOKEN_SECRET is not set, using a temporary secret');
+        devSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return devSecret;
+}
+
+/**
+ * Token lifetimes: ACCESS_TOKEN_TTL_SECONDS (default 15 minutes), REFRESH_TOKEN_TTL_DAYS (default 30)
+ */
+function getTokenLifetimes() {
+    const accessSeconds = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10);
+    const refreshDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+
+    return {
+        accessTokenSeconds: accessSeconds > 0 ? accessSeconds : 15 * 60,
+        refreshTokenSeconds: (refreshDays > 0 ? refreshDays : 30) * 24 * 60 * 60
+    };
+}
+
+const encodeSegment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(data) {
+    return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Sign an access token
+ * @param {Object} claims - { sub, email, name, role, sid, jti? } - jti is generated when omitted
+ * @returns {{ token: string, tokenId: string, expiresIn: number }}
+ */
+function signAccessToken(claims) {
+    const { accessTokenSeconds } = getTokenLifetimes();
+    const now = Math.floor(Date.now() / 1000);
+    const tokenId = claims.jti || crypto.randomBytes(16).toString('hex');
+
+    const payload = {
+        ...claims,
+        iss: TOKEN_ISSUER,
+        jti: tokenId,
+        iat: now,
+        exp: now + accessTokenSeconds
+    };
+    const data = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(payload)}`;
+
+    return { token: `${data}.${sign(data)}`, tokenId, expiresIn: accessTokenSeconds };
+}
+
+/**
+ * Verify an access token's signature, issuer and expiry
+ * @returns {Object|null} - The claims, or null when the token is not valid
+ */
+function verifyAccessToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const provided = Buffer.from(parts[2]);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    try {
+        const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+
+        if (header.alg !== 'HS256' || payload.iss !== TOKEN_ISSUER) return null;
+        if (!Number.isFinite(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Random opaque token (refresh tokens)
+ */
+function generateOpaqueToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * SHA-256 hex digest - what the database stores instead of a token
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+    getTokenLifetimes,
+    signAccessToken,
+    verifyAccessToken,
+    generateOpaqueToken,
+    hashToken
+};
@@ -0,0 +1,171 @@
+/**
+ * CONFLICT DETECTOR
+ * Week-aware time conflict checks shared by schedule save, enrollment and generation
+ *
+ * Two meetings only clash when they share a day, their periods/clock times overlap
+ * and they run in at least one common week ("1-8" never clashes with "9-15").
+ */
+
+const {
+    DAY_LABELS,
+    parseCourseMeeting,
+    parseWeeksString,
+    intersectWeeks,
+    formatWeeks,
+    meetingToSchedule
+} = require('./course-meeting-parser');
+
+/**
+ * Resolve the `schedule` shape ({ timeSlot, room, weeksSchedule }) of a course,
+ * from the relational columns, the parsed meeting or the raw Time/Weeks/Room strings
+ * @param {Object} course
+ * @returns {Object|null}
+ */
+function resolveSchedule(course) {
+    if (!course) return null;
+    if (course.schedule?.timeSlot) return course.schedule;
+    if (course.meeting) return meetingToSchedule(course.meeting);
+
+    const hasRawTime = course.time !== undefined || course.Time !== undefined;
+    return hasRawTime ? meetingToSchedule(parseCourseMeeting(course).meeting) : null;
+}
+
+/**
+ * Weeks a schedule runs in: arrays pass through, Weeks strings are parsed
+ * @param {number[]|string|null} weeksSchedule
+ * @returns {number[]|null} - null when unknown
+ */
+function toWeekList(weeksSchedule) {
+    if (Array.isArray(weeksSchedule)) {
+        return weeksSchedule.length > 0 ? weeksSchedule : null;
+    }
+    return parseWeeksString(weeksSchedule);
+}
+
+/**
+ * "07:30" -> 450
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Whether two time slots overlap on the same day
+ * Uses clock times when both sides have them, teaching periods otherwise
+ */
+function slotsOverlap(slot1, slot2) {
+    if (!slot1 || !slot2 || slot1.dayNumber !== slot2.dayNumber) {
+        return false;
+    }
+
+    const hasClock = slot => Boolean(slot.startTime && slot.endTime);
+    const hasPeriods = slot => Boolean(slot.startPeriod && slot.endPeriod);
+
+    if (hasClock(slot1) && hasClock(slot2)) {
+        return toMinutes(slot1.startTime) < toMinutes(slot2.endTime) &&
+            toMinutes(slot2.startTime) < toMinutes(slot1.endTime);
+    }
+
+    if (hasPeriods(slot1) && hasPeriods(slot2)) {
+        return slot1.startPeriod <= slot2.endPeriod && slot2.startPeriod <= slot1.endPeriod;
+    }
+
+    return false;
+}
+
+/**
+ * Compare two schedules
+ * @returns {{ dayNumber: number, dayOfWeek: string, overlappingWeeks: number[]|null }|null}
+ *          - null when they never meet at the same time; overlappingWeeks is null
+ *            when either side has no usable week list, so the clash cannot be ruled out
+ */
+function findScheduleOverlap(schedule1, schedule2) {
+    if (!schedule1 || !schedule2 || !slotsOverlap(schedule1.timeSlot, schedule2.timeSlot)) {
+        return null;
+    }
+
+    const weeks1 = toWeekList(schedule1.weeksSchedule);
+    const weeks2 = toWeekList(schedule2.weeksSchedule);
+    const overlappingWeeks = weeks1 && weeks2 ? intersectWeeks(weeks1, weeks2) : null;
+
+    if (overlappingWeeks && overlappingWeeks.length === 0) {
+        return null;
+    }
+
+    const dayNumber = schedule1.timeSlot.dayNumber;
+    return {
+        dayNumber,
+        dayOfWeek: DAY_LABELS[dayNumber] || schedule1.timeSlot.dayOfWeek,
+        overlappingWeeks
+    };
+}
+
+/**
+ * Human readable description of an overlap
+ */
+function describeOverlap(overlap) {
+    const weeks = overlap.overlappingWeeks
+        ? `in weeks ${formatWeeks(overlap.overlappingWeeks)}`
+        : '(week list unknown)';
+
+    return `Time slot conflict on ${overlap.dayOfWeek} ${weeks}`;
+}
+
+/**
+ * Every pair of clashing courses in a list
+ * @param {Array} courses - Courses carrying `schedule`, `meeting` or raw Time/Weeks strings
+ * @returns {Array<{ course1: Object, course2: Object, dayNumber: number, dayOfWeek: string,
+ *                   overlappingWeeks: number[]|null, message: string }>}
+ */
+function findCourseConflicts(courses) {
+    const schedules = courses.map(resolveSchedule);
+    const conflicts = [];
+
+    for (let i = 0; i < courses.length; i++) {
+        for (let j = i + 1; j < courses.length; j++) {
+            const overlap = findScheduleOverlap(schedules[i], schedules[j]);
+            if (!overlap) continue;
+
+            conflicts.push({
+                course1: summarizeCourse(courses[i]),
+                course2: summarizeCourse(courses[j]),
+                ...overlap,
+                message: describeOverlap(overlap)
+            });
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Subject a section belongs to: the course name without its section number and
+ * class-group suffix - "Chương trình dịch (3)" and "Chương trình dịch (1)_TA" -> "chương trình dịch"
+ */
+function getSubjectName(courseName) {
+    const name = (courseName || '').normalize('NFC').trim();
+    const match = name.match(/^(.*?)\s*\(\d+\)(?:_.*)?$/);
+
+    return (match ? match[1] : name).toLowerCase();
+}
+
+/**
+ * Identify a course in a conflict payload without echoing the whole row
+ */
+function summarizeCourse(course) {
+    return {
+        courseId: course.courseId ?? course.courseID ?? course.id ?? course.ID ?? null,
+        courseName: course.courseName ?? course.name ?? course.Name ?? null
+    };
+}
+
+module.exports = {
+    resolveSchedule,
+    toWeekList,
+    slotsOverlap,
+    findScheduleOverlap,
+    describeOverlap,
+    findCourseConflicts,
+    getSubjectName
+};
@@ -0,0 +1,306 @@
+/**
+ * COURSE MEETING PARSER
+ * Turns the free-text Time / Weeks / Room columns of the Courses table
+ * into a structured meeting model shared by every endpoint
+ *
+ * Time:  "Thứ Hai | Tiết 1->3", "Thứ 2 | Tiết 1-3", "Chủ Nhật | Tiết 5"
+ * Weeks: "1-15", "4->16", "4,6->17", "1-7,9-16", "1-15 (lẻ)", "2-16 chẵn"
+ * Room:  "K.A101", "V.A304", "K.Sân bóng rổ 1", "D2-104", "(Chọn)"
+ */
+
+// ISO day numbers (1 = Monday ... 7 = Sunday), matching preference dayNumbers
+const DAY_NUMBERS = {
+    'hai': 1, '2': 1,
+    'ba': 2, '3': 2,
+    'tư': 3, 'tu': 3, '4': 3,
+    'năm': 4, 'nam': 4, '5': 4,
+    'sáu': 5, 'sau': 5, '6': 5,
+    'bảy': 6, 'bay': 6, '7': 6,
+    'chủ nhật': 7, 'chu nhat': 7, 'cn': 7
+};
+
+const DAY_LABELS = {
+    1: 'Thứ Hai',
+    2: 'Thứ Ba',
+    3: 'Thứ Tư',
+    4: 'Thứ Năm',
+    5: 'Thứ Sáu',
+    6: 'Thứ Bảy',
+    7: 'Chủ Nhật'
+};
+
+// Room values the catalog uses for "no room assigned yet"
+const UNASSIGNED_ROOM_PATTERNS = [/^\(?chọn\)?$/i, /^chưa xếp phòng$/i, /^-+$/];
+
+const TIME_PATTERN = /^(?:thứ\s+(\S+)|(chủ\s*nhật|cn))\s*\|\s*tiết\s*(\d+)\s*(?:(?:->|-|–)\s*(\d+))?$/i;
+const WEEK_RANGE_PATTERN = /^(\d+)\s*(?:->|-|–)\s*(\d+)$/;
+
+// "lẻ"/"chẵn" (odd/even weeks only), optionally in parentheses or after "tuần"
+const WEEK_PARITY_PATTERN = /\(?\s*(?:tuần\s+)?(lẻ|le|odd|chẵn|chan|even)\s*\)?/i;
+const ODD_WEEK_WORDS = ['lẻ', 'le', 'odd'];
+
+/**
+ * Parse a Time string such as "Thứ 2 | Tiết 1->3"
+ * @param {string} value - Raw Time column
+ * @returns {{ dayOfWeek: number, startPeriod: number, endPeriod: number } | null}
+ */
+function parseTimeString(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.normalize('NFC').trim().match(TIME_PATTERN);
+    if (!match) return null;
+
+    const dayKey = (match[1] || match[2]).toLowerCase().replace(/\s+/g, ' ');
+    const dayOfWeek = DAY_NUMBERS[dayKey];
+    const startPeriod = parseInt(match[3], 10);
+    const endPeriod = match[4] ? parseInt(match[4], 10) : startPeriod;
+
+    if (!dayOfWeek || startPeriod < 1 || endPeriod < startPeriod) {
+        return null;
+    }
+
+    return { dayOfWeek, startPeriod, endPeriod };
+}
+
+/**
+ * Split an "odd"/"even" marker off a weeks string or segment
+ * @returns {{ text: string, parity: 'odd'|'even'|null }}
+ */
+function extractWeekParity(text) {
+    const match = text.match(WEEK_PARITY_PATTERN);
+    if (!match) return { text: text.trim(), parity: null };
+
+    return {
+        text: text.replace(match[0], '').trim(),
+        parity: ODD_WEEK_WORDS.includes(match[1].toLowerCase()) ? 'odd' : 'even'
+    };
+}
+
+/**
+ * Parse a Weeks string such as "4,6->17" or "1-15 (lẻ)" into a sorted list of week numbers
+ * A trailing parenthesised marker ("1-7,9-15 (lẻ)") applies to every segment,
+ * otherwise a marker only applies to the segment it is written on
+ * @param {string} value - Raw Weeks column
+ * @returns {number[] | null} - null when any segment is malformed
+ */
+function parseWeeksString(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    let text = value.normalize('NFC').trim();
+    let sharedParity = null;
+
+    const trailing = text.match(/\(([^)]*)\)$/);
+    if (trailing && text.includes(',')) {
+        const marker = extractWeekParity(trailing[1]);
+        if (marker.parity && !marker.text) {
+            sharedParity = marker.parity;
+            text = text.slice(0, trailing.index).trim();
+        }
+    }
+
+    const weeks = new Set();
+
+    for (const rawSegment of text.split(',')) {
+        const { text: segment, parity: segmentParity } = extractWeekParity(rawSegment);
+        const parity = segmentParity || sharedParity;
+        const range = segment.match(WEEK_RANGE_PATTERN);
+        let from;
+        let to;
+
+        if (range) {
+            from = parseInt(range[1], 10);
+            to = parseInt(range[2], 10);
+        } else if (/^\d+$/.test(segment)) {
+            from = to = parseInt(segment, 10);
+        } else {
+            return null;
+        }
+
+        if (from < 1 || to < from) return null;
+
+        for (let week = from; week <= to; week++) {
+            if (parity === 'odd' && week % 2 === 0) continue;
+            if (parity === 'even' && week % 2 === 1) continue;
+            weeks.add(week);
+        }
+    }
+
+    return weeks.size > 0 ? [...weeks].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Weeks present in both sorted lists
+ * @param {number[]} weeks1
+ * @param {number[]} weeks2
+ * @returns {number[]}
+ */
+function intersectWeeks(weeks1, weeks2) {
+    const other = new Set(weeks2);
+    return weeks1.filter(week => other.has(week));
+}
+
+/**
+ * Compact display of a week list: [1,2,3,5,7,8] -> "1-3, 5, 7-8"
+ */
+function formatWeeks(weeks) {
+    const parts = [];
+    let start = null;
+    let previous = null;
+
+    for (const week of [...weeks, null]) {
+        if (start !== null && week === previous + 1) {
+            previous = week;
+            continue;
+        }
+        if (start !== null) {
+            parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+        }
+        start = previous = week;
+    }
+
+    return parts.join(', ');
+}
+
+/**
+ * Parse a Room string such as "K.A101" into campus / building / room
+ * @param {string} value - Raw Room column
+ * @returns {{ campusCode: string|null, building: string|null, room: string|null } | null}
+ *          - all-null fields when no room is assigned, null when unrecognised
+ */
+function parseRoomString(value) {
+    const unassigned = { campusCode: null, building: null, room: null };
+
+    if (value === null || value === undefined) return unassigned;
+    if (typeof value !== 'string') return null;
+
+    // Drop trailing notes like "(P. tiếng Hàn)"
+    const cleaned = value.normalize('NFC').replace(/\s*\([^)]*\)\s*$/, '').trim();
+    if (!cleaned || UNASSIGNED_ROOM_PATTERNS.some(p => p.test(value.trim()))) {
+        return unassigned;
+    }
+
+    // "<campus>.<room>" - K.A101, V.A304, K.Sân bóng rổ 1
+    const campusMatch = cleaned.match(/^([A-Z])\.\s*(.+)$/);
+    if (campusMatch) {
+        const room = campusMatch[2].trim();
+        const buildingMatch = room.match(/^([A-Z])\d{2,}$/);
+        return {
+            campusCode: campusMatch[1],
+            building: buildingMatch ? buildingMatch[1] : null,
+            room
+        };
+    }
+
+    // "<building>-<room>" without a campus prefix - D2-104
+    const buildingMatch = cleaned.match(/^([A-Z]+\d*)-(\d+)$/);
+    if (buildingMatch) {
+        return { campusCode: null, building: buildingMatch[1], room: cleaned };
+    }
+
+    return null;
+}
+
+/**
+ * Build the structured meeting for a course row
+ * Accepts both API rows (time/weeks/room) and raw table rows (Time/Weeks/Room)
+ * @param {Object} course - Course row
+ * @returns {{ meeting: Object|null, errors: Array<{field: string, value: *, message: string}> }}
+ */
+function parseCourseMeeting(course) {
+    const rawTime = course.time !== undefined ? course.time : course.Time;
+    const rawWeeks = course.weeks !== undefined ? course.weeks : course.Weeks;
+    const rawRoom = course.room !== undefined ? course.room : course.Room;
+    const errors = [];
+
+    const time = parseTimeString(rawTime);
+    if (!time) {
+        errors.push({ field: 'time', value: rawTime ?? null, message: 'Unrecognised day/period format' });
+    }
+
+    const weeks = parseWeeksString(rawWeeks);
+    if (!weeks) {
+        errors.push({ field: 'weeks', value: rawWeeks ?? null, message: 'Unrecognised week list' });
+    }
+
+    const room = parseRoomString(rawRoom);
+    if (!room) {
+        errors.push({ field: 'room', value: rawRoom ?? null, message: 'Unrecognised room code' });
+    }
+
+    // Without a day and periods there is nothing to place on a timetable
+    if (!time) {
+        return { meeting: null, errors };
+    }
+
+    return {
+        meeting: {
+            dayOfWeek: time.dayOfWeek,
+            startPeriod: time.startPeriod,
+            endPeriod: time.endPeriod,
+            weeks: weeks || [],
+            campusCode: room ? room.campusCode : null,
+            building: room ? room.building : null,
+            room: room ? room.room : null
+        },
+        errors
+    };
+}
+
+/**
+ * Return a copy of the course with `meeting` and `parseErrors` attached
+ * next to the raw strings
+ */
+function attachMeeting(course) {
+    const { meeting, errors } = parseCourseMeeting(course);
+    return { ...course, meeting, parseErrors: errors };
+}
+
+/**
+ * Convert a meeting into the `schedule.timeSlot` shape CourseService works with
+ * @param {Object|null} meeting - Structured meeting
+ * @returns {Object|null}
+ */
+function meetingToTimeSlot(meeting) {
+    if (!meeting) return null;
+
+    return {
+        dayOfWeek: DAY_LABELS[meeting.dayOfWeek],
+        dayNumber: meeting.dayOfWeek,
+        startPeriod: meeting.startPeriod,
+        endPeriod: meeting.endPeriod,
+        startTime: meeting.startTime || null,
+        endTime: meeting.endTime || null,
+        timeDescription: `${DAY_LABELS[meeting.dayOfWeek]} | Tiết ${meeting.startPeriod}->${meeting.endPeriod}`
+    };
+}
+
+/**
+ * Convert a meeting into the `schedule` shape (timeSlot + room) CourseService works with
+ * @param {Object|null} meeting - Structured meeting
+ * @returns {Object|null}
+ */
+function meetingToSchedule(meeting) {
+    if (!meeting) return null;
+
+    return {
+        timeSlot: meetingToTimeSlot(meeting),
+        room: meeting.room ? {
+            roomCode: meeting.room,
+            campus: meeting.campusCode ? { campusCode: meeting.campusCode } : null
+        } : null,
+        weeksSchedule: meeting.weeks
+    };
+}
+
+module.exports = {
+    DAY_LABELS,
+    parseTimeString,
+    parseWeeksString,
+    intersectWeeks,
+    formatWeeks,
+    parseRoomString,
+    parseCourseMeeting,
+    attachMeeting,
+    meetingToTimeSlot,
+    meetingToSchedule
+};
@@ -0,0 +1,76 @@
+/**
+ * CSV PARSER
+ * RFC 4180 reader for uploaded spreadsheets: quoted fields, embedded newlines,
+ * UTF-8 BOM, and comma / semicolon / tab delimiters (Excel uses ";" in locales
+ * with a decimal comma)
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Pick the delimiter that occurs most often outside quotes in the first lines
+ */
+function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).slice(0, 10).join('\n').replace(/"[^"]*"/g, '');
+    const counts = DELIMITERS.map(delimiter => sample.split(delimiter).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+
+    return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+/**
+ * Parse CSV text into rows of trimmed cell strings
+ * @param {string} text
+ * @param {Object} options - { delimiter? } detected when omitted
+ * @returns {string[][]}
+ */
+function parseCsv(text, options = {}) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+
+    // Blank lines carry nothing
+    return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+module.exports = {
+    detectDelimiter,
+    parseCsv
+};
@@ -0,0 +1,195 @@
+/**
+ * ENTRA ID HELPER
+ * Verification of Microsoft Entra ID tokens (ID tokens, or access tokens issued for this API)
+ *
+ * Configuration:
+ *   ENTRA_TENANT_ID        - Directory (tenant) ID; tokens from other tenants are rejected
+ *   ENTRA_CLIENT_ID        - Application (client) ID; accepted as audience, also as api://<id>
+ *   ENTRA_AUDIENCE         - Optional comma-separated audiences replacing the two above
+ *   ENTRA_ISSUER           - Optional issuer; defaults to the tenant's v2.0 and v1 issuers
+ *   ENTRA_JWKS_FILE        - Optional local JWKS file (offline testing); takes precedence
+ *   ENTRA_JWKS_URI         - Optional JWKS URL; defaults to the tenant's discovery keys
+ *   ALLOWED_EMAIL_DOMAINS  - Comma-separated email domains allowed to sign in (subdomains included)
+ *
+ * Tokens for other resources (e.g. Microsoft Graph) cannot be verified and are rejected.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Tolerated clock difference for exp/nbf
+const CLOCK_SKEW_SECONDS = 5 * 60;
+// Keys are re-downloaded after a day, or sooner when a token names an unknown key id
+const JWKS_CACHE_MS = 24 * 60 * 60 * 1000;
+const JWKS_REFETCH_COOLDOWN_MS = 5 * 60 * 1000;
+
+let jwksCache = { source: null, keys: [], loadedAt: 0 };
+
+const splitList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Entra ID settings from the environment
+ * @returns {{ tenantId: string, audiences: string[], issuers: string[], jwksFile: string|null,
+ *             jwksUri: string, allowedDomains: string[] }}
+ */
+function getEntraConfig() {
+    const tenantId = (process.env.ENTRA_TENANT_ID || '').trim();
+    const clientId = (process.env.ENTRA_CLIENT_ID || '').trim();
+    const audiences = splitList(process.env.ENTRA_AUDIENCE);
+    const issuers = splitList(process.env.ENTRA_ISSUER);
+
+    return {
+        tenantId,
+        audiences: audiences.length > 0 ? audiences : (clientId ? [clientId, `api://${clientId}`] : []),
+        issuers: issuers.length > 0 ? issuers : [
+            `https://login.microsoftonline.com/${tenantId}/v2.0`,
+            `https://sts.windows.net/${tenantId}/`
+        ],
+        jwksFile: process.env.ENTRA_JWKS_FILE || null,
+        jwksUri: process.env.ENTRA_JWKS_URI || `https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys`,
+        allowedDomains: splitList(process.env.ALLOWED_EMAIL_DOMAINS).map(domain => domain.toLowerCase().replace(/^@/, ''))
+    };
+}
+
+/**
+ * Signing keys from the configured JWKS file or URL, cached
+ * @param {boolean} force - Reload even if the cache is still fresh
+ */
+async function loadJwks(config, force = false) {
+    const source = config.jwksFile || config.jwksUri;
+    const age = Date.now() - jwksCache.loadedAt;
+
+    if (!force && jwksCache.source === source && age < JWKS_CACHE_MS) {
+        return jwksCache.keys;
+    }
+
+    let jwks;
+    if (config.jwksFile) {
+        jwks = JSON.parse(await fs.promises.readFile(config.jwksFile, 'utf8'));
+    } else {
+        const res = await fetch(config.jwksUri);
+        if (!res.ok) {
+            throw new Error(`Could not download signing keys (HTTP ${res.status})`);
+        }
+        jwks = await res.json();
+    }
+
+    if (!jwks || !Array.isArray(jwks.keys)) {
+        throw new Error('Signing key set has no keys');
+    }
+
+    jwksCache = { source, keys: jwks.keys, loadedAt: Date.now() };
+    return jwksCache.keys;
+}
+
+/**
+ * The signing key with the given key id; the key set is reloaded once (rate-limited)
+ * when the id is unknown, which is how Entra ID key rollover shows up
+ */
+async function getSigningKey(config, kid) {
+    const find = keys => keys.find(key => key.kid === kid && key.kty === 'RSA' && (!key.use || key.use === 'sig'));
+
+    let jwk = find(await loadJwks(config));
+    if (!jwk && Date.now() - jwksCache.loadedAt > JWKS_REFETCH_COOLDOWN_MS) {
+        jwk = find(await loadJwks(config, true));
+    }
+
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+const decodeSegment = segment => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Verify an Entra ID token: RS256 signature against the JWKS, expiry, issuer, audience and tenant
+ * @param {string} token
+ * @returns {Promise<Object>} - The token claims
+ * @throws {Error} 'Microsoft sign-in is not configured' or 'Invalid Microsoft token: <reason>'
+ */
+async function verifyEntraToken(token) {
+    const config = getEntraConfig();
+
+    if (!config.tenantId || config.audiences.length === 0) {
+        throw new Error('Microsoft sign-in is not configured');
+    }
+
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw new Error('Invalid Microsoft token: malformed token');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch (error) {
+        throw new Error('Invalid Microsoft token: malformed token');
+    }
+
+    if (header.alg !== 'RS256' || !header.kid) {
+        throw new Error('Invalid Microsoft token: unsupported signing algorithm');
+    }
+
+    const key = await getSigningKey(config, header.kid);
+    if (!key) {
+        throw new Error('Invalid Microsoft token: unknown signing key');
+    }
+
+    const signed = crypto.verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+    if (!signed) {
+        throw new Error('Invalid Microsoft token: bad signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(claims.exp) || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+        throw new Error('Invalid Microsoft token: token expired');
+    }
+    if (Number.isFinite(claims.nbf) && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+        throw new Error('Invalid Microsoft token: token not yet valid');
+    }
+    if (!config.issuers.includes(claims.iss)) {
+        throw new Error('Invalid Microsoft token: wrong issuer');
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.some(aud => config.audiences.includes(aud))) {
+        throw new Error('Invalid Microsoft token: wrong audience');
+    }
+    if (claims.tid !== config.tenantId) {
+        throw new Error('Invalid Microsoft token: wrong tenant');
+    }
+
+    return claims;
+}
+
+/**
+ * Email address and display name from verified claims
+ * @returns {{ email: string|null, name: string|null }}
+ */
+function getIdentityFromClaims(claims) {
+    const email = [claims.email, claims.preferred_username, claims.upn]
+        .find(value => typeof value === 'string' && value.includes('@'));
+
+    return {
+        email: email ? email.trim().toLowerCase() : null,
+        name: typeof claims.name === 'string' && claims.name.trim() ? claims.name.trim() : null
+    };
+}
+
+/**
+ * Whether an email belongs to one of ALLOWED_EMAIL_DOMAINS (or a subdomain)
+ * With no domains configured nobody is allowed, so a missing setting fails closed
+ */
+function isAllowedEmailDomain(email) {
+    const { allowedDomains } = getEntraConfig();
+    const domain = String(email || '').split('@').pop().toLowerCase();
+
+    return allowedDomains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+module.exports = {
+    getEntraConfig,
+    verifyEntraToken,
+    getIdentityFromClaims,
+    isAllowedEmailDomain
+};
@@ -415,8 +415,7 @@ class SystemLogger {
                     }
                 }
             } catch (error) {
-                // File doesn't exist for this date, continue
-                continue;
+                // File doesn't exist for this date, move on to the next one
             }
 
             currentDate.setDate(currentDate.getDate() + 1);
@@ -425,6 +424,40 @@ class SystemLogger {
         return logs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     }
 
+    /**
+     * Search one category for the admin log viewer, newest first
+     * @param {Object} filters - { category, level, startDate, endDate, userId, action, page, limit }
+     * @returns {Promise<{ logs: Array, pagination: Object }>}
+     */
+    async searchLogs({ category, level = null, startDate, endDate, userId = null, action = null, page = 1, limit = 50 }) {
+        // getLogs steps a whole day at a time from startDate; start at midnight so the last day is read
+        const firstDay = new Date(startDate);
+        firstDay.setUTCHours(0, 0, 0, 0);
+
+        const entries = (await this.getLogs(category, firstDay, endDate, level))
+            .filter(entry => {
+                const timestamp = new Date(entry.timestamp);
+                const metadata = entry.metadata || {};
+
+                return timestamp >= startDate && timestamp <= endDate &&
+                    (!userId || metadata.userID === userId) &&
+                    (!action || metadata.action === action || metadata.event === action);
+            })
+            .reverse();
+
+        return {
+            logs: entries.slice((page - 1) * limit, page * limit),
+            pagination: {
+                page,
+                limit,
+                total: entries.length,
+                totalPages: Math.ceil(entries.length / limit),
+                hasNext: page * limit < entries.length,
+                hasPrev: page > 1
+            }
+        };
+    }
+
     /**
      * Get error summary for a date range
      */
@@ -0,0 +1,129 @@
+/**
+ * PASSWORD HELPER
+ * Salted scrypt hashing for stored passwords, and the password policy for new ones
+ *
+ * Stored format (versioned so parameters can be raised later):
+ *   $scrypt$v=1$ln=15,r=8,p=1$<salt base64>$<hash base64>
+ * Rows written before hashing existed hold base64(password); they still verify,
+ * flagged for rehash so the caller can replace them on the next successful login.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = '$scrypt$';
+const HASH_VERSION = 1;
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * scrypt cost from the environment: N = 2^PASSWORD_SCRYPT_COST (default 2^15, ~32 MB per hash)
+ */
+function getHashParams() {
+    const cost = parseInt(process.env.PASSWORD_SCRYPT_COST, 10);
+
+    return {
+        ln: Number.isInteger(cost) && cost >= 10 && cost <= 20 ? cost : 15,
+        r: 8,
+        p: 1
+    };
+}
+
+/**
+ * Password policy from the environment
+ * PASSWORD_MIN_LENGTH (default 8), PASSWORD_MAX_LENGTH (default 128) and
+ * PASSWORD_REQUIRE_LETTER / _DIGIT (default on), _UPPERCASE / _SYMBOL (default off)
+ */
+function getPasswordPolicy() {
+    const flag = (name, fallback) => {
+        const value = process.env[name];
+        return value === undefined || value === '' ? fallback : ['true', '1', 'yes', 'on'].includes(value.toLowerCase());
+    };
+    const minLength = parseInt(process.env.PASSWORD_MIN_LENGTH, 10);
+    const maxLength = parseInt(process.env.PASSWORD_MAX_LENGTH, 10);
+
+    return {
+        minLength: Number.isInteger(minLength) && minLength > 0 ? minLength : 8,
+        maxLength: Number.isInteger(maxLength) && maxLength > 0 ? maxLength : 128,
+        requireLetter: flag('PASSWORD_REQUIRE_LETTER', true),
+        requireDigit: flag('PASSWORD_REQUIRE_DIGIT', true),
+        requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', false),
+        requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false)
+    };
+}
+
+async function deriveKey(password, salt, { ln, r, p }) {
+    const N = 2 ** ln;
+    return scrypt(String(password).normalize('NFC'), salt, KEY_BYTES, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+    const params = getHashParams();
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await deriveKey(password, salt, params);
+
+    return `${HASH_PREFIX}v=${HASH_VERSION}$ln=${params.ln},r=${params.r},p=${params.p}` +
+        `$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Parse a stored hash, or null when it is not in the scrypt format
+ */
+function parseHash(stored) {
+    const match = /^\$scrypt\$v=(\d+)\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/.exec(stored);
+    if (!match) return null;
+
+    return {
+        version: Number(match[1]),
+        params: { ln: Number(match[2]), r: Number(match[3]), p: Number(match[4]) },
+        salt: Buffer.from(match[5], 'base64'),
+        key: Buffer.from(match[6], 'base64')
+    };
+}
+
+/**
+ * Check a password against a stored value
+ * @param {string} password - As typed by the user
+ * @param {string} stored - Users.Password
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+ *          needsRehash: the stored value is legacy base64 or uses weaker parameters than configured
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string' || stored === '') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!stored.startsWith(HASH_PREFIX)) {
+        const legacy = Buffer.from(Buffer.from(password).toString('base64'));
+        const expected = Buffer.from(stored);
+        const valid = legacy.length === expected.length && crypto.timingSafeEqual(legacy, expected);
+        return { valid, needsRehash: valid };
+    }
+
+    const parsed = parseHash(stored);
+    if (!parsed || parsed.version > HASH_VERSION) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const key = await deriveKey(password, parsed.salt, parsed.params);
+    const valid = key.length === parsed.key.length && crypto.timingSafeEqual(key, parsed.key);
+    const current = getHashParams();
+
+    return {
+        valid,
+        needsRehash: valid && (parsed.version < HASH_VERSION || parsed.params.ln < current.ln)
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    getPasswordPolicy
+};
@@ -0,0 +1,62 @@
+/**
+ * PERMISSION HELPER
+ * Roles and the capabilities they grant
+ *
+ *   Student - their own schedules, preferences and enrollments only
+ *   Advisor - also reads any student's schedules (changes stay with the student)
+ *   Admin   - everything, including the course catalog, logs and other users' roles
+ */
+
+const ROLES = {
+    STUDENT: 'Student',
+    ADVISOR: 'Advisor',
+    ADMIN: 'Admin'
+};
+
+const PERMISSIONS = {
+    MANAGE_CATALOG: 'catalog:manage',
+    VIEW_ANY_SCHEDULE: 'schedules:view-any',
+    VIEW_LOGS: 'logs:view',
+    MANAGE_ROLES: 'users:manage-roles'
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.STUDENT]: [],
+    [ROLES.ADVISOR]: [PERMISSIONS.VIEW_ANY_SCHEDULE],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Canonical spelling of a role ('admin' -> 'Admin'), or null for an unknown role
+ */
+function normalizeRole(role) {
+    if (typeof role !== 'string') return null;
+
+    const wanted = role.trim().toLowerCase();
+    return Object.values(ROLES).find(known => known.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Capabilities of a role; unknown roles get none
+ * @returns {string[]}
+ */
+function getPermissions(role) {
+    return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+/**
+ * Whether a signed-in user's role grants a capability
+ * @param {Object|null} user - { role } from the auth middleware
+ * @param {string} permission - One of PERMISSIONS
+ */
+function hasPermission(user, permission) {
+    return Boolean(user) && getPermissions(user.role).includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    normalizeRole,
+    getPermissions,
+    hasPermission
+};
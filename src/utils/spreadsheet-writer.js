@@ -0,0 +1,153 @@
+/**
+ * SPREADSHEET WRITER
+ * CSV and single-sheet XLSX output for tabular exports
+ *
+ * Columns: [{ key, header, width? }]; rows are plain objects. Numbers stay numeric
+ * in XLSX, everything else is written as text.
+ */
+
+const { createZip } = require('./zip-writer');
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Build a CSV document (UTF-8 with BOM so Excel detects the encoding, CRLF line endings)
+ * @returns {Buffer}
+ */
+function toCsv(columns, rows) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+        columns.map(column => escape(column.header)).join(','),
+        ...rows.map(row => columns.map(column => escape(row[column.key])).join(','))
+    ];
+
+    return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+/**
+ * Build an XLSX workbook with one sheet, bold header row and frozen header
+ * @returns {Buffer}
+ */
+function toXlsx(sheetName, columns, rows) {
+    const headerRow = buildRow(1, columns.map(column => column.header), 1);
+    const dataRows = rows.map((row, index) => buildRow(index + 2, columns.map(column => row[column.key]), 0));
+    const lastCell = `${columnName(columns.length - 1)}${rows.length + 1}`;
+
+    const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || 15}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${headerRow}${dataRows.join('')}</sheetData>
+<autoFilter ref="A1:${lastCell}"/>
+</worksheet>`;
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(toSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+        },
+        {
+            name: 'xl/styles.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`
+        },
+        { name: 'xl/worksheets/sheet1.xml', data: sheet }
+    ]);
+}
+
+// Helper Functions
+
+function buildRow(rowNumber, values, styleId) {
+    const cells = values.map((value, index) => {
+        const ref = `${columnName(index)}${rowNumber}`;
+        const style = styleId ? ` s="${styleId}"` : '';
+
+        if (value === null || value === undefined || value === '') {
+            return `<c r="${ref}"${style}/>`;
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+
+    return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Sheet names: max 31 characters, no []:*?/\
+ */
+function toSheetName(name) {
+    return (String(name || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet1').slice(0, 31);
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    toCsv,
+    toXlsx
+};
@@ -0,0 +1,341 @@
+/**
+ * TIMETABLE RENDERER
+ * Printable weekly grid (days as columns, periods as rows) as HTML or PDF
+ *
+ * Grid model:
+ * {
+ *   title, subtitle,
+ *   days:    [{ dayOfWeek, label }],
+ *   periods: [{ period, startTime, endTime }],
+ *   blocks:  [{ dayOfWeek, startPeriod, endPeriod, entries: [{ courseName, courseCode, room, lecturer, weeks }] }]
+ * }
+ * Blocks never overlap within a day; meetings sharing periods (usually in different
+ * weeks) are listed together in one block.
+ */
+
+// A4 landscape, in PDF points
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const PAGE_MARGIN = 28;
+const TITLE_HEIGHT = 40;
+const HEADER_HEIGHT = 18;
+const PERIOD_COLUMN_WIDTH = 62;
+const FONT_SIZE = 7;
+const LINE_HEIGHT = 8.5;
+
+// Average Helvetica glyph width relative to the font size, used for line wrapping
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+/**
+ * Group meetings into non-overlapping blocks per day
+ * @param {Array} meetings - [{ dayOfWeek, startPeriod, endPeriod, ...entry }]
+ */
+function buildBlocks(meetings) {
+    const blocks = [];
+    const sorted = [...meetings].sort((a, b) =>
+        a.dayOfWeek - b.dayOfWeek || a.startPeriod - b.startPeriod || a.endPeriod - b.endPeriod);
+
+    for (const { dayOfWeek, startPeriod, endPeriod, ...entry } of sorted) {
+        const last = blocks[blocks.length - 1];
+
+        if (last && last.dayOfWeek === dayOfWeek && startPeriod <= last.endPeriod) {
+            last.endPeriod = Math.max(last.endPeriod, endPeriod);
+            last.entries.push(entry);
+        } else {
+            blocks.push({ dayOfWeek, startPeriod, endPeriod, entries: [entry] });
+        }
+    }
+
+    return blocks;
+}
+
+// HTML
+
+/**
+ * Standalone HTML page, ready for the browser's print dialog
+ * @returns {string}
+ */
+function renderHtml(grid) {
+    const starts = new Map(grid.blocks.map(block => [`${block.dayOfWeek}|${block.startPeriod}`, block]));
+    const coveredUntil = new Map();
+
+    const bodyRows = grid.periods.map(({ period, startTime, endTime }) => {
+        const cells = grid.days.map(({ dayOfWeek }) => {
+            const block = starts.get(`${dayOfWeek}|${period}`);
+            if (block) {
+                coveredUntil.set(dayOfWeek, block.endPeriod);
+                const rowSpan = block.endPeriod - block.startPeriod + 1;
+                return `<td class="course" rowspan="${rowSpan}">${block.entries.map(renderHtmlEntry).join('')}</td>`;
+            }
+            return (coveredUntil.get(dayOfWeek) || 0) >= period ? '' : '<td></td>';
+        });
+
+        const time = startTime ? `<small>${escapeHtml(startTime)} - ${escapeHtml(endTime)}</small>` : '';
+        return `<tr><th class="period">Tiết ${period}${time}</th>${cells.join('')}</tr>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(grid.title)}</title>
+<style>
+@page { size: A4 landscape; margin: 10mm; }
+body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #222; margin: 16px; }
+h1 { font-size: 18px; margin: 0 0 2px; }
+p.subtitle { margin: 0 0 10px; color: #555; }
+table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+th, td { border: 1px solid #999; padding: 3px 4px; vertical-align: top; }
+thead th { background: #eee; }
+th.period { width: 70px; text-align: left; background: #f7f7f7; }
+th.period small { display: block; font-weight: normal; color: #555; }
+td.course { background: #e8f0fe; }
+td.course div + div { margin-top: 4px; padding-top: 4px; border-top: 1px dashed #9ab; }
+td.course span { display: block; color: #444; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(grid.title)}</h1>
+${grid.subtitle ? `<p class="subtitle">${escapeHtml(grid.subtitle)}</p>` : ''}
+<table>
+<thead><tr><th class="period">Tiết</th>${grid.days.map(day => `<th>${escapeHtml(day.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${bodyRows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+function renderHtmlEntry(entry) {
+    return `<div><strong>${escapeHtml(entry.courseName)}</strong>` +
+        describeEntry(entry).map(line => `<span>${escapeHtml(line)}</span>`).join('') +
+        '</div>';
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// PDF
+
+/**
+ * Single-page A4 landscape PDF using the built-in Helvetica fonts
+ * Those fonts only cover Latin-1, so Vietnamese diacritics are dropped
+ * @returns {Buffer}
+ */
+function renderPdf(grid) {
+    const ops = [];
+    const gridTop = PAGE_MARGIN + TITLE_HEIGHT;
+    const gridWidth = PAGE_WIDTH - PAGE_MARGIN * 2;
+    const dayWidth = (gridWidth - PERIOD_COLUMN_WIDTH) / Math.max(grid.days.length, 1);
+    const rowHeight = (PAGE_HEIGHT - gridTop - PAGE_MARGIN - HEADER_HEIGHT) / Math.max(grid.periods.length, 1);
+    const rowIndex = new Map(grid.periods.map((p, index) => [p.period, index]));
+    const columnIndex = new Map(grid.days.map((d, index) => [d.dayOfWeek, index]));
+    const bodyTop = gridTop + HEADER_HEIGHT;
+
+    // Title
+    pdfText(ops, grid.title, PAGE_MARGIN, PAGE_MARGIN + 14, 14, true);
+    if (grid.subtitle) {
+        pdfText(ops, grid.subtitle, PAGE_MARGIN, PAGE_MARGIN + 30, 9, false);
+    }
+
+    // Header row and period column
+    ops.push('0.93 g');
+    pdfRect(ops, PAGE_MARGIN, gridTop, gridWidth, HEADER_HEIGHT, 'f');
+    pdfRect(ops, PAGE_MARGIN, bodyTop, PERIOD_COLUMN_WIDTH, rowHeight * grid.periods.length, 'f');
+    ops.push('0 g');
+
+    pdfText(ops, 'Tiết', PAGE_MARGIN + 4, gridTop + 12, 8, true);
+    grid.days.forEach((day, index) => {
+        pdfText(ops, day.label, PAGE_MARGIN + PERIOD_COLUMN_WIDTH + index * dayWidth + 4, gridTop + 12, 8, true);
+    });
+    grid.periods.forEach((p, index) => {
+        const top = bodyTop + index * rowHeight;
+        pdfText(ops, `Tiết ${p.period}`, PAGE_MARGIN + 4, top + 10, 8, true);
+        if (p.startTime) {
+            pdfText(ops, `${p.startTime} - ${p.endTime}`, PAGE_MARGIN + 4, top + 19, 6.5, false);
+        }
+    });
+
+    // Course blocks
+    for (const block of grid.blocks) {
+        if (!columnIndex.has(block.dayOfWeek) || !rowIndex.has(block.startPeriod)) continue;
+
+        const left = PAGE_MARGIN + PERIOD_COLUMN_WIDTH + columnIndex.get(block.dayOfWeek) * dayWidth;
+        const top = bodyTop + rowIndex.get(block.startPeriod) * rowHeight;
+        const lastRow = rowIndex.has(block.endPeriod) ? rowIndex.get(block.endPeriod) : grid.periods.length - 1;
+        const height = (lastRow - rowIndex.get(block.startPeriod) + 1) * rowHeight;
+
+        ops.push('0.91 0.94 1 rg');
+        pdfRect(ops, left, top, dayWidth, height, 'f');
+        ops.push('0 g');
+
+        const maxChars = Math.floor((dayWidth - 6) / (FONT_SIZE * AVERAGE_CHAR_WIDTH));
+        const lines = block.entries.flatMap((entry, index) => [
+            ...(index > 0 ? [{ text: '', bold: false }] : []),
+            ...wrapText(entry.courseName, maxChars).map(text => ({ text, bold: true })),
+            ...describeEntry(entry).flatMap(line => wrapText(line, maxChars)).map(text => ({ text, bold: false }))
+        ]);
+        const fitting = Math.max(Math.floor((height - 4) / LINE_HEIGHT), 1);
+
+        lines.slice(0, fitting).forEach((line, index) => {
+            const text = index === fitting - 1 && lines.length > fitting ? `${line.text.slice(0, maxChars - 3)}...` : line.text;
+            pdfText(ops, text, left + 3, top + 2 + (index + 1) * LINE_HEIGHT, FONT_SIZE, line.bold);
+        });
+    }
+
+    // Grid lines
+    ops.push('0.6 G', '0.5 w');
+    pdfRect(ops, PAGE_MARGIN, gridTop, gridWidth, HEADER_HEIGHT + rowHeight * grid.periods.length, 'S');
+    for (let index = 0; index <= grid.days.length; index++) {
+        const x = PAGE_MARGIN + PERIOD_COLUMN_WIDTH + index * dayWidth;
+        pdfLine(ops, x, gridTop, x, bodyTop + rowHeight * grid.periods.length);
+    }
+    pdfLine(ops, PAGE_MARGIN, bodyTop, PAGE_MARGIN + gridWidth, bodyTop);
+    grid.periods.forEach((p, index) => {
+        if (index === 0) return;
+        const y = bodyTop + index * rowHeight;
+        const segments = [[PAGE_MARGIN, PAGE_MARGIN + PERIOD_COLUMN_WIDTH]];
+
+        // Do not cut through blocks spanning this boundary
+        grid.days.forEach((day, column) => {
+            const spanning = grid.blocks.some(block => block.dayOfWeek === day.dayOfWeek &&
+                block.startPeriod < p.period && block.endPeriod >= p.period);
+            if (!spanning) {
+                const x = PAGE_MARGIN + PERIOD_COLUMN_WIDTH + column * dayWidth;
+                segments.push([x, x + dayWidth]);
+            }
+        });
+        segments.forEach(([x1, x2]) => pdfLine(ops, x1, y, x2, y));
+    });
+
+    return buildPdfDocument(ops.join('\n'));
+}
+
+/**
+ * Wrap the content stream into a one-page PDF file with a valid xref table
+ */
+function buildPdfDocument(content) {
+    const stream = Buffer.from(content, 'latin1');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        null
+    ];
+
+    const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = parts[0].length;
+
+    objects.forEach((body, index) => {
+        const chunk = body === null
+            ? Buffer.concat([
+                Buffer.from(`${index + 1} 0 obj\n<< /Length ${stream.length} >>\nstream\n`, 'latin1'),
+                stream,
+                Buffer.from('\nendstream\nendobj\n', 'latin1')
+            ])
+            : Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1');
+
+        offsets.push(length);
+        parts.push(chunk);
+        length += chunk.length;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+        ''
+    ].join('\n');
+    parts.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(parts);
+}
+
+// Coordinates below are measured from the top of the page, PDF measures from the bottom
+
+function pdfText(ops, text, x, baseline, size, bold) {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${fixed(x)} ${fixed(PAGE_HEIGHT - baseline)} Td (${escapePdfText(text)}) Tj ET`);
+}
+
+function pdfRect(ops, x, top, width, height, paintOperator) {
+    ops.push(`${fixed(x)} ${fixed(PAGE_HEIGHT - top - height)} ${fixed(width)} ${fixed(height)} re ${paintOperator}`);
+}
+
+function pdfLine(ops, x1, top1, x2, top2) {
+    ops.push(`${fixed(x1)} ${fixed(PAGE_HEIGHT - top1)} m ${fixed(x2)} ${fixed(PAGE_HEIGHT - top2)} l S`);
+}
+
+function fixed(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Reduce text to Latin-1 (diacritics removed, đ -> d) and escape PDF string delimiters
+ */
+function escapePdfText(value) {
+    return String(value ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+        .replace(/[\\()]/g, '\\$&');
+}
+
+function wrapText(text, maxChars) {
+    const lines = [];
+    let current = '';
+
+    for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+        if (current && current.length + 1 + word.length > maxChars) {
+            lines.push(current);
+            current = '';
+        }
+        // Words longer than a line are split hard
+        let rest = current ? `${current} ${word}` : word;
+        while (rest.length > maxChars) {
+            lines.push(rest.slice(0, maxChars));
+            rest = rest.slice(maxChars);
+        }
+        current = rest;
+    }
+    if (current) lines.push(current);
+
+    return lines;
+}
+
+// Shared
+
+function describeEntry(entry) {
+    return [
+        entry.courseCode ? `Mã lớp: ${entry.courseCode}` : null,
+        entry.room ? `Phòng: ${entry.room}` : null,
+        entry.lecturer ? `GV: ${entry.lecturer}` : null,
+        entry.weeks ? `Tuần: ${entry.weeks}` : null
+    ].filter(Boolean);
+}
+
+module.exports = {
+    buildBlocks,
+    renderHtml,
+    renderPdf
+};
@@ -3,15 +3,19 @@
  * Comprehensive input validation and sanitization
  */
 
+const { getPasswordPolicy } = require('./password-helper');
+
 class ValidationHelper {
     constructor() {
         this.patterns = {
             email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
             phone: /^[\+]?[1-9][\d]{0,15}$/,
             studentCode: /^[A-Z0-9]{6,12}$/,
-            semesterCode: /^(HK|GK)[1-3][\d]{4}$/, // HK12024, GK22024, etc.
+            semesterCode: /^((HK|GK)[1-3][\d]{4}|[\d]{4}[A-Z])$/, // HK12024, GK22024, 2025A, etc.
+            isoDate: /^\d{4}-\d{2}-\d{2}$/,
             courseCode: /^[A-Z]{2,4}[\d]{3,4}[A-Z]?$/,
             timeSlot: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+            hexColor: /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/,
             url: /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/
         };
 
@@ -19,7 +23,6 @@ class ValidationHelper {
             maxStringLength: 500,
             maxTextLength: 2000,
             maxArrayLength: 100,
-            minPasswordLength: 8,
             maxCredits: 30,
             minCredits: 0
         };
@@ -59,6 +62,53 @@ class ValidationHelper {
         };
     }
 
+    /**
+     * Validate a new password against the configured password policy
+     * @param {string} password
+     * @param {Object} context - { email? } the password may not be the email or its local part
+     */
+    validatePassword(password, context = {}) {
+        const errors = [];
+        const policy = getPasswordPolicy();
+
+        if (typeof password !== 'string' || password.length === 0) {
+            errors.push({ field: 'password', code: 'REQUIRED', message: 'Password is required' });
+            return { isValid: false, errors };
+        }
+
+        if (password.length < policy.minLength || password.length > policy.maxLength) {
+            errors.push({
+                field: 'password',
+                code: 'INVALID_LENGTH',
+                message: `Password must be between ${policy.minLength} and ${policy.maxLength} characters`
+            });
+        }
+
+        const rules = [
+            [policy.requireLetter, /\p{L}/u, 'MISSING_LETTER', 'Password must contain a letter'],
+            [policy.requireDigit, /\d/, 'MISSING_DIGIT', 'Password must contain a digit'],
+            [policy.requireUppercase, /\p{Lu}/u, 'MISSING_UPPERCASE', 'Password must contain an uppercase letter'],
+            [policy.requireSymbol, /[^\p{L}\d\s]/u, 'MISSING_SYMBOL', 'Password must contain a symbol']
+        ];
+        for (const [required, pattern, code, message] of rules) {
+            if (required && !pattern.test(password)) {
+                errors.push({ field: 'password', code, message });
+            }
+        }
+
+        if (context.email) {
+            const email = String(context.email).toLowerCase();
+            if ([email, email.split('@')[0]].includes(password.toLowerCase())) {
+                errors.push({ field: 'password', code: 'SAME_AS_EMAIL', message: 'Password must not be your email' });
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
     /**
      * Validate user update request
      */
@@ -166,7 +216,7 @@ class ValidationHelper {
             errors.push({
                 field: 'semesterCode',
                 code: 'INVALID_FORMAT',
-                message: 'Semester code must follow format HK12024 or GK22024'
+                message: 'Semester code must follow format HK12024, GK22024 or 2025A'
             });
         }
 
@@ -382,12 +432,129 @@ class ValidationHelper {
             });
         }
 
+        // Subjects validation
+        if (!Array.isArray(data.subjects) || data.subjects.length === 0) {
+            errors.push({
+                field: 'subjects',
+                code: 'REQUIRED',
+                message: 'At least one subject is required'
+            });
+        } else if (data.subjects.length > this.limits.maxArrayLength) {
+            errors.push({
+                field: 'subjects',
+                code: 'TOO_MANY_ITEMS',
+                message: `Too many subjects (max ${this.limits.maxArrayLength})`
+            });
+        } else if (data.subjects.some(subject => !this.isValidString(subject, 1))) {
+            errors.push({
+                field: 'subjects',
+                code: 'INVALID_VALUE',
+                message: 'Subjects must be non-empty subject names'
+            });
+        }
+
+        if (data.studentId !== undefined && !this.isValidString(data.studentId, 1)) {
+            errors.push({
+                field: 'studentId',
+                code: 'INVALID_TYPE',
+                message: 'studentId must be a non-empty string'
+            });
+        }
+
+        if (data.customPreferences !== undefined) {
+            errors.push(...this.validateGenerationPreferences(data.customPreferences));
+        }
+
         return {
             isValid: errors.length === 0,
             errors
         };
     }
 
+    /**
+     * Validate the customPreferences of a generation request
+     * ({ credits: { min, max }, campuses: { preferred, blocked }, timePreferences })
+     * @returns {Array} errors
+     */
+    validateGenerationPreferences(preferences) {
+        const errors = [];
+
+        if (typeof preferences !== 'object' || preferences === null || Array.isArray(preferences)) {
+            return [{
+                field: 'customPreferences',
+                code: 'INVALID_TYPE',
+                message: 'customPreferences must be an object'
+            }];
+        }
+
+        const credits = preferences.credits || {};
+        ['min', 'max'].forEach(key => {
+            if (credits[key] !== undefined &&
+                !this.isValidInteger(credits[key], this.limits.minCredits, this.limits.maxCredits)) {
+                errors.push({
+                    field: `customPreferences.credits.${key}`,
+                    code: 'OUT_OF_RANGE',
+                    message: `Credits must be between ${this.limits.minCredits} and ${this.limits.maxCredits}`
+                });
+            }
+        });
+        if (credits.min !== undefined && credits.max !== undefined && credits.min > credits.max) {
+            errors.push({
+                field: 'customPreferences.credits',
+                code: 'INVALID_RANGE',
+                message: 'Minimum credits cannot exceed maximum credits'
+            });
+        }
+
+        const campuses = preferences.campuses || {};
+        ['preferred', 'blocked'].forEach(key => {
+            if (campuses[key] !== undefined &&
+                (!Array.isArray(campuses[key]) || campuses[key].some(c => !this.isValidString(c, 1, 10)))) {
+                errors.push({
+                    field: `customPreferences.campuses.${key}`,
+                    code: 'INVALID_TYPE',
+                    message: 'Campuses must be an array of campus codes'
+                });
+            }
+        });
+
+        const time = preferences.timePreferences || {};
+        ['avoidMorning', 'avoidEvening'].forEach(key => {
+            if (time[key] !== undefined && typeof time[key] !== 'boolean') {
+                errors.push({
+                    field: `customPreferences.timePreferences.${key}`,
+                    code: 'INVALID_TYPE',
+                    message: `${key} must be a boolean value`
+                });
+            }
+        });
+        ['preferredDays', 'restDays'].forEach(key => {
+            if (time[key] !== undefined &&
+                (!Array.isArray(time[key]) || time[key].some(day => !this.isValidInteger(day, 1, 7)))) {
+                errors.push({
+                    field: `customPreferences.timePreferences.${key}`,
+                    code: 'INVALID_VALUE',
+                    message: 'Days must be integers between 1 (Monday) and 7 (Sunday)'
+                });
+            }
+        });
+        if (time.blockedSlots !== undefined) {
+            const validSlot = slot => slot && this.isValidInteger(slot.dayOfWeek, 1, 7) &&
+                (slot.startPeriod === undefined || this.isValidInteger(slot.startPeriod, 1, 12)) &&
+                (slot.endPeriod === undefined || this.isValidInteger(slot.endPeriod, slot.startPeriod || 1, 12));
+
+            if (!Array.isArray(time.blockedSlots) || !time.blockedSlots.every(validSlot)) {
+                errors.push({
+                    field: 'customPreferences.timePreferences.blockedSlots',
+                    code: 'INVALID_VALUE',
+                    message: 'Blocked slots must be { dayOfWeek: 1-7, startPeriod?: 1-12, endPeriod?: 1-12 }'
+                });
+            }
+        }
+
+        return errors;
+    }
+
     /**
      * Validate schedule optimization request
      */
@@ -402,7 +569,13 @@ class ValidationHelper {
             });
         }
 
-        if (data.baseScheduleId && !this.isValidInteger(data.baseScheduleId, 1)) {
+        if (!data.baseScheduleId) {
+            errors.push({
+                field: 'baseScheduleId',
+                code: 'REQUIRED',
+                message: 'Base schedule ID is required'
+            });
+        } else if (!this.isValidInteger(data.baseScheduleId, 1)) {
             errors.push({
                 field: 'baseScheduleId',
                 code: 'INVALID_TYPE',
@@ -410,12 +583,354 @@ class ValidationHelper {
             });
         }
 
+        const goals = ['fewer_days', 'no_early_periods', 'fewer_gaps', 'single_campus_per_day'];
         if (data.optimizationGoals && !Array.isArray(data.optimizationGoals)) {
             errors.push({
                 field: 'optimizationGoals',
                 code: 'INVALID_TYPE',
                 message: 'Optimization goals must be an array'
             });
+        } else if (data.optimizationGoals && data.optimizationGoals.some(goal => !goals.includes(goal))) {
+            errors.push({
+                field: 'optimizationGoals',
+                code: 'INVALID_VALUE',
+                message: `Optimization goals must be one of ${goals.join(', ')}`
+            });
+        }
+
+        if (data.maxRecommendations !== undefined && !this.isValidInteger(data.maxRecommendations, 1, 10)) {
+            errors.push({
+                field: 'maxRecommendations',
+                code: 'OUT_OF_RANGE',
+                message: 'Max recommendations must be between 1 and 10'
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate timetable import request
+     * resolutions maps a row number to the chosen courseId, or null to skip the row
+     */
+    validateScheduleImportRequest(data) {
+        const errors = [];
+
+        if (!data.userId || !this.isValidEmail(data.userId)) {
+            errors.push({
+                field: 'userId',
+                code: 'REQUIRED',
+                message: 'userId (email) is required'
+            });
+        }
+
+        if (!data.semesterCode) {
+            errors.push({
+                field: 'semesterCode',
+                code: 'REQUIRED',
+                message: 'Semester code is required'
+            });
+        }
+
+        if (!this.isValidString(data.content, 1, 100000)) {
+            errors.push({
+                field: 'content',
+                code: 'INVALID_VALUE',
+                message: 'content must be the CSV text of the timetable (max 100000 characters)'
+            });
+        }
+
+        if (data.resolutions !== undefined) {
+            const entries = data.resolutions && typeof data.resolutions === 'object' && !Array.isArray(data.resolutions)
+                ? Object.entries(data.resolutions)
+                : null;
+
+            if (!entries) {
+                errors.push({
+                    field: 'resolutions',
+                    code: 'INVALID_TYPE',
+                    message: 'Resolutions must be an object of { rowNumber: courseId | null }'
+                });
+            } else if (entries.some(([row, courseId]) =>
+                !this.isValidInteger(Number(row), 1) || (courseId !== null && !this.isValidInteger(courseId, 1)))) {
+                errors.push({
+                    field: 'resolutions',
+                    code: 'INVALID_VALUE',
+                    message: 'Resolution keys must be row numbers and values course IDs or null'
+                });
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate share link request
+     * expiresAt is optional (ISO date-time in the future); without it the link lasts until revoked
+     */
+    validateShareLinkRequest(data) {
+        const errors = [];
+
+        if (!data.userId || !this.isValidEmail(data.userId)) {
+            errors.push({
+                field: 'userId',
+                code: 'REQUIRED',
+                message: 'userId (email) is required'
+            });
+        }
+
+        if (data.expiresAt !== undefined && data.expiresAt !== null) {
+            const expiresAt = typeof data.expiresAt === 'string' ? new Date(data.expiresAt) : null;
+
+            if (!expiresAt || isNaN(expiresAt.getTime())) {
+                errors.push({
+                    field: 'expiresAt',
+                    code: 'INVALID_FORMAT',
+                    message: 'expiresAt must be an ISO 8601 date-time'
+                });
+            } else if (expiresAt <= new Date()) {
+                errors.push({
+                    field: 'expiresAt',
+                    code: 'OUT_OF_RANGE',
+                    message: 'expiresAt must be in the future'
+                });
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate schedule name/description/color
+     * @param {boolean} requireName - Name must be present (rename requires at least one field instead)
+     */
+    validateScheduleMetadataRequest(data, requireName = false) {
+        const errors = [];
+        const fields = ['scheduleName', 'description', 'color'];
+
+        if (!requireName && !fields.some(field => data[field] !== undefined)) {
+            errors.push({
+                field: 'scheduleName',
+                code: 'REQUIRED',
+                message: 'At least one of scheduleName, description or color is required'
+            });
+        }
+
+        if (requireName || data.scheduleName !== undefined) {
+            if (!this.isValidString(data.scheduleName, 1, 255) || !data.scheduleName.trim()) {
+                errors.push({
+                    field: 'scheduleName',
+                    code: 'INVALID_LENGTH',
+                    message: 'Schedule name must be between 1 and 255 characters'
+                });
+            }
+        }
+
+        if (data.description !== undefined && data.description !== null &&
+            !this.isValidString(data.description, 0, 1000)) {
+            errors.push({
+                field: 'description',
+                code: 'INVALID_LENGTH',
+                message: 'Description must be at most 1000 characters'
+            });
+        }
+
+        if (data.color !== undefined && data.color !== null &&
+            (typeof data.color !== 'string' || !this.patterns.hexColor.test(data.color))) {
+            errors.push({
+                field: 'color',
+                code: 'INVALID_FORMAT',
+                message: 'Color must be a hex value like #3366FF'
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate semester create/update request
+     */
+    validateSemesterRequest(data, isUpdate = false) {
+        const errors = [];
+
+        if (!isUpdate) {
+            if (!data.semesterCode) {
+                errors.push({
+                    field: 'semesterCode',
+                    code: 'REQUIRED',
+                    message: 'Semester code is required'
+                });
+            } else if (!this.patterns.semesterCode.test(data.semesterCode)) {
+                errors.push({
+                    field: 'semesterCode',
+                    code: 'INVALID_FORMAT',
+                    message: 'Semester code must follow format HK12024, GK22024 or 2025A'
+                });
+            }
+        }
+
+        if (!isUpdate || data.semesterName !== undefined) {
+            if (!this.isValidString(data.semesterName, 1, 255)) {
+                errors.push({
+                    field: 'semesterName',
+                    code: 'INVALID_LENGTH',
+                    message: 'Semester name must be between 1 and 255 characters'
+                });
+            }
+        }
+
+        if (data.startDate !== undefined && data.startDate !== null && !this.isValidDate(data.startDate)) {
+            errors.push({
+                field: 'startDate',
+                code: 'INVALID_FORMAT',
+                message: 'Start date must be YYYY-MM-DD'
+            });
+        }
+
+        if (data.teachingWeeks !== undefined && data.teachingWeeks !== null &&
+            !this.isValidInteger(data.teachingWeeks, 1, 30)) {
+            errors.push({
+                field: 'teachingWeeks',
+                code: 'OUT_OF_RANGE',
+                message: 'Teaching weeks must be between 1 and 30'
+            });
+        }
+
+        if (data.holidays !== undefined) {
+            if (!Array.isArray(data.holidays)) {
+                errors.push({
+                    field: 'holidays',
+                    code: 'INVALID_TYPE',
+                    message: 'Holidays must be an array'
+                });
+            } else {
+                data.holidays.forEach((holiday, index) => {
+                    if (!holiday || !this.isValidDate(holiday.date) ||
+                        (holiday.endDate !== undefined && !this.isValidDate(holiday.endDate)) ||
+                        (holiday.endDate && holiday.endDate < holiday.date)) {
+                        errors.push({
+                            field: `holidays[${index}]`,
+                            code: 'INVALID_FORMAT',
+                            message: 'Holiday needs date (YYYY-MM-DD) and an optional endDate not before it'
+                        });
+                    }
+                });
+            }
+        }
+
+        ['registrationStartDate', 'registrationEndDate'].forEach(field => {
+            if (data[field] !== undefined && data[field] !== null && isNaN(Date.parse(data[field]))) {
+                errors.push({
+                    field,
+                    code: 'INVALID_FORMAT',
+                    message: `${field} must be an ISO date-time`
+                });
+            }
+        });
+
+        if (data.registrationStartDate && data.registrationEndDate &&
+            Date.parse(data.registrationStartDate) > Date.parse(data.registrationEndDate)) {
+            errors.push({
+                field: 'registrationEndDate',
+                code: 'INVALID_VALUE',
+                message: 'Registration must close after it opens'
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate period-to-clock-time table update request
+     */
+    validatePeriodTableRequest(data) {
+        const errors = [];
+
+        if (data.campusCode !== undefined && data.campusCode !== null &&
+            !(this.isValidString(data.campusCode, 1, 10) && /^[A-Z0-9]+$/.test(data.campusCode))) {
+            errors.push({
+                field: 'campusCode',
+                code: 'INVALID_FORMAT',
+                message: 'Campus code must be 1-10 uppercase letters or digits'
+            });
+        }
+
+        if (data.semesterCode !== undefined && data.semesterCode !== null &&
+            !this.isValidString(data.semesterCode, 1, 20)) {
+            errors.push({
+                field: 'semesterCode',
+                code: 'INVALID_LENGTH',
+                message: 'Semester code must be between 1 and 20 characters'
+            });
+        }
+
+        if (!Array.isArray(data.periods) || data.periods.length === 0) {
+            errors.push({
+                field: 'periods',
+                code: 'REQUIRED',
+                message: 'Periods must be a non-empty array'
+            });
+
+            return { isValid: false, errors };
+        }
+
+        const seen = new Set();
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        data.periods.forEach((entry, index) => {
+            const field = `periods[${index}]`;
+
+            if (!entry || !this.isValidInteger(entry.period, 1, 16)) {
+                errors.push({ field, code: 'OUT_OF_RANGE', message: 'Period must be an integer between 1 and 16' });
+                return;
+            }
+
+            if (seen.has(entry.period)) {
+                errors.push({ field, code: 'DUPLICATE', message: `Period ${entry.period} is listed twice` });
+            }
+            seen.add(entry.period);
+
+            if (typeof entry.startTime !== 'string' || !this.patterns.timeSlot.test(entry.startTime) ||
+                typeof entry.endTime !== 'string' || !this.patterns.timeSlot.test(entry.endTime)) {
+                errors.push({ field, code: 'INVALID_FORMAT', message: 'startTime and endTime must be HH:MM' });
+                return;
+            }
+
+            if (toMinutes(entry.startTime) >= toMinutes(entry.endTime)) {
+                errors.push({ field, code: 'INVALID_VALUE', message: 'startTime must be before endTime' });
+            }
+        });
+
+        // Consecutive periods must not overlap
+        if (errors.length === 0) {
+            const sorted = [...data.periods].sort((a, b) => a.period - b.period);
+            for (let i = 1; i < sorted.length; i++) {
+                if (toMinutes(sorted[i].startTime) < toMinutes(sorted[i - 1].endTime)) {
+                    errors.push({
+                        field: 'periods',
+                        code: 'OVERLAP',
+                        message: `Period ${sorted[i].period} starts before period ${sorted[i - 1].period} ends`
+                    });
+                }
+            }
         }
 
         return {
@@ -442,6 +957,15 @@ class ValidationHelper {
         return Number.isInteger(value) && value >= min && value <= max;
     }
 
+    /**
+     * Validate calendar date (YYYY-MM-DD)
+     */
+    isValidDate(value) {
+        return typeof value === 'string' &&
+            this.patterns.isoDate.test(value) &&
+            !isNaN(Date.parse(value));
+    }
+
     /**
      * Validate email format
      */
@@ -504,6 +1028,75 @@ class ValidationHelper {
         return Boolean(input);
     }
 
+    /**
+     * Validate a log search (GET /api/admin/logs)
+     * Dates default to the last 7 days; at most 31 days are searched at once
+     * @param {Object} query - { category, level, startDate, endDate, userId, action, page, limit }
+     * @param {string[]} categories - Log categories that exist
+     */
+    validateLogQuery(query, categories) {
+        const errors = [];
+        const category = (query.category || 'user').toLowerCase();
+        const level = query.level ? query.level.toUpperCase() : null;
+        const endDate = query.endDate ? new Date(query.endDate) : new Date();
+        const startDate = query.startDate
+            ? new Date(query.startDate)
+            : new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        if (!categories.includes(category)) {
+            errors.push({
+                field: 'category',
+                code: 'INVALID_VALUE',
+                message: `category must be one of: ${categories.join(', ')}`
+            });
+        }
+
+        if (level && !['ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE'].includes(level)) {
+            errors.push({
+                field: 'level',
+                code: 'INVALID_VALUE',
+                message: 'level must be one of: ERROR, WARN, INFO, DEBUG, TRACE'
+            });
+        }
+
+        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+            errors.push({
+                field: 'startDate',
+                code: 'INVALID_FORMAT',
+                message: 'startDate and endDate must be ISO 8601 dates'
+            });
+        } else if (startDate > endDate) {
+            errors.push({
+                field: 'startDate',
+                code: 'OUT_OF_RANGE',
+                message: 'startDate must be before endDate'
+            });
+        } else if (endDate - startDate > 31 * 24 * 60 * 60 * 1000) {
+            errors.push({
+                field: 'endDate',
+                code: 'OUT_OF_RANGE',
+                message: 'At most 31 days of logs can be searched at once'
+            });
+        }
+
+        const pagination = this.validatePagination(query.page || 1, query.limit || 50);
+        errors.push(...pagination.errors);
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            sanitized: {
+                category,
+                level,
+                startDate,
+                endDate,
+                userId: query.userId || null,
+                action: query.action || null,
+                ...pagination.sanitized
+            }
+        };
+    }
+
     /**
      * Validate pagination parameters
      */